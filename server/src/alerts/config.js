@@ -0,0 +1,32 @@
+const fs = require('fs');
+
+/**
+ * Load alert rules and webhook URLs
+ * The rules file is optional; webhook URLs from ALERT_WEBHOOK_URLS
+ * (comma-separated) are added to the ones listed in the file.
+ * @param {string} file - Path to the JSON rules file
+ * @returns {Object} { rules, webhooks }
+ */
+function loadAlertConfig(file) {
+  let config = {};
+
+  if (fs.existsSync(file)) {
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`Error reading alert rules from ${file}:`, error.message);
+    }
+  }
+
+  const envWebhooks = (process.env.ALERT_WEBHOOK_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+
+  return {
+    rules: Array.isArray(config.rules) ? config.rules : [],
+    webhooks: Array.from(new Set([...(config.webhooks || []), ...envWebhooks]))
+  };
+}
+
+module.exports = loadAlertConfig;
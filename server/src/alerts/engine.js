@@ -0,0 +1,202 @@
+const compileExpression = require('./expression');
+const extractSeries = require('../history/series');
+const { parseDuration } = require('../utils/time');
+
+const RECENT_LIMIT = 100;
+
+/**
+ * Compile rule definitions, skipping invalid ones
+ * @param {Array<Object>} definitions - Rules as loaded from config
+ * @returns {Array<Object>} Compiled rules
+ */
+function compileRules(definitions) {
+  const rules = [];
+
+  for (const definition of definitions) {
+    try {
+      if (!definition.name || !definition.expr) {
+        throw new Error('Rule needs a name and an expr');
+      }
+
+      const forMs = parseDuration(definition.for || 0);
+      if (forMs === null) {
+        throw new Error(`Invalid "for" duration: ${definition.for}`);
+      }
+
+      rules.push({
+        name: definition.name,
+        expr: definition.expr,
+        for: forMs,
+        severity: definition.severity || 'warning',
+        description: definition.description || '',
+        condition: compileExpression(definition.expr),
+        state: 'inactive',
+        alert: null,
+        missing: []
+      });
+    } catch (error) {
+      console.error(`Skipping alert rule ${definition.name || '(unnamed)'}:`, error.message);
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Create the alert rules engine
+ *
+ * Each rule moves inactive -> pending when its expression becomes true,
+ * pending -> firing once it has stayed true for its `for` duration, and back
+ * to inactive when it turns false. Notifiers are only called on the firing
+ * and resolved transitions, so a rule that stays true notifies once. A sample
+ * missing one of the rule's series (a collector failed or timed out) leaves
+ * the rule as it was, so one bad tick doesn't resolve and re-fire it.
+ *
+ * @param {Object} options - Engine options
+ * @param {Array<Object>} options.rules - Rule definitions
+ * @param {Array<Function>} options.notifiers - Called with the alert on each transition
+ * @returns {Object} Alert engine
+ */
+function createAlertEngine({ rules: definitions, notifiers }) {
+  const rules = compileRules(definitions);
+  const recent = [];
+  let lastEvaluation = null;
+  let timer = null;
+
+  function notify(alert) {
+    const snapshot = { ...alert };
+    for (const notifier of notifiers) {
+      Promise.resolve(notifier(snapshot)).catch(error => {
+        console.error('Error sending alert notification:', error);
+      });
+    }
+  }
+
+  /**
+   * Evaluate every rule against one sample
+   * @param {Object} values - Map of series key to numeric value
+   * @param {number} now - Sample time in milliseconds
+   */
+  function evaluate(values, now = Date.now()) {
+    lastEvaluation = now;
+
+    for (const rule of rules) {
+      rule.missing = rule.condition.series.filter(key => !(key in values));
+      if (rule.missing.length > 0) continue;
+
+      let matched = false;
+      try {
+        matched = rule.condition.evaluate(values);
+      } catch (error) {
+        console.error(`Error evaluating alert rule ${rule.name}:`, error);
+      }
+
+      const observed = {};
+      rule.condition.series.forEach(key => {
+        if (key in values) observed[key] = values[key];
+      });
+
+      if (matched) {
+        if (rule.state === 'inactive') {
+          rule.state = 'pending';
+          rule.alert = {
+            id: `${rule.name}-${now}`,
+            rule: rule.name,
+            expr: rule.expr,
+            severity: rule.severity,
+            description: rule.description,
+            state: 'pending',
+            activeSince: new Date(now).toISOString(),
+            firedAt: null,
+            resolvedAt: null,
+            values: observed
+          };
+        }
+
+        rule.alert.values = observed;
+
+        if (rule.state === 'pending' && now - Date.parse(rule.alert.activeSince) >= rule.for) {
+          rule.state = 'firing';
+          rule.alert.state = 'firing';
+          rule.alert.firedAt = new Date(now).toISOString();
+          notify(rule.alert);
+        }
+      } else if (rule.state !== 'inactive') {
+        if (rule.state === 'firing') {
+          rule.alert.state = 'resolved';
+          rule.alert.resolvedAt = new Date(now).toISOString();
+          rule.alert.values = observed;
+          notify(rule.alert);
+
+          recent.unshift(rule.alert);
+          recent.splice(RECENT_LIMIT);
+        }
+
+        rule.state = 'inactive';
+        rule.alert = null;
+      }
+    }
+  }
+
+  /**
+   * Start evaluating rules on a fixed interval
+   * @param {Object} options - Scheduling options
+   * @param {Function} options.collect - Async function returning a metrics snapshot
+   * @param {number} options.interval - Evaluation interval in milliseconds
+   */
+  function start({ collect, interval }) {
+    if (timer || rules.length === 0) return;
+
+    let running = false;
+    const run = async () => {
+      if (running) return;
+      running = true;
+      try {
+        evaluate(extractSeries(await collect()));
+      } catch (error) {
+        console.error('Error evaluating alert rules:', error);
+      } finally {
+        running = false;
+      }
+    };
+
+    run();
+    timer = setInterval(run, interval);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * Get rule states plus active and recently resolved alerts
+   * @returns {Object} Alert status
+   */
+  function status() {
+    return {
+      lastEvaluation: lastEvaluation ? new Date(lastEvaluation).toISOString() : null,
+      rules: rules.map(rule => ({
+        name: rule.name,
+        expr: rule.expr,
+        for: rule.for,
+        severity: rule.severity,
+        description: rule.description,
+        state: rule.state,
+        missing: rule.missing
+      })),
+      active: rules.filter(rule => rule.alert).map(rule => rule.alert),
+      recent
+    };
+  }
+
+  return {
+    evaluate,
+    start,
+    stop,
+    status,
+    ruleCount: rules.length
+  };
+}
+
+module.exports = createAlertEngine;
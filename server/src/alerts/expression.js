@@ -0,0 +1,168 @@
+/**
+ * Alert rule expressions
+ *
+ * Grammar (case-insensitive keywords):
+ *   expr       := and ('or' and)*
+ *   and        := unary ('and' unary)*
+ *   unary      := 'not' unary | comparison
+ *   comparison := operand (('>' | '>=' | '<' | '<=' | '==' | '!=') operand)?
+ *   operand    := number | series | '(' expr ')'
+ *
+ * Series are the keys produced by history/series.js, e.g. `cpu.usage` or
+ * `disk.usage:/`. A series on its own is true when non-zero. Comparisons
+ * against a series that is missing from the sample are false.
+ */
+
+const TOKEN_PATTERN = /\s*(?:(-?\d+(?:\.\d+)?)|(>=|<=|==|!=|>|<)|([()])|([A-Za-z_][\w.]*(?::[^\s()<>=!]+)?))/y;
+const KEYWORDS = ['and', 'or', 'not'];
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression text
+ * @returns {Array<Object>} Tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) break;
+
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character at position ${position} in "${source}"`);
+    }
+
+    const [, number, operator, paren, word] = match;
+    if (number !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(number) });
+    } else if (operator) {
+      tokens.push({ type: 'operator', value: operator });
+    } else if (paren) {
+      tokens.push({ type: paren });
+    } else if (KEYWORDS.includes(word.toLowerCase())) {
+      tokens.push({ type: word.toLowerCase() });
+    } else {
+      tokens.push({ type: 'series', value: word });
+    }
+  }
+
+  return tokens;
+}
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+/**
+ * Compile an expression into an evaluator
+ * @param {string} source - Expression text
+ * @returns {Object} { evaluate(values) => boolean, series: Array<string> }
+ */
+function compileExpression(source) {
+  const tokens = tokenize(source);
+  const series = new Set();
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (type) => {
+    const token = next();
+    if (!token || token.type !== type) {
+      throw new Error(`Expected "${type}" in "${source}"`);
+    }
+    return token;
+  };
+
+  function parseOperand() {
+    const token = next();
+    if (!token) {
+      throw new Error(`Unexpected end of expression "${source}"`);
+    }
+
+    if (token.type === 'number') {
+      return () => token.value;
+    }
+    if (token.type === 'series') {
+      series.add(token.value);
+      return (values) => values[token.value];
+    }
+    if (token.type === '(') {
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+
+    throw new Error(`Unexpected "${token.value || token.type}" in "${source}"`);
+  }
+
+  function parseComparison() {
+    const left = parseOperand();
+    const token = peek();
+
+    if (!token || token.type !== 'operator') {
+      return (values) => {
+        const value = left(values);
+        return typeof value === 'boolean' ? value : value !== undefined && value !== 0;
+      };
+    }
+
+    next();
+    const right = parseOperand();
+    const compare = COMPARATORS[token.value];
+    return (values) => {
+      const a = left(values);
+      const b = right(values);
+      return typeof a === 'number' && typeof b === 'number' && compare(a, b);
+    };
+  }
+
+  function parseUnary() {
+    if (peek() && peek().type === 'not') {
+      next();
+      const operand = parseUnary();
+      return (values) => !operand(values);
+    }
+    return parseComparison();
+  }
+
+  function parseAnd() {
+    let left = parseUnary();
+    while (peek() && peek().type === 'and') {
+      next();
+      const a = left;
+      const b = parseUnary();
+      left = (values) => a(values) && b(values);
+    }
+    return left;
+  }
+
+  function parseOr() {
+    let left = parseAnd();
+    while (peek() && peek().type === 'or') {
+      next();
+      const a = left;
+      const b = parseAnd();
+      left = (values) => a(values) || b(values);
+    }
+    return left;
+  }
+
+  const root = parseOr();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected trailing input in "${source}"`);
+  }
+
+  return {
+    evaluate: (values) => Boolean(root(values)),
+    series: Array.from(series)
+  };
+}
+
+module.exports = compileExpression;
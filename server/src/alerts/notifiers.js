@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const os = require('os');
+
+const WEBHOOK_TIMEOUT = 5000;
+
+/**
+ * Build the notification payload for an alert transition
+ * @param {Object} alert - Alert record
+ * @returns {Object} Payload
+ */
+function buildPayload(alert) {
+  const icon = alert.state === 'firing' ? '🔥' : '✅';
+  const summary = alert.description || alert.expr;
+
+  return {
+    // `text` makes the payload readable by Slack/Mattermost-style incoming webhooks
+    text: `${icon} [${alert.state.toUpperCase()}] ${alert.rule} on ${os.hostname()}: ${summary}`,
+    status: alert.state,
+    host: os.hostname(),
+    alert,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * POST a JSON payload to a webhook URL
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ * @returns {Promise<number>} Response status code
+ */
+function postJson(url, payload) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify(payload);
+    const client = url.startsWith('https:') ? https : http;
+
+    const req = client.request(url, {
+      method: 'POST',
+      timeout: WEBHOOK_TIMEOUT,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }
+    }, (res) => {
+      res.resume();
+      if (res.statusCode >= 400) {
+        reject(new Error(`Webhook responded with HTTP ${res.statusCode}`));
+      } else {
+        resolve(res.statusCode);
+      }
+    });
+
+    req.on('timeout', () => req.destroy(new Error('Webhook request timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Create a notifier that posts alert transitions to webhook URLs
+ * @param {Array<string>} urls - Webhook URLs
+ * @returns {Function} Notifier
+ */
+function createWebhookNotifier(urls) {
+  return async (alert) => {
+    const payload = buildPayload(alert);
+    await Promise.all(urls.map(url => postJson(url, payload).catch(error => {
+      console.error(`Error sending alert to webhook ${url}:`, error.message);
+    })));
+  };
+}
+
+/**
+ * Create a notifier that appends alert transitions to a local log file
+ * @param {string} file - Log file path (NDJSON)
+ * @returns {Function} Notifier
+ */
+function createLogNotifier(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  return async (alert) => {
+    const payload = buildPayload(alert);
+    console.log(payload.text);
+    try {
+      await fs.promises.appendFile(file, JSON.stringify(payload) + '\n');
+    } catch (error) {
+      console.error('Error writing alert log:', error);
+    }
+  };
+}
+
+module.exports = {
+  createWebhookNotifier,
+  createLogNotifier
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { SCOPES } = require('./tokens');
+
+// EventSource can't set headers, so the stream also accepts ?access_token=
+const QUERY_TOKEN_PATHS = ['/api/stream'];
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Create the authentication middleware
+ * Auth is on as soon as AUTH_TOKEN is set or any API token exists. AUTH_TOKEN
+ * keeps working as an admin token, so existing setups don't break and can
+ * create scoped tokens with it.
+ * @param {Object} options - Auth options
+ * @param {Object} options.store - Token store
+ * @param {string} [options.legacyToken] - AUTH_TOKEN value
+ * @returns {Object} { authenticate, requireScope, isEnabled }
+ */
+function createAuth({ store, legacyToken = null }) {
+  function isEnabled() {
+    return Boolean(legacyToken) || store.size > 0;
+  }
+
+  /**
+   * Identify the caller and put { id, name, scopes, expiresAt } on req.auth
+   */
+  function authenticate(req, res, next) {
+    if (!isEnabled()) {
+      req.auth = { id: null, name: 'anonymous', scopes: SCOPES, expiresAt: null };
+      return next();
+    }
+
+    const authHeader = req.headers['authorization'];
+    let token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+    if (!token && QUERY_TOKEN_PATHS.includes(req.baseUrl + req.path) && typeof req.query.access_token === 'string') {
+      token = req.query.access_token;
+    }
+
+    if (!token) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Missing bearer token' });
+    }
+
+    if (legacyToken && safeEqual(token, legacyToken)) {
+      req.auth = { id: null, name: 'AUTH_TOKEN', scopes: ['admin'], expiresAt: null };
+      return next();
+    }
+
+    const record = store.verify(token);
+    if (!record) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Invalid or expired token' });
+    }
+
+    req.auth = { id: record.id, name: record.name, scopes: record.scopes, expiresAt: record.expiresAt };
+    next();
+  }
+
+  /**
+   * Reject callers whose token lacks a scope (admin has every scope)
+   * @param {string} scope - Required scope
+   * @returns {Function} Express middleware
+   */
+  function requireScope(scope) {
+    return (req, res, next) => {
+      const scopes = (req.auth && req.auth.scopes) || [];
+      if (scopes.includes('admin') || scopes.includes(scope)) {
+        return next();
+      }
+      res.status(403).json({ error: 'Forbidden', message: `Token lacks the ${scope} scope` });
+    };
+  }
+
+  return {
+    authenticate,
+    requireScope,
+    isEnabled
+  };
+}
+
+module.exports = createAuth;
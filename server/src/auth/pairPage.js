@@ -0,0 +1,103 @@
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; background: #f9fafb; color: #111827; margin: 0; padding: 2rem 1rem; }
+  main { max-width: 28rem; margin: 0 auto; background: #fff; border-radius: 0.5rem; box-shadow: 0 1px 3px rgba(0,0,0,0.1); padding: 1.5rem; }
+  h1 { font-size: 1.25rem; margin: 0 0 0.25rem; }
+  .muted { color: #6b7280; font-size: 0.875rem; }
+  .code { font-size: 3rem; font-weight: 700; letter-spacing: 0.3em; text-align: center; margin: 1rem 0 0.5rem; font-variant-numeric: tabular-nums; }
+  .qr { width: 14rem; margin: 1rem auto; }
+  a { color: #2563eb; }
+  ul { list-style: none; padding: 0; }
+  li { display: flex; justify-content: space-between; align-items: center; border-top: 1px solid #e5e7eb; padding: 0.5rem 0; }
+  button { background: #fee2e2; color: #991b1b; border: 0; border-radius: 0.25rem; padding: 0.25rem 0.75rem; cursor: pointer; }
+`;
+
+function page(title, body, refreshSeconds) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+${refreshSeconds ? `<meta http-equiv="refresh" content="${refreshSeconds}">` : ''}
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
+}
+
+/**
+ * Render the pairing page shown on the tablet
+ * @param {Object} options - Page content
+ * @param {string} options.code - Current pairing code
+ * @param {string} options.expiresAt - ISO expiry of the code
+ * @param {string} options.url - Dashboard URL that pairs with the code
+ * @param {string} options.qrSvg - QR code of the URL as SVG markup
+ * @param {Array<Object>} options.pairings - Paired clients
+ * @returns {string} HTML
+ */
+function renderPairPage({ code, expiresAt, url, qrSvg, pairings }) {
+  const minutes = Math.max(1, Math.round((Date.parse(expiresAt) - Date.now()) / 60000));
+  const rows = pairings.map(pairing => `
+    <li>
+      <span>
+        <strong>${escapeHtml(pairing.name)}</strong><br>
+        <span class="muted">Paired ${escapeHtml(new Date(pairing.createdAt).toLocaleString())}${pairing.lastUsedAt ? `, last used ${escapeHtml(new Date(pairing.lastUsedAt).toLocaleString())}` : ''}</span>
+      </span>
+      <form method="post" action="/pair/revoke/${encodeURIComponent(pairing.id)}">
+        <button type="submit">Revoke</button>
+      </form>
+    </li>`).join('');
+
+  return page('Pair with this tablet', `
+    <h1>📱 Pair with this tablet</h1>
+    <p class="muted">Scan the QR code with your phone, or open the dashboard and enter the code under “Pair with tablet”.</p>
+    <div class="code">${escapeHtml(code)}</div>
+    <p class="muted" style="text-align:center">Valid for about ${minutes} minute(s), once</p>
+    <div class="qr">${qrSvg}</div>
+    <p class="muted" style="text-align:center"><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></p>
+    <h2 style="font-size:1rem;margin-top:1.5rem">Paired devices</h2>
+    ${pairings.length > 0 ? `<ul>${rows}</ul>` : '<p class="muted">Nothing paired yet.</p>'}
+  `, 30);
+}
+
+/**
+ * Render the page shown when /pair is opened from another device
+ * @returns {string} HTML
+ */
+function renderPairForbidden() {
+  return page('Pairing', `
+    <h1>📱 Pairing</h1>
+    <p>The pairing code is only shown on the tablet itself. Open <code>/pair</code> in the tablet's browser, or read the code from the server's terminal.</p>
+  `);
+}
+
+/**
+ * Render the page shown when auth is off, so there is nothing to pair for
+ * @returns {string} HTML
+ */
+function renderPairUnavailable() {
+  return page('Pairing', `
+    <h1>📱 Pairing</h1>
+    <p>Auth is off, so the dashboard is open to every device on the network and pairing would only lock them out.</p>
+    <p class="muted">To require tokens, set <code>AUTH_TOKEN</code> or create a first token with the <code>admin</code> scope (<code>POST /api/tokens</code>), then reload this page.</p>
+  `);
+}
+
+module.exports = {
+  renderPairPage,
+  renderPairForbidden,
+  renderPairUnavailable
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+const DEFAULT_TTL = 5 * 60 * 1000; // Codes are valid for 5 minutes
+const DEFAULT_SCOPES = ['metrics:read', 'history:read', 'settings:write'];
+const MAX_ATTEMPTS = 5; // Wrong guesses, across codes and clients, before redemption is locked
+const LOCKOUT_BASE = 30 * 1000; // First lockout; every further one doubles
+const LOCKOUT_MAX = 60 * 60 * 1000;
+
+/**
+ * Create the pairing service
+ * The server shows a short-lived 6-digit code; a client that presents it
+ * gets a long-lived token of kind 'pairing'. A code works once; a new one is
+ * issued (and passed to onCode) as soon as the last one expires or is used,
+ * so there is always one to read off the console.
+ *
+ * Every MAX_ATTEMPTS wrong guesses lock redemption for everyone, 30 s at
+ * first and twice as long each time after (up to an hour) until a pairing
+ * succeeds. The code itself stays, so guessing can't replace the one a user
+ * is typing, and the lockouts keep guessing far too slow to cover 10^6 codes.
+ * @param {Object} options - Pairing options
+ * @param {Object} options.store - Token store the paired tokens are added to
+ * @param {number} [options.ttl] - Code lifetime in milliseconds
+ * @param {Array<string>} [options.scopes] - Scopes given to paired clients
+ * @param {Function} [options.onCode] - Called with { code, expiresAt } whenever a code is issued
+ * @returns {Object} Pairing service with current, redeem and list
+ */
+function createPairing({ store, ttl = DEFAULT_TTL, scopes = DEFAULT_SCOPES, onCode = () => {} }) {
+  let pending = null;
+  let timer = null;
+  let failures = 0;
+  let lockouts = 0;
+  let lockedUntil = 0;
+
+  function issue() {
+    clearTimeout(timer);
+    timer = setTimeout(issue, ttl);
+    timer.unref(); // Don't keep the process alive just to rotate codes
+
+    pending = {
+      code: String(crypto.randomInt(0, 1000000)).padStart(6, '0'),
+      expiresAt: Date.now() + ttl
+    };
+    onCode({ code: pending.code, expiresAt: new Date(pending.expiresAt).toISOString() });
+  }
+
+  /**
+   * The code to show, issuing a new one if none has been issued yet
+   * @returns {Object} { code, expiresAt }
+   */
+  function current() {
+    if (!pending || pending.expiresAt <= Date.now()) {
+      issue();
+    }
+    return { code: pending.code, expiresAt: new Date(pending.expiresAt).toISOString() };
+  }
+
+  /**
+   * Exchange a code for a token
+   * @param {string} code - Code entered by the client
+   * @param {Object} client - Client details
+   * @param {string} client.name - Name for the pairing, e.g. "Alex's phone"
+   * @param {string|null} [client.userAgent] - User agent of the client
+   * @returns {Object} { token } on success, otherwise { error, status } and,
+   *   while locked, retryAfter in seconds
+   */
+  function redeem(code, { name, userAgent = null }) {
+    const now = Date.now();
+    if (now < lockedUntil) {
+      const retryAfter = Math.ceil((lockedUntil - now) / 1000);
+      return { status: 429, error: `Too many wrong codes; try again in ${retryAfter} s`, retryAfter };
+    }
+
+    if (!pending || pending.expiresAt <= Date.now()) {
+      return { status: 403, error: 'No valid pairing code; open /pair on the tablet for a new one' };
+    }
+
+    const expected = Buffer.from(pending.code);
+    const given = Buffer.from(String(code || '').trim());
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      failures++;
+      if (failures >= MAX_ATTEMPTS) {
+        const lockout = Math.min(LOCKOUT_MAX, LOCKOUT_BASE * 2 ** lockouts);
+        failures = 0;
+        lockouts++;
+        lockedUntil = now + lockout;
+        console.warn(`🔗 ${MAX_ATTEMPTS} wrong pairing codes; pairing locked for ${lockout / 1000} s`);
+        return { status: 429, error: `Too many wrong codes; try again in ${lockout / 1000} s`, retryAfter: lockout / 1000 };
+      }
+      return { status: 403, error: 'Wrong pairing code' };
+    }
+
+    failures = 0;
+    lockouts = 0;
+    issue();
+    const token = store.create({
+      name,
+      scopes,
+      kind: 'pairing',
+      client: userAgent ? String(userAgent).slice(0, 200) : null
+    });
+    return { token };
+  }
+
+  /**
+   * Paired clients
+   * @returns {Array<Object>} Token descriptions of kind 'pairing'
+   */
+  function list() {
+    return store.list().filter(token => token.kind === 'pairing');
+  }
+
+  return {
+    current,
+    redeem,
+    list,
+    scopes
+  };
+}
+
+module.exports = createPairing;
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SCOPES = ['metrics:read', 'history:read', 'settings:write', 'admin'];
+const TOKEN_PREFIX = 'tm_';
+const LAST_USED_SAVE_INTERVAL = 60000; // Persist last-used times at most once a minute
+
+/**
+ * Hash a token for storage and lookup
+ * Tokens are 256 bits of randomness, so a plain SHA-256 is enough; a slow
+ * password hash would only add latency to every request.
+ * @param {string} token - Plain token
+ * @returns {string} Hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Strip the hash before a token record leaves the store
+ * @param {Object} record - Stored token
+ * @returns {Object} Public token description
+ */
+function describe(record) {
+  const { hash, ...rest } = record;
+  return {
+    kind: 'token',
+    client: null,
+    ...rest,
+    expired: Boolean(record.expiresAt && Date.parse(record.expiresAt) <= Date.now())
+  };
+}
+
+/**
+ * Create the API token store
+ * Tokens are saved hashed (only the first characters are kept in clear to
+ * tell them apart) with a name, scopes and an optional expiry.
+ * @param {Object} options - Store options
+ * @param {string} options.file - JSON file tokens are persisted to
+ * @returns {Object} Store with create, list, revoke, verify, flush and size
+ */
+function createTokenStore({ file }) {
+  let tokens = [];
+  let lastSave = 0;
+  let dirty = false;
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    tokens = Array.isArray(stored.tokens) ? stored.tokens : [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading API tokens:', error);
+    }
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({ tokens }, null, 2), { mode: 0o600 });
+      lastSave = Date.now();
+      dirty = false;
+    } catch (error) {
+      console.error('Error saving API tokens:', error);
+    }
+  }
+
+  /**
+   * Issue a new token
+   * @param {Object} options - Token options
+   * @param {string} options.name - Who or what the token is for
+   * @param {Array<string>} options.scopes - Granted scopes
+   * @param {string|null} [options.expiresAt] - ISO expiry time (never when omitted)
+   * @param {string} [options.kind] - 'token' (created through the API) or 'pairing'
+   * @param {string|null} [options.client] - Client description, e.g. a user agent
+   * @returns {Object} Token description plus the plain `token`, which is not stored
+   */
+  function create({ name, scopes, expiresAt = null, kind = 'token', client = null }) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id: crypto.randomBytes(8).toString('hex'),
+      name,
+      prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      hash: hashToken(token),
+      scopes,
+      kind,
+      client,
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      lastUsedAt: null
+    };
+
+    tokens.push(record);
+    save();
+    return { ...describe(record), token };
+  }
+
+  /**
+   * List tokens without their hashes
+   * @returns {Array<Object>} Token descriptions, newest first
+   */
+  function list() {
+    return tokens.map(describe).reverse();
+  }
+
+  /**
+   * Delete a token
+   * @param {string} id - Token id
+   * @returns {boolean} True if the token existed
+   */
+  function revoke(id) {
+    const index = tokens.findIndex(record => record.id === id);
+    if (index === -1) return false;
+    tokens.splice(index, 1);
+    save();
+    return true;
+  }
+
+  /**
+   * Look up a presented token and record that it was used
+   * @param {string} token - Plain token from the request
+   * @returns {Object|null} Token description, or null if unknown or expired
+   */
+  function verify(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+
+    const hash = Buffer.from(hashToken(token), 'hex');
+    const record = tokens.find(candidate =>
+      crypto.timingSafeEqual(Buffer.from(candidate.hash, 'hex'), hash)
+    );
+    if (!record || (record.expiresAt && Date.parse(record.expiresAt) <= Date.now())) {
+      return null;
+    }
+
+    record.lastUsedAt = new Date().toISOString();
+    dirty = true;
+    if (Date.now() - lastSave > LAST_USED_SAVE_INTERVAL) {
+      save();
+    }
+    return describe(record);
+  }
+
+  return {
+    create,
+    list,
+    revoke,
+    verify,
+    // Write pending last-used times (on shutdown)
+    flush() {
+      if (dirty) save();
+    },
+    get size() {
+      return tokens.length;
+    }
+  };
+}
+
+module.exports = {
+  SCOPES,
+  createTokenStore
+};
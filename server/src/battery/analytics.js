@@ -0,0 +1,393 @@
+const fs = require('fs');
+const path = require('path');
+
+const POWER_SUPPLY_SYSFS = '/sys/class/power_supply';
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const RATE_WINDOW = 30 * MINUTE; // Samples used for rate estimation
+const MIN_RATE_SPAN = 5 * MINUTE; // Level moves in 1% steps, shorter spans are noise
+const SESSION_LIMIT = 50; // Completed sessions kept in the state file
+const CAPACITY_SESSIONS = 5; // Recent full-charge sessions used for the capacity estimate
+const MIN_CHARGE_DELTA = 20; // Smallest charge (in %) that gives a usable capacity estimate
+const SAVE_INTERVAL = 10 * MINUTE;
+const MAX_SAMPLE_GAP = 10 * MINUTE; // Longer gaps (server stopped) can't be integrated
+const MICROAMP_MIN = 20000; // Readings this large can only be µA (20 A is no tablet's current)
+const MILLIAMP_MAX = 1000; // Readings this small can only be mA (under 1 mA is no running tablet's)
+
+/**
+ * Read a power_supply attribute, returning null when missing or unreadable
+ * @param {string} supply - Supply name (e.g. battery, BAT0)
+ * @param {string} attribute - Attribute file name
+ * @returns {number|null} Numeric value
+ */
+function readSupplyValue(supply, attribute) {
+  try {
+    const value = parseInt(fs.readFileSync(path.join(POWER_SUPPLY_SYSFS, supply, attribute), 'utf8'));
+    return Number.isNaN(value) ? null : value;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read kernel-reported capacity and cycle count for the first battery supply
+ * Most Android builds deny apps access to these, so every field may be null.
+ * @returns {Object} designMah, fullMah and cycleCount
+ */
+function readSysfsBattery() {
+  const result = { designMah: null, fullMah: null, cycleCount: null };
+
+  let supplies = [];
+  try {
+    supplies = fs.readdirSync(POWER_SUPPLY_SYSFS);
+  } catch (error) {
+    return result;
+  }
+
+  const supply = supplies.find(name => {
+    try {
+      return fs.readFileSync(path.join(POWER_SUPPLY_SYSFS, name, 'type'), 'utf8').trim() === 'Battery';
+    } catch (error) {
+      return false;
+    }
+  });
+  if (!supply) return result;
+
+  // charge_* attributes are in µAh
+  const design = readSupplyValue(supply, 'charge_full_design');
+  const full = readSupplyValue(supply, 'charge_full');
+  const cycles = readSupplyValue(supply, 'cycle_count');
+
+  return {
+    designMah: design ? Math.round(design / 1000) : null,
+    fullMah: full ? Math.round(full / 1000) : null,
+    cycleCount: cycles && cycles > 0 ? cycles : null
+  };
+}
+
+/**
+ * Tell from one reading whether a device reports battery current in µA or mA
+ * Android specifies µA, but some vendors report mA. Readings between the two
+ * limits (a 15 mA trickle in µA, or 15 A in mA) could be either.
+ * @param {number} current - Current as reported by termux-battery-status
+ * @returns {string|null} 'uA', 'mA', or null when the reading can't tell
+ */
+function detectCurrentUnit(current) {
+  if (typeof current !== 'number' || current === 0) return null;
+  if (Math.abs(current) >= MICROAMP_MIN) return 'uA';
+  if (Math.abs(current) < MILLIAMP_MAX) return 'mA';
+  return null;
+}
+
+/**
+ * Normalise the battery current to milliamps
+ * Positive while charging, negative while discharging.
+ * @param {number} current - Current as reported by termux-battery-status
+ * @param {string} unit - 'uA' or 'mA', as detected for the device
+ * @returns {number|null} Current in mA
+ */
+function currentMilliamps(current, unit) {
+  if (typeof current !== 'number' || current === 0) return null;
+  return unit === 'mA' ? current : current / 1000;
+}
+
+/**
+ * Least-squares slope of level over time
+ * @param {Array<Object>} samples - Samples with t (ms) and level (%)
+ * @returns {number} Slope in % per hour
+ */
+function levelSlope(samples) {
+  const n = samples.length;
+  const meanT = samples.reduce((sum, sample) => sum + sample.t, 0) / n;
+  const meanLevel = samples.reduce((sum, sample) => sum + sample.level, 0) / n;
+
+  let numerator = 0;
+  let denominator = 0;
+  for (const sample of samples) {
+    numerator += (sample.t - meanT) * (sample.level - meanLevel);
+    denominator += (sample.t - meanT) ** 2;
+  }
+
+  return denominator > 0 ? (numerator / denominator) * HOUR : 0;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value, digits = 1) {
+  return value === null || value === undefined ? null : parseFloat(value.toFixed(digits));
+}
+
+/**
+ * Create a battery analytics tracker
+ * Samples battery level, current and voltage over time to estimate charge and
+ * discharge rates, time to empty/full, charge cycles and capacity wear.
+ * Cycle counts and charge sessions are persisted so they survive restarts.
+ * @param {Object} options - Tracker options
+ * @param {string} options.file - JSON state file
+ * @param {number} [options.designCapacityMah] - Design capacity, when sysfs doesn't report it
+ * @returns {Object} Tracker with record, analyze, start and stop
+ */
+function createBatteryAnalytics({ file, designCapacityMah = null }) {
+  let samples = [];
+  let last = null;
+  let session = null;
+  let timer = null;
+  let lastSave = 0;
+  let state = {
+    since: new Date().toISOString(),
+    dischargedPercent: 0,
+    sessions: [],
+    currentUnit: null // Detected from the first conclusive reading, µA until then
+  };
+
+  try {
+    state = { ...state, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading battery analytics state:', error);
+    }
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(state, null, 2));
+      lastSave = Date.now();
+    } catch (error) {
+      console.error('Error saving battery analytics state:', error);
+    }
+  }
+
+  function closeSession(now, level) {
+    if (!session) return;
+
+    state.sessions.unshift({
+      type: session.type,
+      start: new Date(session.start).toISOString(),
+      end: new Date(now).toISOString(),
+      startLevel: session.startLevel,
+      endLevel: level,
+      chargeMah: round(session.chargeMah),
+      energyMwh: round(session.energyMwh),
+      // Only meaningful when current was reported for the whole session
+      measured: session.measured
+    });
+    state.sessions.splice(SESSION_LIMIT);
+    session = null;
+    save();
+  }
+
+  /**
+   * Record one battery reading
+   * @param {Object} battery - Battery information from the Android collector
+   * @param {number} now - Sample time in milliseconds
+   */
+  function record(battery, now = Date.now()) {
+    if (!battery || battery.error || typeof battery.level !== 'number') return;
+
+    if (!state.currentUnit) {
+      state.currentUnit = detectCurrentUnit(battery.current);
+    }
+
+    const charging = battery.plugged !== undefined
+      ? battery.plugged !== 'UNPLUGGED'
+      : battery.status === 'CHARGING' || battery.status === 'FULL';
+    const sample = {
+      t: now,
+      level: battery.level,
+      charging,
+      currentMa: currentMilliamps(battery.current, state.currentUnit || 'uA'),
+      voltage: battery.voltage ? battery.voltage / 1000 : null
+    };
+
+    const previous = last;
+    last = sample;
+
+    // Plugging in or out starts a new session, and rates restart with it
+    if (previous && previous.charging !== charging) {
+      closeSession(now, sample.level);
+      samples = [];
+    }
+    if (!session) {
+      session = {
+        type: charging ? 'charge' : 'discharge',
+        start: now,
+        startLevel: sample.level,
+        chargeMah: 0,
+        energyMwh: 0,
+        measured: true
+      };
+    }
+
+    if (previous && previous.charging === charging) {
+      // Each percent lost on battery is 1/100th of a full cycle
+      if (!charging && sample.level < previous.level) {
+        state.dischargedPercent += previous.level - sample.level;
+      }
+
+      // Integrate current and power between samples (trapezoidal)
+      const hours = (now - previous.t) / HOUR;
+      if (sample.currentMa !== null && previous.currentMa !== null && now - previous.t <= MAX_SAMPLE_GAP) {
+        const currentMa = Math.abs((sample.currentMa + previous.currentMa) / 2);
+        session.chargeMah += currentMa * hours;
+        if (sample.voltage && previous.voltage) {
+          session.energyMwh += currentMa * ((sample.voltage + previous.voltage) / 2) * hours;
+        }
+      } else {
+        session.measured = false;
+      }
+    }
+
+    samples.push(sample);
+    samples = samples.filter(entry => now - entry.t <= RATE_WINDOW);
+
+    if (now - lastSave >= SAVE_INTERVAL) {
+      save();
+    }
+  }
+
+  /**
+   * Estimate full capacity from recent charge sessions that reached full
+   * @returns {Object|null} Estimated capacity in mAh and the number of sessions used
+   */
+  function estimateCapacity() {
+    const estimates = state.sessions
+      .filter(entry => entry.type === 'charge' && entry.measured && entry.endLevel >= 99 &&
+        entry.endLevel - entry.startLevel >= MIN_CHARGE_DELTA && entry.chargeMah > 0)
+      .slice(0, CAPACITY_SESSIONS)
+      .map(entry => entry.chargeMah / ((entry.endLevel - entry.startLevel) / 100));
+
+    return estimates.length > 0 ? { fullMah: median(estimates), sessions: estimates.length } : null;
+  }
+
+  /**
+   * Compute the current analytics
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} Battery analytics
+   */
+  function analyze(now = Date.now()) {
+    const latest = samples[samples.length - 1];
+    if (!latest) {
+      return {
+        available: false,
+        reason: 'No battery readings yet'
+      };
+    }
+
+    // Rate from the level trend; power from the average measured current
+    const span = latest.t - samples[0].t;
+    const percentPerHour = samples.length >= 2 && span >= MIN_RATE_SPAN ? levelSlope(samples) : null;
+    const measured = samples.filter(sample => sample.currentMa !== null);
+    const currentMa = measured.length > 0
+      ? measured.reduce((sum, sample) => sum + sample.currentMa, 0) / measured.length
+      : null;
+    const withVoltage = measured.filter(sample => sample.voltage);
+    const powerMw = withVoltage.length > 0
+      ? withVoltage.reduce((sum, sample) => sum + sample.currentMa * sample.voltage, 0) / withVoltage.length
+      : null;
+
+    const full = latest.charging && latest.level >= 100;
+    let timeToEmptyMinutes = null;
+    let timeToFullMinutes = null;
+    if (!latest.charging && percentPerHour !== null && percentPerHour < 0) {
+      timeToEmptyMinutes = Math.round((latest.level / -percentPerHour) * 60);
+    } else if (latest.charging && !full && percentPerHour !== null && percentPerHour > 0) {
+      // Linear estimate; charging slows down above ~80% so this is optimistic
+      timeToFullMinutes = Math.round(((100 - latest.level) / percentPerHour) * 60);
+    }
+
+    const sysfs = readSysfsBattery();
+    const designMah = sysfs.designMah || designCapacityMah;
+    const sessionEstimate = estimateCapacity();
+    const fullMah = sysfs.fullMah || (sessionEstimate ? Math.round(sessionEstimate.fullMah) : null);
+
+    return {
+      available: true,
+      level: latest.level,
+      state: full ? 'full' : latest.charging ? 'charging' : 'discharging',
+      rate: {
+        percentPerHour: round(percentPerHour, 2),
+        currentMa: round(currentMa),
+        powerMw: round(powerMw === null ? null : Math.abs(powerMw)),
+        windowMinutes: Math.round(span / MINUTE),
+        samples: samples.length
+      },
+      estimate: {
+        timeToEmptyMinutes,
+        timeToFullMinutes,
+        emptyAt: timeToEmptyMinutes !== null ? new Date(now + timeToEmptyMinutes * MINUTE).toISOString() : null,
+        fullAt: timeToFullMinutes !== null ? new Date(now + timeToFullMinutes * MINUTE).toISOString() : null
+      },
+      cycles: {
+        count: sysfs.cycleCount !== null ? sysfs.cycleCount : round(state.dischargedPercent / 100, 2),
+        source: sysfs.cycleCount !== null ? 'sysfs' : 'counted',
+        since: sysfs.cycleCount !== null ? null : state.since
+      },
+      capacity: {
+        designMah,
+        fullMah,
+        source: sysfs.fullMah ? 'sysfs' : sessionEstimate ? 'sessions' : null,
+        sessions: sessionEstimate ? sessionEstimate.sessions : 0,
+        wearPercent: designMah && fullMah ? round(Math.max(0, (1 - fullMah / designMah) * 100)) : null
+      },
+      session: session ? {
+        type: session.type,
+        start: new Date(session.start).toISOString(),
+        startLevel: session.startLevel,
+        chargeMah: round(session.chargeMah),
+        energyMwh: round(session.energyMwh)
+      } : null,
+      recentSessions: state.sessions.slice(0, 10),
+      timestamp: new Date(now).toISOString()
+    };
+  }
+
+  /**
+   * Start sampling the battery on a fixed interval
+   * @param {Object} options - Scheduling options
+   * @param {Function} options.collect - Async function returning battery information
+   * @param {number} options.interval - Sampling interval in milliseconds
+   */
+  function start({ collect, interval }) {
+    if (timer) return;
+
+    let running = false;
+    const run = async () => {
+      if (running) return;
+      running = true;
+      try {
+        record(await collect());
+      } catch (error) {
+        console.error('Error sampling battery:', error);
+      } finally {
+        running = false;
+      }
+    };
+
+    run();
+    timer = setInterval(run, interval);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    // Nothing to persist on hosts without a battery
+    if (session) {
+      save();
+    }
+  }
+
+  return {
+    record,
+    analyze,
+    start,
+    stop
+  };
+}
+
+module.exports = createBatteryAnalytics;
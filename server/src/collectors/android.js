@@ -1,27 +1,21 @@
-const { execSync } = require('child_process');
 const fs = require('fs');
+const { runCommand, commandExists } = require('../utils/exec');
+const { cache } = require('../utils/cache');
+const collectThermalInfo = require('./thermal');
 
-// Cache for Android data
-let androidCache = null;
-let androidCacheTime = 0;
-const ANDROID_CACHE_TTL = 5000; // 5 seconds
+// Radio queries are slow (each one round-trips through the Termux:API app)
+// and change less often, so they are cached separately from the collector
+const WIFI_CACHE_TTL = 10000; // 10 seconds
+const WIFI_SCAN_CACHE_TTL = 60000; // 1 minute
+const CELLULAR_CACHE_TTL = 30000; // 30 seconds
 
 /**
  * Check if Termux API is available
- * @returns {boolean} True if Termux API is available
+ * @returns {Promise<boolean>} True if Termux API is available
  */
 function isTermuxApiAvailable() {
-  try {
-    // Check if termux-api command exists
-    execSync('which termux-battery-status', { 
-      encoding: 'utf8', 
-      timeout: 1000,
-      stdio: 'ignore'
-    });
-    return true;
-  } catch (error) {
-    return false;
-  }
+  // Check if termux-api command exists (cached)
+  return commandExists('termux-battery-status');
 }
 
 /**
@@ -30,17 +24,14 @@ function isTermuxApiAvailable() {
  */
 async function getBatteryInfo() {
   try {
-    if (!isTermuxApiAvailable()) {
+    if (!(await isTermuxApiAvailable())) {
       return {
         error: 'Termux API not available',
         message: 'Install termux-api package and Termux:API app'
       };
     }
 
-    const output = execSync('termux-battery-status', { 
-      encoding: 'utf8',
-      timeout: 5000 
-    });
+    const output = await runCommand('termux-battery-status', [], { timeout: 5000 });
     
     const batteryData = JSON.parse(output);
     
@@ -66,62 +57,25 @@ async function getBatteryInfo() {
 }
 
 /**
- * Get thermal information
+ * Get thermal information: zones with trip points, cooling devices and CPU throttling
  * @returns {Promise<Object>} Thermal information
  */
 async function getThermalInfo() {
   try {
-    const thermalData = {};
-    
-    // Try to read thermal zones on Linux/Android
-    if (fs.existsSync('/sys/class/thermal')) {
-      const thermalZones = fs.readdirSync('/sys/class/thermal');
-      
-      for (const zone of thermalZones) {
-        if (zone.startsWith('thermal_zone')) {
-          try {
-            const tempPath = `/sys/class/thermal/${zone}/temp`;
-            const typePath = `/sys/class/thermal/${zone}/type`;
-            
-            if (fs.existsSync(tempPath) && fs.existsSync(typePath)) {
-              const temp = parseInt(fs.readFileSync(tempPath, 'utf8').trim());
-              const type = fs.readFileSync(typePath, 'utf8').trim();
-              
-              // Temperature is usually in millidegrees Celsius
-              const tempCelsius = (temp / 1000).toFixed(1);
-              
-              thermalData[type] = {
-                zone: zone,
-                temperature: temp,
-                temperatureCelsius: tempCelsius,
-                temperatureFahrenheit: ((temp / 1000) * 9/5 + 32).toFixed(1)
-              };
-            }
-          } catch (error) {
-            console.error(`Error reading thermal zone ${zone}:`, error);
-          }
-        }
-      }
-    }
+    const thermal = collectThermalInfo();
     
     // If no thermal zones found, try Termux API for thermal info
-    if (Object.keys(thermalData).length === 0 && isTermuxApiAvailable()) {
-      try {
-        // Some Termux API versions might have thermal sensor access
-        // This is a placeholder for potential future Termux API thermal support
-        return {
-          message: 'Thermal sensors not accessible via standard methods',
-          availableZones: 0
-        };
-      } catch (error) {
-        // Ignore Termux API thermal errors
-      }
+    if (thermal.count === 0 && await isTermuxApiAvailable()) {
+      // Some Termux API versions might have thermal sensor access
+      // This is a placeholder for potential future Termux API thermal support
+      return {
+        ...thermal,
+        message: 'Thermal sensors not accessible via standard methods',
+        availableZones: 0
+      };
     }
     
-    return {
-      zones: thermalData,
-      count: Object.keys(thermalData).length
-    };
+    return thermal;
   } catch (error) {
     console.error('Error getting thermal info:', error);
     return {
@@ -142,23 +96,14 @@ async function getDeviceInfo() {
     const deviceInfo = {};
     
     // Try to get Android system properties
-    if (isTermuxApiAvailable()) {
+    if (await isTermuxApiAvailable()) {
       try {
         // Some device info might be available through termux commands
-        const androidVersion = execSync('getprop ro.build.version.release', { 
-          encoding: 'utf8',
-          timeout: 2000 
-        }).trim();
-        
-        const deviceModel = execSync('getprop ro.product.model', { 
-          encoding: 'utf8',
-          timeout: 2000 
-        }).trim();
-        
-        const deviceBrand = execSync('getprop ro.product.brand', { 
-          encoding: 'utf8',
-          timeout: 2000 
-        }).trim();
+        const [androidVersion, deviceModel, deviceBrand] = (await Promise.all([
+          runCommand('getprop', ['ro.build.version.release'], { timeout: 2000 }),
+          runCommand('getprop', ['ro.product.model'], { timeout: 2000 }),
+          runCommand('getprop', ['ro.product.brand'], { timeout: 2000 })
+        ])).map(output => output.trim());
         
         deviceInfo.androidVersion = androidVersion;
         deviceInfo.model = deviceModel;
@@ -187,46 +132,231 @@ async function getDeviceInfo() {
   }
 }
 
+/**
+ * Return a cached result for one data source (cache key android.<name>)
+ * Errors are cached too, so a missing Termux:API app isn't queried every time.
+ * @param {string} name - Source name
+ * @param {number} ttl - Default time to live in milliseconds
+ * @param {Function} fetch - Async function producing the value
+ * @param {boolean} fresh - Bypass the cached value
+ * @returns {Promise<Object>} Cached or fresh value
+ */
+async function cachedSource(name, ttl, fetch, fresh) {
+  const { value } = await cache.get(`android.${name}`, fetch, { ttl, fresh });
+  return value;
+}
+
+/**
+ * Run a Termux API command and parse its JSON output
+ * @param {string} command - Command to run
+ * @returns {Promise<Object|Array>} Parsed output
+ */
+async function runTermuxJson(command) {
+  const output = await runCommand(command, [], { timeout: 10000 });
+
+  const data = JSON.parse(output);
+  // Permission problems come back as {"API_ERROR": "..."}
+  if (data && data.API_ERROR) {
+    throw new Error(data.API_ERROR);
+  }
+  return data;
+}
+
+/**
+ * Map a Wi-Fi RSSI to 0-4 signal bars (same thresholds as Android's status bar)
+ * @param {number} rssi - Signal strength in dBm
+ * @returns {number|null} Signal level
+ */
+function wifiSignalLevel(rssi) {
+  if (typeof rssi !== 'number') return null;
+  if (rssi >= -55) return 4;
+  if (rssi >= -66) return 3;
+  if (rssi >= -77) return 2;
+  if (rssi >= -88) return 1;
+  return 0;
+}
+
+/**
+ * Name the Wi-Fi band for a channel frequency
+ * @param {number} frequencyMhz - Channel frequency
+ * @returns {string|null} 2.4GHz, 5GHz or 6GHz
+ */
+function wifiBand(frequencyMhz) {
+  if (!frequencyMhz) return null;
+  if (frequencyMhz < 3000) return '2.4GHz';
+  if (frequencyMhz < 5925) return '5GHz';
+  return '6GHz';
+}
+
+/**
+ * Get the current Wi-Fi connection using Termux API
+ * @returns {Promise<Object>} Wi-Fi connection information
+ */
+async function getWifiInfo() {
+  try {
+    if (!(await isTermuxApiAvailable())) {
+      return {
+        error: 'Termux API not available',
+        message: 'Install termux-api package and Termux:API app'
+      };
+    }
+
+    const wifi = await runTermuxJson('termux-wifi-connectioninfo');
+    const connected = wifi.supplicant_state === 'COMPLETED';
+
+    return {
+      connected,
+      state: wifi.supplicant_state,
+      // Android hides the SSID as "<unknown ssid>" without location permission
+      ssid: connected && wifi.ssid !== '<unknown ssid>' ? wifi.ssid : null,
+      bssid: connected ? wifi.bssid : null,
+      rssi: connected ? wifi.rssi : null,
+      signalLevel: connected ? wifiSignalLevel(wifi.rssi) : null,
+      linkSpeedMbps: connected ? wifi.link_speed_mbps : null,
+      frequencyMhz: connected ? wifi.frequency_mhz : null,
+      band: connected ? wifiBand(wifi.frequency_mhz) : null,
+      ip: connected ? wifi.ip : null
+    };
+  } catch (error) {
+    console.error('Error getting Wi-Fi info:', error);
+    return {
+      error: 'Failed to get Wi-Fi information',
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Scan for nearby Wi-Fi networks using Termux API
+ * Only runs when WIFI_SCAN_ENABLED=true, since scans need location permission
+ * and Android throttles them to a few per minute.
+ * @returns {Promise<Object|null>} Nearby networks, strongest first, or null when disabled
+ */
+async function getWifiScan() {
+  if (process.env.WIFI_SCAN_ENABLED !== 'true') {
+    return null;
+  }
+
+  try {
+    const networks = (await runTermuxJson('termux-wifi-scaninfo'))
+      .map(network => ({
+        ssid: network.ssid || null,
+        bssid: network.bssid,
+        rssi: network.rssi,
+        signalLevel: wifiSignalLevel(network.rssi),
+        frequencyMhz: network.frequency_mhz,
+        band: wifiBand(network.frequency_mhz),
+        channelWidthMhz: network.channel_bandwidth_mhz ? parseInt(network.channel_bandwidth_mhz) : null
+      }))
+      .sort((a, b) => b.rssi - a.rssi);
+
+    return {
+      networks,
+      count: networks.length
+    };
+  } catch (error) {
+    console.error('Error scanning Wi-Fi networks:', error);
+    return {
+      error: 'Failed to scan Wi-Fi networks',
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Get cellular network and signal information using Termux API
+ * @returns {Promise<Object>} Cellular information
+ */
+async function getCellularInfo() {
+  try {
+    if (!(await isTermuxApiAvailable())) {
+      return {
+        error: 'Termux API not available',
+        message: 'Install termux-api package and Termux:API app'
+      };
+    }
+
+    const [device, cellInfo] = await Promise.all([
+      runTermuxJson('termux-telephony-deviceinfo'),
+      runTermuxJson('termux-telephony-cellinfo')
+    ]);
+    const cells = cellInfo.map(cell => ({
+      type: cell.type,
+      registered: Boolean(cell.registered),
+      dbm: typeof cell.dbm === 'number' ? cell.dbm : null,
+      level: typeof cell.level === 'number' ? cell.level : null,
+      asu: typeof cell.asu === 'number' ? cell.asu : null
+    }));
+
+    // The serving cell is the registered one; neighbours are listed after it
+    const serving = cells.find(cell => cell.registered) || null;
+
+    return {
+      available: device.sim_state === 'ready',
+      simState: device.sim_state,
+      networkType: device.network_type || null,
+      operator: device.network_operator_name || device.sim_operator_name || null,
+      roaming: Boolean(device.network_roaming),
+      dataState: device.data_state || null,
+      dbm: serving ? serving.dbm : null,
+      signalLevel: serving ? serving.level : null,
+      cells
+    };
+  } catch (error) {
+    console.error('Error getting cellular info:', error);
+    return {
+      error: 'Failed to get cellular information',
+      message: error.message
+    };
+  }
+}
+
 /**
  * Collect Android-specific information
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fresh] - Re-query the radios instead of using their cache
  * @returns {Promise<Object>} Android system information
  */
-async function collectAndroidInfo() {
+async function collectAndroidInfo({ fresh = false } = {}) {
   try {
-    const now = Date.now();
-    
-    // Return cached data if still valid
-    if (androidCache && (now - androidCacheTime) < ANDROID_CACHE_TTL) {
-      return androidCache;
-    }
-    
-    // Skip Android collection on non-Linux platforms
-    if (process.platform !== 'linux') {
+    // Skip Android collection on non-Linux platforms (Termux reports 'android')
+    if (!['linux', 'android'].includes(process.platform)) {
       return {
         available: false,
         reason: `Android features not available on ${process.platform}`
       };
     }
     
-    const [battery, thermal, device] = await Promise.allSettled([
+    const termuxApi = await isTermuxApiAvailable();
+    const [battery, thermal, device, wifi, wifiScan, cellular] = await Promise.allSettled([
       getBatteryInfo(),
       getThermalInfo(),
-      getDeviceInfo()
+      getDeviceInfo(),
+      termuxApi ? cachedSource('wifi', WIFI_CACHE_TTL, getWifiInfo, fresh) : null,
+      termuxApi ? cachedSource('wifiScan', WIFI_SCAN_CACHE_TTL, getWifiScan, fresh) : null,
+      termuxApi ? cachedSource('cellular', CELLULAR_CACHE_TTL, getCellularInfo, fresh) : null
     ]);
+
+    const connectivity = {};
+    if (wifi.value) {
+      connectivity.wifi = { ...wifi.value };
+      if (wifiScan.value) {
+        connectivity.wifi.scan = wifiScan.value;
+      }
+    }
+    if (cellular.value) {
+      connectivity.cellular = cellular.value;
+    }
     
-    const result = {
+    return {
       available: true,
-      termuxApi: isTermuxApiAvailable(),
+      termuxApi,
       battery: battery.status === 'fulfilled' ? battery.value : { error: battery.reason },
       thermal: thermal.status === 'fulfilled' ? thermal.value : { error: thermal.reason },
       device: device.status === 'fulfilled' ? device.value : { error: device.reason },
+      ...connectivity,
       timestamp: new Date().toISOString()
     };
-    
-    androidCache = result;
-    androidCacheTime = now;
-    
-    return result;
   } catch (error) {
     console.error('Error collecting Android info:', error);
     return {
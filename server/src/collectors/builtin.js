@@ -0,0 +1,80 @@
+const collectHostInfo = require('./host');
+const collectMemoryInfo = require('./memory');
+const collectCpuInfo = require('./cpu');
+const collectDiskInfo = require('./disk');
+const collectNetworkInfo = require('./network');
+const collectAndroidInfo = require('./android');
+
+/**
+ * Collectors that make up the /api/metrics snapshot out of the box
+ * TTLs are defaults; CACHE_TTL_<NAME> overrides them. Collectors without a
+ * ttl use METRICS_CACHE_TTL.
+ */
+module.exports = [
+  {
+    name: 'host',
+    description: 'Hostname, OS and uptime',
+    collect: collectHostInfo,
+    timeout: 2000,
+    schema: {
+      type: 'object',
+      required: ['hostname', 'platform', 'uptime']
+    }
+  },
+  {
+    name: 'memory',
+    description: 'RAM, swap and zram usage',
+    collect: collectMemoryInfo,
+    timeout: 2000,
+    schema: {
+      type: 'object',
+      required: ['total', 'used', 'usage'],
+      properties: { usage: { type: 'number' } }
+    }
+  },
+  {
+    name: 'cpu',
+    description: 'Overall and per-core usage, frequency and load',
+    collect: collectCpuInfo,
+    ttl: 1000, // Shorter windows make the usage deltas meaningless
+    timeout: 5000,
+    schema: {
+      type: 'object',
+      required: ['usage', 'loadavg', 'cores'],
+      // usage is null where /proc/stat can't be read (Termux on Android 8+)
+      properties: { usage: { type: ['number', 'null'] }, loadavg: { type: 'array', items: { type: 'number' } } }
+    }
+  },
+  {
+    name: 'disk',
+    description: 'Filesystem capacity and block device I/O',
+    collect: collectDiskInfo,
+    ttl: 1000, // I/O rates; df has its own 30s cache (disk.filesystems)
+    timeout: 15000,
+    schema: {
+      type: 'object',
+      required: ['filesystems', 'io'],
+      properties: { filesystems: { type: 'array' } }
+    }
+  },
+  {
+    name: 'network',
+    description: 'Per-interface traffic, rates and link details',
+    collect: collectNetworkInfo,
+    ttl: 2000,
+    timeout: 5000,
+    schema: { type: 'object' }
+  },
+  {
+    name: 'android',
+    description: 'Battery, thermal, device and radio info via Termux',
+    platforms: ['linux', 'android'],
+    collect: collectAndroidInfo,
+    ttl: 5000, // Radios have their own caches (android.wifi, android.wifiScan, android.cellular)
+    timeout: 30000,
+    schema: {
+      type: 'object',
+      required: ['available']
+    }
+  }
+];
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const { cache } = require('../utils/cache');
+
+const CONNECTIONS_CACHE_TTL = 3000; // Default refresh interval, 3 seconds
+
+const SOCKET_TABLES = ['tcp', 'tcp6', 'udp', 'udp6'];
+
+const TCP_STATES = {
+  '01': 'ESTABLISHED',
+  '02': 'SYN_SENT',
+  '03': 'SYN_RECV',
+  '04': 'FIN_WAIT1',
+  '05': 'FIN_WAIT2',
+  '06': 'TIME_WAIT',
+  '07': 'CLOSE',
+  '08': 'CLOSE_WAIT',
+  '09': 'LAST_ACK',
+  '0A': 'LISTEN',
+  '0B': 'CLOSING'
+};
+
+/**
+ * Decode a hex address from /proc/net/{tcp,udp}[6]
+ * Addresses are stored as 32-bit words in host (little-endian) byte order.
+ * @param {string} hex - Hex encoded address
+ * @returns {string} IPv4 or IPv6 address
+ */
+function decodeAddress(hex) {
+  if (hex.length === 8) {
+    return [6, 4, 2, 0].map(offset => parseInt(hex.substr(offset, 2), 16)).join('.');
+  }
+
+  // IPv6: four little-endian 32-bit words
+  const bytes = [];
+  for (let word = 0; word < 4; word++) {
+    const chunk = hex.substr(word * 8, 8);
+    bytes.push(...[6, 4, 2, 0].map(offset => parseInt(chunk.substr(offset, 2), 16)));
+  }
+
+  // IPv4-mapped addresses (::ffff:a.b.c.d) are shown as plain IPv4
+  if (bytes.slice(0, 10).every(byte => byte === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+    return bytes.slice(12).join('.');
+  }
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+  }
+
+  // Compress the longest run of zero groups
+  const address = groups.join(':');
+  const runs = address.match(/(^|:)0(:0)+(:|$)/g);
+  if (!runs) return address;
+  const longest = runs.reduce((a, b) => (b.length > a.length ? b : a));
+  return address.replace(longest, '::');
+}
+
+/**
+ * Parse one socket table
+ * @param {string} protocol - tcp, tcp6, udp or udp6
+ * @returns {Array<Object>} Sockets
+ */
+function parseSocketTable(protocol) {
+  const lines = fs.readFileSync(`/proc/net/${protocol}`, 'utf8').trim().split('\n').slice(1);
+  const isTcp = protocol.startsWith('tcp');
+
+  return lines.map(line => {
+    const parts = line.trim().split(/\s+/);
+    const [localHex, localPortHex] = parts[1].split(':');
+    const [remoteHex, remotePortHex] = parts[2].split(':');
+    const stateCode = parts[3].toUpperCase();
+    const remotePort = parseInt(remotePortHex, 16);
+
+    let state;
+    if (isTcp) {
+      state = TCP_STATES[stateCode] || stateCode;
+    } else {
+      // Unconnected UDP sockets are effectively listening
+      state = remotePort === 0 ? 'LISTEN' : 'ESTABLISHED';
+    }
+
+    return {
+      protocol,
+      localAddress: decodeAddress(localHex),
+      localPort: parseInt(localPortHex, 16),
+      remoteAddress: decodeAddress(remoteHex),
+      remotePort,
+      state,
+      uid: parseInt(parts[7]),
+      inode: parseInt(parts[9])
+    };
+  });
+}
+
+/**
+ * Map socket inodes to the processes that own them via /proc/[pid]/fd
+ * Only processes whose fd directory is readable are included.
+ * @returns {Map<number, Object>} Inode to { pid, name }
+ */
+function mapSocketOwners() {
+  const owners = new Map();
+
+  for (const pid of fs.readdirSync('/proc').filter(entry => /^\d+$/.test(entry))) {
+    let fds;
+    try {
+      fds = fs.readdirSync(`/proc/${pid}/fd`);
+    } catch (error) {
+      continue; // Not ours to look at, or already exited
+    }
+
+    let name = null;
+    for (const fd of fds) {
+      try {
+        const match = fs.readlinkSync(`/proc/${pid}/fd/${fd}`).match(/^socket:\[(\d+)\]$/);
+        if (!match) continue;
+
+        if (name === null) {
+          try {
+            name = fs.readFileSync(`/proc/${pid}/comm`, 'utf8').trim();
+          } catch (error) {
+            name = '';
+          }
+        }
+        owners.set(parseInt(match[1]), { pid: parseInt(pid), name: name || null });
+      } catch (error) {
+        // fd closed while scanning
+      }
+    }
+  }
+
+  return owners;
+}
+
+/**
+ * Read TCP/UDP sockets with their owning processes
+ * @returns {Promise<Object>} Socket information
+ */
+async function readConnections() {
+  try {
+    if (!fs.existsSync('/proc/net')) {
+      return {
+        error: 'Socket table not available',
+        message: `Connection inspection requires /proc/net (not available on ${process.platform})`
+      };
+    }
+
+    const connections = [];
+    const unavailable = [];
+
+    for (const protocol of SOCKET_TABLES) {
+      try {
+        connections.push(...parseSocketTable(protocol));
+      } catch (error) {
+        // Android 10+ denies /proc/net to apps; tcp6/udp6 are missing without IPv6
+        unavailable.push({ table: protocol, message: error.code || error.message });
+      }
+    }
+
+    const owners = mapSocketOwners();
+    for (const connection of connections) {
+      const owner = owners.get(connection.inode);
+      connection.pid = owner ? owner.pid : null;
+      connection.process = owner ? owner.name : null;
+    }
+
+    return {
+      connections,
+      listening: connections.filter(connection => connection.state === 'LISTEN').length,
+      established: connections.filter(connection => connection.state === 'ESTABLISHED').length,
+      unavailable,
+      partial: unavailable.some(entry => entry.message === 'EACCES'),
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('Error collecting connection info:', error);
+    return {
+      error: 'Failed to collect connection information',
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Collect TCP/UDP sockets with their owning processes
+ * Served from the shared cache (CACHE_TTL_CONNECTIONS).
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fresh] - Re-read the socket tables
+ * @returns {Promise<Object>} Socket information
+ */
+async function collectConnectionInfo({ fresh = false } = {}) {
+  const { value } = await cache.get('connections', readConnections, { ttl: CONNECTIONS_CACHE_TTL, fresh });
+  return value;
+}
+
+module.exports = collectConnectionInfo;
@@ -1,94 +1,246 @@
 const os = require('os');
 const fs = require('fs');
 
-// Cache for CPU usage calculation
-let lastCpuUsage = null;
-let lastMeasureTime = null;
+const CPU_SYSFS = '/sys/devices/system/cpu';
+
+// Platforms with /proc and sysfs; Termux reports 'android'
+const PROCFS_PLATFORMS = ['linux', 'android'];
+
+// Previous CPU time counters, for delta calculation
+let lastSample = null;
+let procStatWarned = false; // Unreadable on Android 8+ without root; say so once, not every tick
+const SAMPLE_WINDOW = 250; // Baseline window when there is no recent sample
+const SAMPLE_MAX_AGE = 30000; // Older samples are too coarse to be useful
+
+const MODES = ['user', 'nice', 'system', 'idle', 'iowait', 'irq', 'softirq', 'steal'];
 
 /**
- * Calculate CPU usage percentage from /proc/stat on Linux
- * @returns {Promise<number>} CPU usage percentage
+ * Read CPU time counters for the whole CPU and every online core
+ * On Linux and Android these come from /proc/stat (in clock ticks); elsewhere from
+ * os.cpus() (in milliseconds). Only ratios are used, so units don't matter.
+ * @returns {Object|null} Map of 'cpu' / 'cpuN' to mode counters, or null
+ *   when neither source has any (e.g. Termux, where both are blocked)
  */
-async function calculateCpuUsage() {
-  if (os.platform() !== 'linux') {
-    // For non-Linux systems, return load average as approximation
-    const loadavg = os.loadavg();
-    return loadavg[0] * 10; // Rough approximation
+function readCpuTimes() {
+  const times = {};
+
+  if (PROCFS_PLATFORMS.includes(os.platform())) {
+    try {
+      const lines = fs.readFileSync('/proc/stat', 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.startsWith('cpu')) continue;
+
+        // guest/guest_nice are already included in user/nice, so only the first 8 fields count
+        const [name, ...values] = line.trim().split(/\s+/);
+        times[name] = {};
+        MODES.forEach((mode, index) => {
+          times[name][mode] = parseInt(values[index]) || 0;
+        });
+      }
+      return times;
+    } catch (error) {
+      if (!procStatWarned) {
+        console.error(`Error reading /proc/stat, CPU usage will come from os.cpus(): ${error.message}`);
+        procStatWarned = true;
+      }
+    }
   }
-  
-  try {
-    const cpuInfo = fs.readFileSync('/proc/stat', 'utf8');
-    const lines = cpuInfo.trim().split('\n');
-    const cpuLine = lines[0].split(/\s+/);
-    
-    // Parse CPU times
-    const idle = parseInt(cpuLine[4]);
-    const iowait = parseInt(cpuLine[5]) || 0;
-    const total = cpuLine.slice(1, 8).reduce((sum, time) => sum + parseInt(time), 0);
-    
-    const currentTime = Date.now();
-    
-    if (lastCpuUsage && lastMeasureTime) {
-      const totalDiff = total - lastCpuUsage.total;
-      const idleDiff = (idle + iowait) - (lastCpuUsage.idle + lastCpuUsage.iowait);
-      
-      const usage = totalDiff > 0 ? ((totalDiff - idleDiff) / totalDiff) * 100 : 0;
-      
-      lastCpuUsage = { total, idle, iowait };
-      lastMeasureTime = currentTime;
-      
-      return Math.max(0, Math.min(100, usage));
+
+  // os.cpus() has no iowait/softirq/steal breakdown
+  const total = Object.fromEntries(MODES.map(mode => [mode, 0]));
+  os.cpus().forEach((cpu, index) => {
+    const core = {
+      ...Object.fromEntries(MODES.map(mode => [mode, 0])),
+      user: cpu.times.user,
+      nice: cpu.times.nice,
+      system: cpu.times.sys,
+      idle: cpu.times.idle,
+      irq: cpu.times.irq
+    };
+    times[`cpu${index}`] = core;
+    MODES.forEach(mode => { total[mode] += core[mode]; });
+  });
+  times.cpu = total;
+  return MODES.some(mode => total[mode] > 0) ? times : null;
+}
+
+/**
+ * Turn two counter readings into usage percentages
+ * @param {Object} previous - Earlier counters
+ * @param {Object} current - Later counters
+ * @returns {Object|null} Overall usage plus per-mode breakdown (percent), or
+ *   null when the counters didn't move at all
+ */
+function computeUsage(previous, current) {
+  const deltas = {};
+  let total = 0;
+
+  for (const mode of MODES) {
+    // Counters can go backwards when a core is hotplugged, clamp at 0
+    deltas[mode] = Math.max(0, current[mode] - previous[mode]);
+    total += deltas[mode];
+  }
+  if (total === 0) return null;
+
+  const percent = (value) => parseFloat(((value / total) * 100).toFixed(2));
+  const breakdown = {};
+  MODES.forEach(mode => { breakdown[mode] = percent(deltas[mode]); });
+
+  return {
+    usage: percent(total - deltas.idle - deltas.iowait),
+    breakdown
+  };
+}
+
+/**
+ * Parse a sysfs CPU list such as "0-3,6"
+ * @param {string} list - CPU list
+ * @returns {Array<number>} CPU indexes
+ */
+function parseCpuList(list) {
+  const cpus = [];
+  for (const part of list.trim().split(',')) {
+    if (!part) continue;
+    const [start, end] = part.split('-').map(Number);
+    for (let cpu = start; cpu <= (end !== undefined ? end : start); cpu++) {
+      cpus.push(cpu);
     }
-    
-    // First measurement, store baseline
-    lastCpuUsage = { total, idle, iowait };
-    lastMeasureTime = currentTime;
-    
-    // Return load average for first call
-    const loadavg = os.loadavg();
-    return Math.min(100, loadavg[0] * 10);
+  }
+  return cpus;
+}
+
+/**
+ * Read a sysfs value, returning null when missing or unreadable
+ * @param {string} file - Path relative to /sys/devices/system/cpu
+ * @returns {string|null} Trimmed file content
+ */
+function readSysfs(file) {
+  try {
+    return fs.readFileSync(`${CPU_SYSFS}/${file}`, 'utf8').trim();
   } catch (error) {
-    console.error('Error calculating CPU usage:', error);
-    // Fallback to load average
-    const loadavg = os.loadavg();
-    return Math.min(100, loadavg[0] * 10);
+    return null;
+  }
+}
+
+/**
+ * Read frequency, governor and online state for every present core
+ * Frequencies are reported in MHz.
+ * @returns {Array<Object>} Per-core topology data (empty when sysfs is unavailable)
+ */
+function readCoreTopology() {
+  const present = readSysfs('present');
+  if (!PROCFS_PLATFORMS.includes(os.platform()) || present === null) {
+    return [];
+  }
+
+  const online = new Set(parseCpuList(readSysfs('online') || ''));
+  const toMhz = (value) => (value !== null && !Number.isNaN(parseInt(value)) ? Math.round(parseInt(value) / 1000) : null);
+
+  return parseCpuList(present).map(core => {
+    const cpufreq = `cpu${core}/cpufreq`;
+    return {
+      core,
+      online: online.has(core),
+      frequency: {
+        current: toMhz(readSysfs(`${cpufreq}/scaling_cur_freq`)),
+        min: toMhz(readSysfs(`${cpufreq}/cpuinfo_min_freq`)),
+        max: toMhz(readSysfs(`${cpufreq}/cpuinfo_max_freq`)),
+        scalingMax: toMhz(readSysfs(`${cpufreq}/scaling_max_freq`))
+      },
+      governor: readSysfs(`${cpufreq}/scaling_governor`),
+      relatedCpus: readSysfs(`${cpufreq}/related_cpus`)
+    };
+  });
+}
+
+/**
+ * Group cores into clusters (big.LITTLE)
+ * Cores sharing a cpufreq policy form a cluster; without cpufreq data,
+ * cores with the same max frequency are grouped instead.
+ * @param {Array<Object>} topology - Per-core topology data
+ * @returns {Array<Object>} Clusters, slowest first
+ */
+function groupClusters(topology) {
+  const groups = new Map();
+
+  for (const core of topology) {
+    const key = core.relatedCpus || `max:${core.frequency.max}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(core);
   }
+
+  return Array.from(groups.values())
+    .sort((a, b) => (a[0].frequency.max || 0) - (b[0].frequency.max || 0) || a[0].core - b[0].core)
+    .map((cores, index) => ({
+      id: index,
+      cores: cores.map(core => core.core),
+      minFrequency: cores[0].frequency.min,
+      maxFrequency: cores[0].frequency.max,
+      governor: cores[0].governor
+    }));
 }
 
 /**
  * Collect CPU information and usage
+ * Usage is the delta from the previous call, so calls must not overlap;
+ * the collector cache runs one collection at a time.
  * @returns {Promise<Object>} CPU information
  */
 async function collectCpuInfo() {
   try {
     const cpus = os.cpus();
     const loadavg = os.loadavg();
-    let usage = await calculateCpuUsage();
-    
-    // Individual core usage calculation
-    const coreUsage = cpus.map((cpu, index) => {
-      const total = Object.values(cpu.times).reduce((acc, time) => acc + time, 0);
-      const idle = cpu.times.idle;
-      const coreUsagePercent = total > 0 ? ((total - idle) / total) * 100 : 0;
+
+    // Without a recent sample, take a baseline first so usage reflects current activity
+    if (!lastSample || Date.now() - lastSample.time > SAMPLE_MAX_AGE) {
+      lastSample = { time: Date.now(), times: readCpuTimes() };
+      await new Promise(resolve => setTimeout(resolve, SAMPLE_WINDOW));
+    }
+
+    const times = readCpuTimes();
+    const previous = lastSample.times;
+    lastSample = { time: Date.now(), times };
+
+    // Usage is null rather than 0 when there are no counters to compare
+    const overall = (times && previous && computeUsage(previous.cpu, times.cpu)) || { usage: null, breakdown: null };
+    const topology = readCoreTopology();
+    const clusters = groupClusters(topology);
+
+    // Offline cores are missing from /proc/stat but still listed in sysfs
+    const coreIndexes = topology.length > 0
+      ? topology.map(core => core.core)
+      : Object.keys(times || {}).filter(name => name !== 'cpu').map(name => parseInt(name.slice(3)));
+
+    const coreUsage = coreIndexes.map(index => {
+      const name = `cpu${index}`;
+      const info = topology.find(core => core.core === index);
+      const cluster = clusters.find(group => group.cores.includes(index));
+      const online = info ? info.online : true;
+      const usage = online && times && previous && times[name] && previous[name] ? computeUsage(previous[name], times[name]) : null;
+
       return {
         core: index,
-        usage: parseFloat(Math.min(100, coreUsagePercent).toFixed(2))
+        online,
+        usage: usage ? usage.usage : null,
+        breakdown: usage ? usage.breakdown : null,
+        frequency: info ? info.frequency : { current: cpus[index] ? cpus[index].speed : null, min: null, max: null, scalingMax: null },
+        governor: info ? info.governor : null,
+        cluster: cluster ? cluster.id : 0
       };
     });
-    
-    // If overall usage is 0 but we have core data, calculate average
-    if (usage === 0 && coreUsage.length > 0) {
-      const totalCoreUsage = coreUsage.reduce((sum, core) => sum + core.usage, 0);
-      usage = totalCoreUsage / coreUsage.length;
-    }
-    
+
     return {
-      usage: parseFloat(usage.toFixed(2)),
+      usage: overall.usage,
+      breakdown: overall.breakdown,
       loadavg: loadavg.map(load => parseFloat(load.toFixed(3))),
-      cores: cpus.length,
+      cores: coreUsage.length || cpus.length,
+      onlineCores: coreUsage.filter(core => core.online).length || cpus.length,
       model: cpus[0] ? cpus[0].model : 'Unknown',
       speed: cpus[0] ? cpus[0].speed : 0,
-      coreUsage: coreUsage
+      coreUsage,
+      clusters
     };
   } catch (error) {
     console.error('Error collecting CPU info:', error);
@@ -102,4 +254,4 @@ async function collectCpuInfo() {
   }
 }
 
-module.exports = collectCpuInfo;
\ No newline at end of file
+module.exports = collectCpuInfo;
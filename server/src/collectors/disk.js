@@ -1,9 +1,8 @@
-const { execSync } = require('child_process');
+const { runCommand } = require('../utils/exec');
+const { cache } = require('../utils/cache');
+const collectDiskIoInfo = require('./diskio');
 
-// Cache for disk usage (avoid calling df too frequently)
-let diskCache = null;
-let diskCacheTime = 0;
-const DISK_CACHE_TTL = 30000; // 30 seconds
+const DISK_CACHE_TTL = 30000; // Default df interval, 30 seconds
 
 /**
  * Parse df output into structured data
@@ -69,81 +68,86 @@ function formatSize(bytes) {
 }
 
 /**
- * Collect disk usage information
- * @returns {Promise<Array>} Disk usage data
+ * Read filesystem capacity from df (or wmic on Windows)
+ * @returns {Promise<Array>} Disk usage data per filesystem
  */
-async function collectDiskInfo() {
-  try {
-    const now = Date.now();
+async function readFilesystems() {
+  if (process.platform === 'win32') {
+    // Windows: use wmic to get disk info
+    const output = await runCommand('wmic', ['logicaldisk', 'get', 'size,freespace,caption'], { timeout: 5000 });
     
-    // Return cached data if still valid
-    if (diskCache && (now - diskCacheTime) < DISK_CACHE_TTL) {
-      return diskCache;
-    }
+    const lines = output.trim().split('\n').slice(1);
+    const disks = [];
     
-    let command;
-    if (process.platform === 'win32') {
-      // Windows: use wmic to get disk info
-      try {
-        const output = execSync('wmic logicaldisk get size,freespace,caption', { 
-          encoding: 'utf8', 
-          timeout: 5000 
-        });
+    for (const line of lines) {
+      const parts = line.trim().split(/\s+/);
+      if (parts.length >= 3 && parts[0] && parts[1] && parts[2]) {
+        const [caption, freespace, size] = parts;
+        const used = parseInt(size) - parseInt(freespace);
+        const usagePercent = size > 0 ? Math.round((used / parseInt(size)) * 100) : 0;
         
-        const lines = output.trim().split('\n').slice(1);
-        const disks = [];
-        
-        for (const line of lines) {
-          const parts = line.trim().split(/\s+/);
-          if (parts.length >= 3 && parts[0] && parts[1] && parts[2]) {
-            const [caption, freespace, size] = parts;
-            const used = parseInt(size) - parseInt(freespace);
-            const usagePercent = size > 0 ? Math.round((used / parseInt(size)) * 100) : 0;
-            
-            disks.push({
-              filesystem: caption,
-              size: formatSize(parseInt(size)),
-              used: formatSize(used),
-              available: formatSize(parseInt(freespace)),
-              usage: `${usagePercent}%`,
-              usagePercent: usagePercent,
-              mountpoint: caption,
-              sizeBytes: parseInt(size),
-              usedBytes: used,
-              availableBytes: parseInt(freespace)
-            });
-          }
-        }
-        
-        diskCache = disks;
-        diskCacheTime = now;
-        return disks;
-      } catch (error) {
-        console.error('Error getting Windows disk info:', error);
-        return [{
-          error: 'Failed to collect Windows disk information',
-          message: error.message
-        }];
+        disks.push({
+          filesystem: caption,
+          size: formatSize(parseInt(size)),
+          used: formatSize(used),
+          available: formatSize(parseInt(freespace)),
+          usage: `${usagePercent}%`,
+          usagePercent: usagePercent,
+          mountpoint: caption,
+          sizeBytes: parseInt(size),
+          usedBytes: used,
+          availableBytes: parseInt(freespace)
+        });
       }
-    } else {
-      // Unix-like systems: use df
-      command = 'df -kP'; // POSIX format, sizes in KB
-      const output = execSync(command, { 
-        encoding: 'utf8', 
-        timeout: 5000 
-      });
-      
-      diskCache = parseDfOutput(output);
-      diskCacheTime = now;
-      return diskCache;
     }
+    
+    return disks;
+  }
+
+  // Unix-like systems: use df
+  // POSIX format, sizes in KB
+  const output = await runCommand('df', ['-kP'], { timeout: 5000 });
+  return parseDfOutput(output);
+}
+
+/**
+ * Collect filesystem capacity information
+ * Capacity changes slowly, so df runs at most every 30 seconds
+ * (CACHE_TTL_DISK_FILESYSTEMS) even though I/O rates refresh every second.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fresh] - Run df even if a cached result exists
+ * @returns {Promise<Array>} Disk usage data per filesystem
+ */
+async function collectFilesystems({ fresh = false } = {}) {
+  try {
+    const { value } = await cache.get('disk.filesystems', readFilesystems, { ttl: DISK_CACHE_TTL, fresh });
+    return value;
   } catch (error) {
     console.error('Error collecting disk info:', error);
     return [{
-      error: 'Failed to collect disk information',
+      error: process.platform === 'win32'
+        ? 'Failed to collect Windows disk information'
+        : 'Failed to collect disk information',
       message: error.message
     }];
   }
 }
 
+/**
+ * Collect disk capacity and I/O information
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fresh] - Bypass the filesystem cache
+ * @returns {Promise<Object>} { filesystems, io }
+ */
+async function collectDiskInfo({ fresh = false } = {}) {
+  const filesystems = await collectFilesystems({ fresh });
+  const mounted = filesystems.filter(entry => !entry.error);
+  const io = await collectDiskIoInfo(mounted);
+
+  return {
+    filesystems,
+    io
+  };
+}
+
 module.exports = collectDiskInfo;
\ No newline at end of file
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+
+// Previous /proc/diskstats counters, for delta calculation
+let lastSample = null;
+const SAMPLE_WINDOW = 250; // Baseline window when there is no recent sample
+const SAMPLE_MAX_AGE = 30000; // Older samples are too coarse to be useful
+
+const SECTOR_SIZE = 512; // diskstats always counts 512-byte sectors
+const VIRTUAL_DEVICES = /^(loop|ram|zram|nbd|sr)\d/;
+
+/**
+ * Parse /proc/diskstats
+ * @returns {Object} Map of device name to raw counters
+ */
+function readDiskstats() {
+  const devices = {};
+
+  for (const line of fs.readFileSync('/proc/diskstats', 'utf8').trim().split('\n')) {
+    const parts = line.trim().split(/\s+/);
+    if (parts.length < 14) continue;
+
+    const values = parts.slice(3).map(Number);
+    devices[parts[2]] = {
+      reads: values[0],
+      readSectors: values[2],
+      readTimeMs: values[3],
+      writes: values[4],
+      writeSectors: values[6],
+      writeTimeMs: values[7],
+      inFlight: values[8],
+      ioTimeMs: values[9]
+    };
+  }
+
+  return devices;
+}
+
+/**
+ * Map block device names to the mountpoints that use them
+ * Filesystem paths like /dev/block/dm-0 or /dev/mapper/userdata are
+ * resolved through their symlinks to the kernel device name.
+ * @param {Array<Object>} filesystems - Entries from the df collector
+ * @returns {Object} Map of device name to mountpoints
+ */
+function mapMountpoints(filesystems) {
+  const mounts = {};
+
+  for (const entry of filesystems || []) {
+    if (!entry.filesystem || !entry.filesystem.startsWith('/dev/')) continue;
+
+    let device;
+    try {
+      device = path.basename(fs.realpathSync(entry.filesystem));
+    } catch (error) {
+      device = path.basename(entry.filesystem);
+    }
+
+    (mounts[device] = mounts[device] || []).push(entry.mountpoint);
+  }
+
+  return mounts;
+}
+
+/**
+ * Compute per-device rates between two diskstats samples
+ * @param {Object} previous - Earlier counters
+ * @param {Object} current - Later counters
+ * @param {number} elapsedMs - Time between samples
+ * @returns {Object} Rates and latencies
+ */
+function computeRates(previous, current, elapsedMs) {
+  // Counters reset when a device is re-attached, clamp at 0
+  const delta = (key) => Math.max(0, current[key] - previous[key]);
+  const perSecond = (value) => parseFloat(((value / elapsedMs) * 1000).toFixed(2));
+  const reads = delta('reads');
+  const writes = delta('writes');
+
+  return {
+    readBytesPerSec: perSecond(delta('readSectors') * SECTOR_SIZE),
+    writeBytesPerSec: perSecond(delta('writeSectors') * SECTOR_SIZE),
+    readIops: perSecond(reads),
+    writeIops: perSecond(writes),
+    readLatencyMs: reads > 0 ? parseFloat((delta('readTimeMs') / reads).toFixed(2)) : 0,
+    writeLatencyMs: writes > 0 ? parseFloat((delta('writeTimeMs') / writes).toFixed(2)) : 0,
+    utilization: parseFloat(Math.min(100, (delta('ioTimeMs') / elapsedMs) * 100).toFixed(2))
+  };
+}
+
+/**
+ * Collect disk I/O throughput, IOPS, latency and utilisation per block device
+ * Rates are the delta from the previous call, so calls must not overlap;
+ * the disk collector's cache runs one collection at a time.
+ * @param {Array<Object>} filesystems - Entries from the df collector, for mountpoint mapping
+ * @returns {Promise<Object>} Disk I/O information
+ */
+async function collectDiskIoInfo(filesystems) {
+  try {
+    if (!fs.existsSync('/proc/diskstats')) {
+      return {
+        available: false,
+        reason: `Disk I/O statistics not available on ${process.platform}`,
+        devices: []
+      };
+    }
+
+    // Without a recent sample, take a baseline first so rates reflect current activity
+    if (!lastSample || Date.now() - lastSample.time > SAMPLE_MAX_AGE) {
+      lastSample = { time: Date.now(), devices: readDiskstats() };
+      await new Promise(resolve => setTimeout(resolve, SAMPLE_WINDOW));
+    }
+
+    const now = Date.now();
+    const current = readDiskstats();
+    const previous = lastSample.devices;
+    const elapsedMs = now - lastSample.time;
+    lastSample = { time: now, devices: current };
+
+    const mounts = mapMountpoints(filesystems);
+    const devices = [];
+
+    for (const [device, counters] of Object.entries(current)) {
+      if (VIRTUAL_DEVICES.test(device)) continue;
+
+      // Whole disks always, partitions only when something is mounted from them
+      const isDisk = fs.existsSync(`/sys/block/${device}`);
+      if (!isDisk && !mounts[device]) continue;
+      if (counters.reads === 0 && counters.writes === 0) continue;
+
+      const rates = previous[device] && elapsedMs > 0
+        ? computeRates(previous[device], counters, elapsedMs)
+        : computeRates(counters, counters, 1);
+
+      devices.push({
+        device,
+        type: isDisk ? 'disk' : 'partition',
+        mountpoints: mounts[device] || [],
+        ...rates,
+        inFlight: counters.inFlight,
+        readBytes: counters.readSectors * SECTOR_SIZE,
+        writtenBytes: counters.writeSectors * SECTOR_SIZE,
+        reads: counters.reads,
+        writes: counters.writes,
+        ioTimeMs: counters.ioTimeMs
+      });
+    }
+
+    return {
+      available: true,
+      intervalMs: elapsedMs,
+      devices
+    };
+  } catch (error) {
+    console.error('Error collecting disk I/O info:', error);
+    return {
+      available: false,
+      error: 'Failed to collect disk I/O information',
+      message: error.message,
+      devices: []
+    };
+  }
+}
+
+module.exports = collectDiskIoInfo;
@@ -1,28 +1,139 @@
 const os = require('os');
+const fs = require('fs');
+
+/**
+ * Parse /proc/meminfo into bytes
+ * @returns {Object|null} Map of field name to bytes, or null if unreadable
+ */
+function readMeminfo() {
+  try {
+    const fields = {};
+    for (const line of fs.readFileSync('/proc/meminfo', 'utf8').split('\n')) {
+      const match = line.match(/^([\w()]+):\s+(\d+)(?:\s+kB)?/);
+      if (match) {
+        fields[match[1]] = parseInt(match[2]) * 1024;
+      }
+    }
+    return fields.MemTotal ? fields : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read zram device statistics from /sys/block/zram*
+ * mm_stat columns: orig_data_size compr_data_size mem_used_total mem_limit ...
+ * @returns {Array<Object>} Active zram devices
+ */
+function readZramStats() {
+  const devices = [];
+
+  try {
+    for (const device of fs.readdirSync('/sys/block').filter(name => name.startsWith('zram'))) {
+      try {
+        const disksize = parseInt(fs.readFileSync(`/sys/block/${device}/disksize`, 'utf8'));
+        if (!disksize) continue; // Not initialised
+
+        const [origDataSize, comprDataSize, memUsedTotal] = fs
+          .readFileSync(`/sys/block/${device}/mm_stat`, 'utf8')
+          .trim()
+          .split(/\s+/)
+          .map(Number);
+
+        devices.push({
+          device,
+          diskSize: disksize,
+          origDataSize,
+          comprDataSize,
+          memUsedTotal,
+          compressionRatio: comprDataSize > 0 ? parseFloat((origDataSize / comprDataSize).toFixed(2)) : null
+        });
+      } catch (error) {
+        // Device without mm_stat (old kernel) or not readable, skip it
+      }
+    }
+  } catch (error) {
+    // No /sys/block
+  }
+
+  return devices;
+}
+
+/**
+ * Add human readable sizes in MB and GB
+ * @param {Object} stats - Memory statistics with total/used/free in bytes
+ * @returns {Object} Statistics including the formatted fields
+ */
+function withReadableSizes(stats) {
+  return {
+    ...stats,
+    totalMB: (stats.total / 1024 / 1024).toFixed(2),
+    usedMB: (stats.used / 1024 / 1024).toFixed(2),
+    freeMB: (stats.free / 1024 / 1024).toFixed(2),
+    totalGB: (stats.total / 1024 / 1024 / 1024).toFixed(2),
+    usedGB: (stats.used / 1024 / 1024 / 1024).toFixed(2),
+    freeGB: (stats.free / 1024 / 1024 / 1024).toFixed(2)
+  };
+}
 
 /**
  * Collect memory information
+ * On Linux/Android usage is based on MemAvailable, so reclaimable page cache
+ * doesn't count as used (os.freemem() does, which reads ~90% on Android).
  * @returns {Object} Memory statistics
  */
 function collectMemoryInfo() {
   try {
-    const totalMem = os.totalmem();
-    const freeMem = os.freemem();
-    const usedMem = totalMem - freeMem;
-    
-    return {
-      total: totalMem,
-      used: usedMem,
-      free: freeMem,
-      usage: totalMem > 0 ? ((usedMem / totalMem) * 100).toFixed(2) : 0,
-      // Convert to human readable formats
-      totalMB: (totalMem / 1024 / 1024).toFixed(2),
-      usedMB: (usedMem / 1024 / 1024).toFixed(2),
-      freeMB: (freeMem / 1024 / 1024).toFixed(2),
-      totalGB: (totalMem / 1024 / 1024 / 1024).toFixed(2),
-      usedGB: (usedMem / 1024 / 1024 / 1024).toFixed(2),
-      freeGB: (freeMem / 1024 / 1024 / 1024).toFixed(2)
-    };
+    // Read /proc/meminfo wherever it exists (Linux, and Termux where platform is 'android')
+    const meminfo = readMeminfo();
+
+    if (!meminfo) {
+      const totalMem = os.totalmem();
+      const freeMem = os.freemem();
+      const usedMem = totalMem - freeMem;
+
+      return withReadableSizes({
+        source: 'os',
+        total: totalMem,
+        used: usedMem,
+        free: freeMem,
+        available: freeMem,
+        usage: totalMem > 0 ? parseFloat(((usedMem / totalMem) * 100).toFixed(2)) : 0
+      });
+    }
+
+    const total = meminfo.MemTotal;
+    // MemAvailable is missing on kernels older than 3.14, estimate it there
+    const available = meminfo.MemAvailable !== undefined
+      ? meminfo.MemAvailable
+      : meminfo.MemFree + (meminfo.Cached || 0) + (meminfo.Buffers || 0);
+    const used = total - available;
+
+    const swapTotal = meminfo.SwapTotal || 0;
+    const swapFree = meminfo.SwapFree || 0;
+    const swapUsed = swapTotal - swapFree;
+    const zram = readZramStats();
+
+    return withReadableSizes({
+      source: 'meminfo',
+      total,
+      used,
+      free: meminfo.MemFree,
+      available,
+      usage: total > 0 ? parseFloat(((used / total) * 100).toFixed(2)) : 0,
+      cached: meminfo.Cached || 0,
+      buffers: meminfo.Buffers || 0,
+      shmem: meminfo.Shmem || 0,
+      dirty: meminfo.Dirty || 0,
+      slab: meminfo.Slab || 0,
+      swap: {
+        total: swapTotal,
+        used: swapUsed,
+        free: swapFree,
+        usage: swapTotal > 0 ? parseFloat(((swapUsed / swapTotal) * 100).toFixed(2)) : 0
+      },
+      zram
+    });
   } catch (error) {
     console.error('Error collecting memory info:', error);
     return {
@@ -32,4 +143,4 @@ function collectMemoryInfo() {
   }
 }
 
-module.exports = collectMemoryInfo;
\ No newline at end of file
+module.exports = collectMemoryInfo;
@@ -1,10 +1,13 @@
 const fs = require('fs');
-const { execSync } = require('child_process');
+const os = require('os');
+const { runCommand } = require('../utils/exec');
 
-// Cache for network stats
-let networkCache = null;
-let networkCacheTime = 0;
-const NETWORK_CACHE_TTL = 2000; // 2 seconds
+// Previous counters per interface, for rate calculation
+let lastSample = null;
+const SAMPLE_WINDOW = 250; // Baseline window when there is no recent sample
+const SAMPLE_MAX_AGE = 30000; // Older samples are too coarse to be useful
+const COUNTER_32_MAX = 2 ** 32;
+const WRAP_MARGIN = 2 ** 30; // A wrap moves the counter by less than this; a bigger "wrap" is a reset
 
 /**
  * Parse /proc/net/dev on Linux
@@ -52,12 +55,12 @@ function parseLinuxNetworkStats() {
 
 /**
  * Get Windows network statistics using netstat
- * @returns {Object} Network interface statistics
+ * @returns {Promise<Object>} Network interface statistics
  */
-function parseWindowsNetworkStats() {
+async function parseWindowsNetworkStats() {
   try {
     // This is a simplified version for Windows
-    const output = execSync('netstat -e', { encoding: 'utf8', timeout: 3000 });
+    const output = await runCommand('netstat', ['-e'], { timeout: 3000 });
     const lines = output.trim().split('\n');
     
     // Parse basic stats - this is simplified
@@ -111,60 +114,145 @@ function formatBytes(bytes) {
   return `${size.toFixed(1)} ${units[unitIndex]}`;
 }
 
+/**
+ * Read the interface statistics for the current platform
+ * @returns {Promise<Object>} Network interface statistics
+ */
+async function readInterfaceStats() {
+  if (process.platform === 'linux' || process.platform === 'android') {
+    return parseLinuxNetworkStats();
+  }
+  if (process.platform === 'win32') {
+    return parseWindowsNetworkStats();
+  }
+  // For other platforms, return empty data
+  return {};
+}
+
+/**
+ * Difference between two counter readings, allowing for wrap-around
+ * 32-bit counters (older kernels, some drivers) wrap at 2^32, so a drop from
+ * just below 2^32 to a small value is a wrap. Any other drop is the interface
+ * being reset (common when Wi-Fi reconnects), and the current value is
+ * everything counted since.
+ * @param {number} current - Current counter value
+ * @param {number} previous - Previous counter value
+ * @returns {number} Delta
+ */
+function counterDelta(current, previous) {
+  if (current >= previous) {
+    return current - previous;
+  }
+  const wrapped = current + COUNTER_32_MAX - previous;
+  return previous < COUNTER_32_MAX && wrapped < WRAP_MARGIN ? wrapped : current;
+}
+
+/**
+ * Read link details for an interface from /sys/class/net and os.networkInterfaces()
+ * @param {string} name - Interface name
+ * @param {Object} addresses - Result of os.networkInterfaces()
+ * @returns {Object} Link state, MTU, MAC, speed and IP addresses
+ */
+function readLinkInfo(name, addresses) {
+  const readSysfs = (file) => {
+    try {
+      return fs.readFileSync(`/sys/class/net/${name}/${file}`, 'utf8').trim();
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const entries = addresses[name] || [];
+  const speed = parseInt(readSysfs('speed'));
+  const mtu = parseInt(readSysfs('mtu'));
+
+  return {
+    state: readSysfs('operstate') || (entries.length > 0 ? 'up' : 'unknown'),
+    mtu: !Number.isNaN(mtu) ? mtu : null,
+    mac: readSysfs('address') || (entries[0] && entries[0].mac) || null,
+    // speed is -1 (or unreadable) for Wi-Fi and virtual interfaces
+    speedMbps: speed > 0 ? speed : null,
+    wireless: fs.existsSync(`/sys/class/net/${name}/wireless`),
+    addresses: entries.map(entry => ({
+      address: entry.address,
+      family: typeof entry.family === 'number' ? `IPv${entry.family}` : entry.family,
+      cidr: entry.cidr,
+      internal: entry.internal
+    }))
+  };
+}
+
 /**
  * Collect network interface statistics
+ * Rates are the delta from the previous call, so calls must not overlap;
+ * the collector cache runs one collection at a time.
  * @returns {Promise<Object>} Network statistics
  */
 async function collectNetworkInfo() {
   try {
     const now = Date.now();
-    
-    // Return cached data if still valid
-    if (networkCache && (now - networkCacheTime) < NETWORK_CACHE_TTL) {
-      return networkCache;
-    }
-    
-    let interfaces = {};
-    
-    if (process.platform === 'linux') {
-      interfaces = parseLinuxNetworkStats();
-    } else if (process.platform === 'win32') {
-      interfaces = parseWindowsNetworkStats();
-    } else {
-      // For other platforms, return empty data
-      interfaces = {};
+
+    // Without a recent sample, take a baseline first so rates reflect current traffic
+    if (!lastSample || now - lastSample.time > SAMPLE_MAX_AGE) {
+      lastSample = { time: Date.now(), interfaces: await readInterfaceStats() };
+      await new Promise(resolve => setTimeout(resolve, SAMPLE_WINDOW));
     }
+
+    const sampleTime = Date.now();
+    const interfaces = await readInterfaceStats();
+    const previousInterfaces = lastSample.interfaces;
+    const elapsedSeconds = (sampleTime - lastSample.time) / 1000;
+    lastSample = { time: sampleTime, interfaces };
+
+    const addresses = os.networkInterfaces();
     
     // Format the data for better readability
     const formattedInterfaces = {};
     
     for (const [name, stats] of Object.entries(interfaces)) {
+      const previous = previousInterfaces[name];
+      const rate = (direction, key) => {
+        if (!previous || elapsedSeconds <= 0) return 0;
+        const delta = counterDelta(stats[direction][key], previous[direction][key]);
+        return parseFloat((delta / elapsedSeconds).toFixed(2));
+      };
+
+      const rx = {
+        bytes: stats.rx.bytes,
+        bytesFormatted: formatBytes(stats.rx.bytes),
+        packets: stats.rx.packets,
+        errors: stats.rx.errors,
+        dropped: stats.rx.dropped,
+        bytesPerSec: rate('rx', 'bytes'),
+        packetsPerSec: rate('rx', 'packets'),
+        errorsPerSec: rate('rx', 'errors')
+      };
+      const tx = {
+        bytes: stats.tx.bytes,
+        bytesFormatted: formatBytes(stats.tx.bytes),
+        packets: stats.tx.packets,
+        errors: stats.tx.errors,
+        dropped: stats.tx.dropped,
+        bytesPerSec: rate('tx', 'bytes'),
+        packetsPerSec: rate('tx', 'packets'),
+        errorsPerSec: rate('tx', 'errors')
+      };
+      rx.bytesPerSecFormatted = `${formatBytes(rx.bytesPerSec)}/s`;
+      tx.bytesPerSecFormatted = `${formatBytes(tx.bytesPerSec)}/s`;
+
       formattedInterfaces[name] = {
-        rx: {
-          bytes: stats.rx.bytes,
-          bytesFormatted: formatBytes(stats.rx.bytes),
-          packets: stats.rx.packets,
-          errors: stats.rx.errors,
-          dropped: stats.rx.dropped
-        },
-        tx: {
-          bytes: stats.tx.bytes,
-          bytesFormatted: formatBytes(stats.tx.bytes),
-          packets: stats.tx.packets,
-          errors: stats.tx.errors,
-          dropped: stats.tx.dropped
-        },
+        ...readLinkInfo(name, addresses),
+        rx,
+        tx,
         total: {
           bytes: stats.rx.bytes + stats.tx.bytes,
           bytesFormatted: formatBytes(stats.rx.bytes + stats.tx.bytes),
-          packets: stats.rx.packets + stats.tx.packets
+          packets: stats.rx.packets + stats.tx.packets,
+          bytesPerSec: parseFloat((rx.bytesPerSec + tx.bytesPerSec).toFixed(2))
         }
       };
     }
     
-    networkCache = formattedInterfaces;
-    networkCacheTime = now;
-    
     return formattedInterfaces;
   } catch (error) {
     console.error('Error collecting network info:', error);
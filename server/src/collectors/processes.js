@@ -0,0 +1,248 @@
+const fs = require('fs');
+const os = require('os');
+const { runCommand } = require('../utils/exec');
+const { cache } = require('../utils/cache');
+
+const PROCESS_CACHE_TTL = 2000; // Default refresh interval, 2 seconds
+
+// Previous CPU tick counts per pid, for delta calculation
+let lastSample = null;
+const SAMPLE_WINDOW = 500; // Baseline window when there is no recent sample
+const SAMPLE_MAX_AGE = 30000; // Older samples are too coarse to be useful
+
+const STATE_NAMES = {
+  R: 'running',
+  S: 'sleeping',
+  D: 'disk sleep',
+  Z: 'zombie',
+  T: 'stopped',
+  t: 'tracing stop',
+  X: 'dead',
+  I: 'idle'
+};
+
+let clockTicks = null;
+let userNames = null;
+
+/**
+ * Get the kernel clock tick rate (USER_HZ)
+ * @returns {Promise<number>} Ticks per second
+ */
+async function getClockTicks() {
+  if (clockTicks === null) {
+    try {
+      clockTicks = parseInt((await runCommand('getconf', ['CLK_TCK'], { timeout: 1000 })).trim()) || 100;
+    } catch (error) {
+      clockTicks = 100;
+    }
+  }
+  return clockTicks;
+}
+
+/**
+ * Get the system boot time
+ * @returns {number} Boot time in milliseconds since epoch
+ */
+function getBootTime() {
+  try {
+    const match = fs.readFileSync('/proc/stat', 'utf8').match(/^btime\s+(\d+)/m);
+    if (match) {
+      return parseInt(match[1]) * 1000;
+    }
+  } catch (error) {
+    // Fall through to uptime-based estimate
+  }
+  return Date.now() - os.uptime() * 1000;
+}
+
+/**
+ * Resolve a uid to a user name
+ * Uses /etc/passwd where present, and Android's app uid naming (u0_a123)
+ * otherwise, since Termux has no passwd entries for app users.
+ * @param {number} uid - User id
+ * @returns {string} User name
+ */
+function resolveUser(uid) {
+  if (userNames === null) {
+    userNames = {};
+    try {
+      for (const line of fs.readFileSync('/etc/passwd', 'utf8').split('\n')) {
+        const [name, , id] = line.split(':');
+        if (name && id !== undefined) {
+          userNames[id] = name;
+        }
+      }
+    } catch (error) {
+      // No passwd file (Android)
+    }
+  }
+
+  if (userNames[uid]) {
+    return userNames[uid];
+  }
+  if (uid >= 10000) {
+    return `u${Math.floor(uid / 100000)}_a${(uid % 100000) - 10000}`;
+  }
+  return String(uid);
+}
+
+/**
+ * Read one process from /proc
+ * @param {string} pid - Process id
+ * @returns {Object} Raw process data
+ */
+function readProcess(pid) {
+  const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+
+  // The command name is in parentheses and may itself contain spaces or ')'
+  const nameEnd = stat.lastIndexOf(')');
+  const name = stat.slice(stat.indexOf('(') + 1, nameEnd);
+  const fields = stat.slice(nameEnd + 2).split(' ');
+
+  const processInfo = {
+    pid: parseInt(pid),
+    ppid: parseInt(fields[1]),
+    name,
+    state: fields[0],
+    ticks: parseInt(fields[11]) + parseInt(fields[12]), // utime + stime
+    threads: parseInt(fields[17]),
+    startTicks: parseInt(fields[19]),
+    rssPages: parseInt(fields[21]),
+    uid: null,
+    command: null
+  };
+
+  // status and cmdline may be unreadable even when stat is readable
+  try {
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const uidMatch = status.match(/^Uid:\s+(\d+)/m);
+    const rssMatch = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+    if (uidMatch) processInfo.uid = parseInt(uidMatch[1]);
+    if (rssMatch) processInfo.rssBytes = parseInt(rssMatch[1]) * 1024;
+  } catch (error) {
+    // Keep what stat gave us
+  }
+
+  try {
+    const cmdline = fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8');
+    processInfo.command = cmdline.split('\0').filter(Boolean).join(' ') || null;
+  } catch (error) {
+    // Keep what stat gave us
+  }
+
+  return processInfo;
+}
+
+/**
+ * Read every visible process from /proc
+ * @returns {Object} { processes: Map<pid, Object>, total, denied }
+ */
+function readAllProcesses() {
+  const pids = fs.readdirSync('/proc').filter(entry => /^\d+$/.test(entry));
+  const processes = new Map();
+  let denied = 0;
+
+  for (const pid of pids) {
+    try {
+      processes.set(pid, readProcess(pid));
+    } catch (error) {
+      // EACCES under Termux's restricted /proc; ENOENT if it exited meanwhile
+      if (error.code === 'EACCES' || error.code === 'EPERM') {
+        denied++;
+      }
+    }
+  }
+
+  return { processes, total: pids.length, denied };
+}
+
+/**
+ * Sample the process list with per-process CPU usage
+ * @returns {Promise<Object>} Process information
+ */
+async function sampleProcesses() {
+  try {
+    const now = Date.now();
+
+    // Termux reports 'android'
+    if (!['linux', 'android'].includes(process.platform)) {
+      return {
+        error: 'Process list not available',
+        message: `Process collection requires /proc (not available on ${process.platform})`
+      };
+    }
+
+    // Without a recent sample, take a baseline first so CPU% reflects current activity
+    if (!lastSample || now - lastSample.time > SAMPLE_MAX_AGE) {
+      const baseline = readAllProcesses();
+      lastSample = { time: Date.now(), processes: baseline.processes };
+      await new Promise(resolve => setTimeout(resolve, SAMPLE_WINDOW));
+    }
+
+    const sampleTime = Date.now();
+    const { processes, total, denied } = readAllProcesses();
+    const elapsedSeconds = (sampleTime - lastSample.time) / 1000;
+    const ticksPerSecond = await getClockTicks();
+    const pageSize = 4096;
+    const totalMemory = os.totalmem();
+    const bootTime = getBootTime();
+
+    const list = [];
+    for (const [pid, info] of processes) {
+      const previous = lastSample.processes.get(pid);
+      // A reused pid has a different start time, treat it as new
+      const deltaTicks = previous && previous.startTicks === info.startTicks ? info.ticks - previous.ticks : 0;
+      const cpu = elapsedSeconds > 0 ? (deltaTicks / ticksPerSecond / elapsedSeconds) * 100 : 0;
+      const rssBytes = info.rssBytes !== undefined ? info.rssBytes : info.rssPages * pageSize;
+
+      list.push({
+        pid: info.pid,
+        ppid: info.ppid,
+        name: info.name,
+        command: info.command || `[${info.name}]`,
+        state: info.state,
+        stateName: STATE_NAMES[info.state] || 'unknown',
+        user: info.uid !== null ? resolveUser(info.uid) : null,
+        uid: info.uid,
+        threads: info.threads,
+        cpu: parseFloat(Math.max(0, cpu).toFixed(2)),
+        rssBytes,
+        memory: totalMemory > 0 ? parseFloat(((rssBytes / totalMemory) * 100).toFixed(2)) : 0,
+        startTime: new Date(bootTime + (info.startTicks / ticksPerSecond) * 1000).toISOString()
+      });
+    }
+
+    lastSample = { time: sampleTime, processes };
+
+    return {
+      processes: list,
+      total,
+      accessible: list.length,
+      denied,
+      // Termux (Android 7+) only exposes the app's own processes
+      partial: denied > 0 || list.length < total,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('Error collecting process info:', error);
+    return {
+      error: 'Failed to collect process information',
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Collect the process list with per-process CPU usage
+ * Served from the shared cache (CACHE_TTL_PROCESSES), which also keeps
+ * samples from overlapping.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fresh] - Wait for a new sample
+ * @returns {Promise<Object>} Process information
+ */
+async function collectProcessInfo({ fresh = false } = {}) {
+  const { value } = await cache.get('processes', sampleProcesses, { ttl: PROCESS_CACHE_TTL, fresh });
+  return value;
+}
+
+module.exports = collectProcessInfo;
@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const { cache } = require('../utils/cache');
+
+const DEFAULT_TIMEOUT = 10000; // 10 seconds
+
+/**
+ * Check a value against a small JSON Schema subset (type, required, properties, items)
+ * Enough to catch a plugin returning the wrong shape, not a full validator.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema
+ * @param {string} at - Path used in messages
+ * @returns {Array<string>} Problems found
+ */
+function validateSchema(value, schema, at = '') {
+  const problems = [];
+  const label = at || 'value';
+
+  if (schema.type) {
+    const actual = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!allowed.includes(actual) && !(actual === 'number' && allowed.includes('integer') && Number.isInteger(value))) {
+      problems.push(`${label} should be ${allowed.join(' or ')}, got ${actual}`);
+      return problems;
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        problems.push(`${label} is missing ${key}`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        problems.push(...validateSchema(value[key], propertySchema, at ? `${at}.${key}` : key));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(...validateSchema(item, schema.items, `${label}[${index}]`));
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Check whether a collector supports the current platform
+ * Termux reports 'android', which also runs collectors written for 'linux'.
+ * @param {Array<string>} [platforms] - Supported platforms (all when omitted)
+ * @returns {boolean} True if supported
+ */
+function supportsPlatform(platforms) {
+  if (!platforms || platforms.length === 0) return true;
+  return platforms.includes(process.platform) ||
+    (process.platform === 'android' && platforms.includes('linux'));
+}
+
+/**
+ * Reject with a timeout error if a promise doesn't settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} name - Collector name for the message
+ * @returns {Promise} Promise result
+ */
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Collector ${name} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a collector registry
+ * A collector is { name, description?, platforms?, ttl?, timeout?, collect, schema? }:
+ * - platforms: process.platform values it runs on (all when omitted)
+ * - ttl: milliseconds to reuse the last result (METRICS_CACHE_TTL when omitted,
+ *   0 = always collect; CACHE_TTL_<NAME> overrides it)
+ * - timeout: milliseconds before the collection counts as failed
+ * - collect: (async) function returning the collector's data
+ * - schema: optional JSON Schema subset the result is checked against
+ * @param {Object} options - Registry options
+ * @param {Array<string>} [options.enabled] - Only these collectors run (all when empty)
+ * @param {Array<string>} [options.disabled] - These collectors never run
+ * @returns {Object} Registry
+ */
+function createCollectorRegistry({ enabled = [], disabled = [] } = {}) {
+  const collectors = new Map();
+
+  /**
+   * Add a collector
+   * @param {Object} definition - Collector definition
+   * @param {string} [source] - Where it came from (built-in or plugin file)
+   */
+  function register(definition, source = 'built-in') {
+    if (!definition || typeof definition.name !== 'string' || !/^[a-z][\w-]*$/i.test(definition.name)) {
+      throw new Error(`Collector from ${source} needs a name made of letters, digits, - and _`);
+    }
+    if (typeof definition.collect !== 'function') {
+      throw new Error(`Collector ${definition.name} from ${source} has no collect() function`);
+    }
+    if (['timestamp', 'collectionTimeMs', 'meta'].includes(definition.name)) {
+      throw new Error(`Collector name ${definition.name} is reserved`);
+    }
+    if (collectors.has(definition.name)) {
+      throw new Error(`Collector ${definition.name} from ${source} is already registered`);
+    }
+
+    const isEnabled = !disabled.includes(definition.name) &&
+      (enabled.length === 0 || enabled.includes(definition.name));
+
+    collectors.set(definition.name, {
+      name: definition.name,
+      description: definition.description || null,
+      platforms: definition.platforms || null,
+      ttl: definition.ttl,
+      timeout: definition.timeout || DEFAULT_TIMEOUT,
+      collect: definition.collect,
+      schema: definition.schema || null,
+      source,
+      enabled: isEnabled && supportsPlatform(definition.platforms),
+      reason: !isEnabled ? 'disabled in config'
+        : !supportsPlatform(definition.platforms) ? `not supported on ${process.platform}` : null
+    });
+  }
+
+  /**
+   * Register every collector exported by .js files in a directory
+   * A plugin file exports one definition or an array of them. Broken
+   * plugins are logged and skipped so they can't stop the server.
+   * @param {string} dir - Plugins directory
+   * @returns {Array<string>} Names of the loaded collectors
+   */
+  function loadPlugins(dir) {
+    const loaded = [];
+    if (!fs.existsSync(dir)) return loaded;
+
+    for (const file of fs.readdirSync(dir).filter(name => name.endsWith('.js')).sort()) {
+      const source = path.join(dir, file);
+      try {
+        const exported = require(path.resolve(source));
+        for (const definition of Array.isArray(exported) ? exported : [exported]) {
+          register(definition, source);
+          loaded.push(definition.name);
+        }
+      } catch (error) {
+        console.error(`Error loading collector plugin ${source}:`, error.message);
+      }
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Run one collector, honouring its timeout and schema
+   * @param {Object} collector - Registered collector
+   * @param {boolean} fresh - Passed on to collectors with caches of their own
+   * @returns {Promise<Object>} { value, warnings }
+   */
+  async function run(collector, fresh) {
+    let value;
+    try {
+      value = await withTimeout(Promise.resolve().then(() => collector.collect({ fresh })), collector.timeout, collector.name);
+    } catch (error) {
+      return {
+        value: {
+          error: `Failed to collect ${collector.name} info`,
+          message: error.message || 'Unknown error'
+        },
+        warnings: []
+      };
+    }
+
+    const warnings = collector.schema && !(value && value.error)
+      ? validateSchema(value, collector.schema).map(problem => `${collector.name}: ${problem}`)
+      : [];
+
+    return { value, warnings };
+  }
+
+  /**
+   * Run enabled collectors in parallel through the shared cache
+   * An expired result is returned straight away while it refreshes in the
+   * background, so a slow collector only delays the very first request.
+   * @param {Array<string>} [names] - Collectors to run (all enabled ones when omitted)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.fresh] - Bypass the cache and wait for new data
+   * @returns {Promise<Object>} { results, warnings, cache } keyed by collector name
+   */
+  async function collect(names, { fresh = false } = {}) {
+    const selected = Array.from(collectors.values())
+      .filter(collector => collector.enabled && (!names || names.includes(collector.name)));
+
+    const outcomes = await Promise.all(selected.map(collector =>
+      cache.get(collector.name, () => run(collector, fresh), { ttl: collector.ttl, fresh })
+    ));
+    const results = {};
+    const warnings = [];
+    const cacheMeta = {};
+
+    selected.forEach((collector, index) => {
+      const { value, meta } = outcomes[index];
+      results[collector.name] = value.value;
+      warnings.push(...value.warnings);
+      cacheMeta[collector.name] = meta;
+    });
+
+    return { results, warnings, cache: cacheMeta };
+  }
+
+  /**
+   * Describe every registered collector
+   * @returns {Array<Object>} Collector descriptions
+   */
+  function list() {
+    return Array.from(collectors.values()).map(collector => ({
+      name: collector.name,
+      description: collector.description,
+      platforms: collector.platforms,
+      ttl: cache.ttlFor(collector.name, collector.ttl),
+      timeout: collector.timeout,
+      source: collector.source,
+      enabled: collector.enabled,
+      reason: collector.reason
+    }));
+  }
+
+  /**
+   * Look up an enabled collector
+   * @param {string} name - Collector name
+   * @returns {boolean} True if it exists and is enabled
+   */
+  function isEnabled(name) {
+    const collector = collectors.get(name);
+    return Boolean(collector && collector.enabled);
+  }
+
+  return {
+    register,
+    loadPlugins,
+    collect,
+    list,
+    isEnabled
+  };
+}
+
+module.exports = createCollectorRegistry;
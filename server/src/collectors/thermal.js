@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+
+const THERMAL_SYSFS = '/sys/class/thermal';
+const CPUFREQ_SYSFS = '/sys/devices/system/cpu/cpufreq';
+
+// Cooling devices that slow the CPU down (thermal-cpufreq-0, cpufreq-cpu4, ...)
+const CPU_COOLING = /cpufreq|^cpu/i;
+
+/**
+ * Read a sysfs file, returning null when missing or unreadable
+ * @param {string} file - Absolute path
+ * @returns {string|null} Trimmed file content
+ */
+function readSysfs(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read a sysfs integer
+ * @param {string} file - Absolute path
+ * @returns {number|null} Parsed value
+ */
+function readNumber(file) {
+  const value = parseInt(readSysfs(file), 10);
+  return Number.isNaN(value) ? null : value;
+}
+
+const toCelsius = (millidegrees) => Math.round(millidegrees / 100) / 10;
+
+/**
+ * List sysfs entries with a prefix, in numeric order (thermal_zone2 before thermal_zone10)
+ * @param {string} dir - Directory to list
+ * @param {string} prefix - Entry name prefix
+ * @returns {Array<string>} Entry names
+ */
+function listEntries(dir, prefix) {
+  try {
+    return fs.readdirSync(dir)
+      .filter(entry => entry.startsWith(prefix))
+      .sort((a, b) => parseInt(a.slice(prefix.length), 10) - parseInt(b.slice(prefix.length), 10));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Read the trip points of a thermal zone
+ * Drivers leave unused trips at 0 or negative values; those are skipped.
+ * @param {string} zonePath - Path of the thermal_zoneN directory
+ * @returns {Array<Object>} Trips sorted by temperature: id, type, temperatureCelsius, hysteresisCelsius
+ */
+function readTripPoints(zonePath) {
+  const trips = [];
+
+  for (const entry of listEntries(zonePath, 'trip_point_')) {
+    const match = entry.match(/^trip_point_(\d+)_temp$/);
+    if (!match) continue;
+
+    const temp = readNumber(path.join(zonePath, entry));
+    if (temp === null || temp <= 0) continue;
+
+    const hysteresis = readNumber(path.join(zonePath, `trip_point_${match[1]}_hyst`));
+    trips.push({
+      id: parseInt(match[1], 10),
+      type: readSysfs(path.join(zonePath, `trip_point_${match[1]}_type`)) || 'unknown',
+      temperatureCelsius: toCelsius(temp),
+      hysteresisCelsius: hysteresis ? toCelsius(hysteresis) : null
+    });
+  }
+
+  return trips.sort((a, b) => a.temperatureCelsius - b.temperatureCelsius);
+}
+
+/**
+ * Read every thermal zone with its trip points
+ * Zones are keyed by type; when several share a type the last one wins.
+ * @returns {Object} Map of zone type to zone details
+ */
+function readZones() {
+  const zones = {};
+
+  for (const zone of listEntries(THERMAL_SYSFS, 'thermal_zone')) {
+    const zonePath = path.join(THERMAL_SYSFS, zone);
+    const temp = readNumber(path.join(zonePath, 'temp'));
+    const type = readSysfs(path.join(zonePath, 'type'));
+    if (temp === null || !type) continue;
+
+    // Temperature is in millidegrees Celsius
+    const celsius = temp / 1000;
+    const trips = readTripPoints(zonePath);
+    const next = trips.find(trip => trip.temperatureCelsius > celsius);
+
+    zones[type] = {
+      zone,
+      temperature: temp,
+      temperatureCelsius: celsius.toFixed(1),
+      temperatureFahrenheit: (celsius * 9 / 5 + 32).toFixed(1),
+      trips,
+      nextTrip: next ? {
+        type: next.type,
+        temperatureCelsius: next.temperatureCelsius,
+        headroomCelsius: Math.round((next.temperatureCelsius - celsius) * 10) / 10
+      } : null,
+      tripsExceeded: trips.filter(trip => trip.temperatureCelsius <= celsius).length
+    };
+  }
+
+  return zones;
+}
+
+/**
+ * Read every cooling device (fans, CPU/GPU frequency limiters, ...)
+ * A device with cur_state above 0 is actively cooling.
+ * @returns {Array<Object>} device, type, state, maxState and active
+ */
+function readCoolingDevices() {
+  return listEntries(THERMAL_SYSFS, 'cooling_device')
+    .map(device => {
+      const devicePath = path.join(THERMAL_SYSFS, device);
+      const state = readNumber(path.join(devicePath, 'cur_state'));
+      return {
+        device,
+        type: readSysfs(path.join(devicePath, 'type')),
+        state,
+        maxState: readNumber(path.join(devicePath, 'max_state')),
+        active: state !== null && state > 0
+      };
+    })
+    .filter(device => device.type !== null);
+}
+
+/**
+ * Compare each cpufreq policy's current max frequency with the hardware max
+ * A policy whose scaling_max_freq sits below cpuinfo_max_freq is being capped,
+ * which on phones and tablets is almost always the thermal governor.
+ * @returns {Array<Object>} policy, cpus, maxMhz, hardwareMaxMhz, cappedPercent and capped
+ */
+function readFrequencyCaps() {
+  return listEntries(CPUFREQ_SYSFS, 'policy')
+    .map(policy => {
+      const policyPath = path.join(CPUFREQ_SYSFS, policy);
+      const max = readNumber(path.join(policyPath, 'scaling_max_freq'));
+      const hardwareMax = readNumber(path.join(policyPath, 'cpuinfo_max_freq'));
+      if (max === null || !hardwareMax) return null;
+
+      return {
+        policy,
+        cpus: readSysfs(path.join(policyPath, 'related_cpus')) || readSysfs(path.join(policyPath, 'affected_cpus')),
+        maxMhz: Math.round(max / 1000),
+        hardwareMaxMhz: Math.round(hardwareMax / 1000),
+        cappedPercent: Math.round((1 - max / hardwareMax) * 1000) / 10,
+        capped: max < hardwareMax
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Collect thermal zones, trip points, cooling devices and CPU throttling state
+ * Everything comes from sysfs, so unreadable parts (common on Android without
+ * root) are simply left out.
+ * @returns {Object} zones, count, coolingDevices and throttling
+ */
+function collectThermalInfo() {
+  const zones = readZones();
+  const coolingDevices = readCoolingDevices();
+  const policies = readFrequencyCaps();
+  const cpuCooling = coolingDevices.filter(device => device.active && CPU_COOLING.test(device.type));
+
+  return {
+    zones,
+    count: Object.keys(zones).length,
+    coolingDevices,
+    throttling: {
+      // null when cpufreq isn't readable, so "not throttled" is never a guess
+      throttled: policies.length > 0 ? policies.some(policy => policy.capped) : null,
+      policies,
+      coolingDevices: cpuCooling.map(device => device.type)
+    }
+  };
+}
+
+module.exports = collectThermalInfo;
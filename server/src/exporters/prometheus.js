@@ -0,0 +1,275 @@
+const PREFIX = 'tablet_';
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+/**
+ * Convert a possibly-string numeric value into a finite number
+ * @param {*} value - Raw value
+ * @returns {number|null} Number, or null if not numeric
+ */
+function toNumber(value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Collects metric families and renders them in exposition order
+ */
+function createFamilies() {
+  const families = new Map();
+
+  /**
+   * Add a sample to a metric family, declaring the family on first use
+   * @param {string} name - Metric name without prefix
+   * @param {string} type - gauge or counter
+   * @param {string} help - HELP text
+   * @param {Object} labels - Label set
+   * @param {*} value - Sample value (non-numeric values are skipped)
+   */
+  function add(name, type, help, labels, value) {
+    const number = toNumber(value);
+    if (number === null) return;
+
+    const fullName = PREFIX + name;
+    if (!families.has(fullName)) {
+      families.set(fullName, { type, help, samples: [] });
+    }
+    families.get(fullName).samples.push({ labels, value: number });
+  }
+
+  function render() {
+    const lines = [];
+
+    for (const [name, family] of families) {
+      lines.push(`# HELP ${name} ${family.help}`);
+      lines.push(`# TYPE ${name} ${family.type}`);
+
+      for (const { labels, value } of family.samples) {
+        const labelText = Object.entries(labels || {})
+          .map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`)
+          .join(',');
+        lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  return { add, render };
+}
+
+/**
+ * Render a metrics snapshot in the Prometheus text exposition format
+ * @param {Object} metrics - Snapshot as returned by /api/metrics
+ * @returns {string} Exposition text
+ */
+function formatPrometheus(metrics) {
+  const { add, render } = createFamilies();
+  const { host, cpu, memory, disk, network, android } = metrics;
+
+  // Collector health
+  const collectors = (metrics.meta && metrics.meta.collectors) || ['host', 'cpu', 'memory', 'disk', 'network', 'android'];
+  for (const collector of collectors) {
+    const value = metrics[collector];
+    const failed = !value || value.error ||
+      (collector === 'disk' && (value.filesystems || []).some(entry => entry.error));
+    add('collector_up', 'gauge', 'Whether the collector returned data (1) or failed (0).',
+      { collector }, failed ? 0 : 1);
+  }
+  add('collection_duration_seconds', 'gauge', 'Time taken to run all collectors.',
+    {}, metrics.collectionTimeMs / 1000);
+
+  if (host && !host.error) {
+    add('host_info', 'gauge', 'Host information, always 1.', {
+      hostname: host.hostname,
+      platform: host.platform,
+      arch: host.arch,
+      release: host.release
+    }, 1);
+    add('host_uptime_seconds', 'gauge', 'System uptime.', {}, host.uptime);
+  }
+
+  if (cpu && !cpu.error) {
+    add('cpu_usage_percent', 'gauge', 'Overall CPU usage.', {}, cpu.usage);
+    add('cpu_cores', 'gauge', 'Number of CPU cores.', {}, cpu.cores);
+    (cpu.loadavg || []).forEach((load, index) => {
+      add('cpu_load_average', 'gauge', 'System load average.', { period: ['1m', '5m', '15m'][index] }, load);
+    });
+    for (const [mode, value] of Object.entries(cpu.breakdown || {})) {
+      add('cpu_mode_percent', 'gauge', 'Share of CPU time spent in each mode.', { mode }, value);
+    }
+    (cpu.coreUsage || []).forEach(core => {
+      const labels = { core: core.core, cluster: core.cluster };
+      add('cpu_core_usage_percent', 'gauge', 'Per-core CPU usage.', labels, core.usage);
+      add('cpu_core_online', 'gauge', 'Whether the core is online.', labels, core.online ? 1 : 0);
+      if (core.frequency) {
+        add('cpu_core_frequency_hertz', 'gauge', 'Current core frequency.', labels,
+          core.frequency.current !== null ? core.frequency.current * 1e6 : null);
+        add('cpu_core_max_frequency_hertz', 'gauge', 'Hardware maximum core frequency.', labels,
+          core.frequency.max !== null ? core.frequency.max * 1e6 : null);
+      }
+    });
+  }
+
+  if (memory && !memory.error) {
+    add('memory_total_bytes', 'gauge', 'Total memory.', {}, memory.total);
+    add('memory_used_bytes', 'gauge', 'Used memory.', {}, memory.used);
+    add('memory_free_bytes', 'gauge', 'Free memory.', {}, memory.free);
+    add('memory_available_bytes', 'gauge', 'Memory available for new allocations without swapping.', {}, memory.available);
+    add('memory_usage_percent', 'gauge', 'Memory usage (based on available memory).', {}, memory.usage);
+    add('memory_cached_bytes', 'gauge', 'Page cache.', {}, memory.cached);
+    add('memory_buffers_bytes', 'gauge', 'Block device buffers.', {}, memory.buffers);
+    add('memory_shmem_bytes', 'gauge', 'Shared memory.', {}, memory.shmem);
+    add('memory_dirty_bytes', 'gauge', 'Memory waiting to be written back to disk.', {}, memory.dirty);
+    add('memory_slab_bytes', 'gauge', 'Kernel slab memory.', {}, memory.slab);
+    if (memory.swap) {
+      add('swap_total_bytes', 'gauge', 'Total swap.', {}, memory.swap.total);
+      add('swap_used_bytes', 'gauge', 'Used swap.', {}, memory.swap.used);
+    }
+    for (const device of memory.zram || []) {
+      const labels = { device: device.device };
+      add('zram_original_bytes', 'gauge', 'Uncompressed size of data stored in zram.', labels, device.origDataSize);
+      add('zram_compressed_bytes', 'gauge', 'Compressed size of data stored in zram.', labels, device.comprDataSize);
+      add('zram_memory_used_bytes', 'gauge', 'Memory used by zram including overhead.', labels, device.memUsedTotal);
+      add('zram_compression_ratio', 'gauge', 'zram compression ratio.', labels, device.compressionRatio);
+    }
+  }
+
+  if (disk && Array.isArray(disk.filesystems)) {
+    for (const entry of disk.filesystems) {
+      if (entry.error) continue;
+      const labels = { mountpoint: entry.mountpoint, filesystem: entry.filesystem };
+      add('disk_size_bytes', 'gauge', 'Filesystem size.', labels, entry.sizeBytes);
+      add('disk_used_bytes', 'gauge', 'Filesystem space used.', labels, entry.usedBytes);
+      add('disk_available_bytes', 'gauge', 'Filesystem space available.', labels, entry.availableBytes);
+      add('disk_usage_percent', 'gauge', 'Filesystem usage.', labels, entry.usagePercent);
+    }
+  }
+
+  if (disk && disk.io && Array.isArray(disk.io.devices)) {
+    for (const device of disk.io.devices) {
+      const labels = { device: device.device };
+      add('disk_read_bytes_total', 'counter', 'Bytes read from the block device.', labels, device.readBytes);
+      add('disk_written_bytes_total', 'counter', 'Bytes written to the block device.', labels, device.writtenBytes);
+      add('disk_reads_completed_total', 'counter', 'Reads completed.', labels, device.reads);
+      add('disk_writes_completed_total', 'counter', 'Writes completed.', labels, device.writes);
+      add('disk_io_time_seconds_total', 'counter', 'Time spent doing I/O.', labels, device.ioTimeMs / 1000);
+      add('disk_io_utilization_percent', 'gauge', 'Share of time the device was busy over the last sample.', labels, device.utilization);
+      add('disk_io_in_flight', 'gauge', 'I/O requests currently in progress.', labels, device.inFlight);
+    }
+  }
+
+  if (network && !network.error) {
+    for (const [name, stats] of Object.entries(network)) {
+      if (!stats.rx || !stats.tx) continue;
+      const labels = { interface: name };
+      add('network_up', 'gauge', 'Whether the interface link is up.', labels, stats.state === 'up' ? 1 : 0);
+      add('network_mtu_bytes', 'gauge', 'Interface MTU.', labels, stats.mtu);
+      add('network_speed_bits_per_second', 'gauge', 'Negotiated link speed (wired interfaces only).', labels,
+        stats.speedMbps !== null ? stats.speedMbps * 1e6 : null);
+      if (stats.mac) {
+        add('network_info', 'gauge', 'Interface information, always 1.', { ...labels, mac: stats.mac }, 1);
+      }
+      const directions = [['receive', 'rx', 'Received'], ['transmit', 'tx', 'Transmitted']];
+      for (const [direction, key, verb] of directions) {
+        add(`network_${direction}_bytes_total`, 'counter', `${verb} bytes since boot.`, labels, stats[key].bytes);
+        add(`network_${direction}_packets_total`, 'counter', `${verb} packets since boot.`, labels, stats[key].packets);
+        add(`network_${direction}_errors_total`, 'counter', `${verb} packet errors since boot.`, labels, stats[key].errors);
+        add(`network_${direction}_dropped_total`, 'counter', `${verb} packets dropped since boot.`, labels, stats[key].dropped);
+      }
+    }
+  }
+
+  if (android && android.available) {
+    const battery = android.battery || {};
+    if (!battery.error) {
+      add('battery_level_percent', 'gauge', 'Battery charge level.', {}, battery.level);
+      add('battery_temperature_celsius', 'gauge', 'Battery temperature.', {}, battery.temperatureCelsius);
+      add('battery_voltage_volts', 'gauge', 'Battery voltage.', {}, battery.voltageVolts);
+      add('battery_current_microamperes', 'gauge', 'Battery current (negative while discharging).', {}, battery.current);
+      if (battery.status) {
+        add('battery_info', 'gauge', 'Battery state, always 1.', {
+          status: battery.status,
+          health: battery.health || 'UNKNOWN',
+          plugged: battery.plugged || 'UNKNOWN'
+        }, 1);
+      }
+    }
+
+    const analytics = android.batteryAnalytics;
+    if (analytics && analytics.available) {
+      add('battery_rate_percent_per_hour', 'gauge', 'Charge (positive) or discharge (negative) rate.', {}, analytics.rate.percentPerHour);
+      add('battery_power_milliwatts', 'gauge', 'Average battery charge or discharge power.', {}, analytics.rate.powerMw);
+      add('battery_time_to_empty_seconds', 'gauge', 'Estimated time until the battery is empty.', {},
+        analytics.estimate.timeToEmptyMinutes !== null ? analytics.estimate.timeToEmptyMinutes * 60 : null);
+      add('battery_time_to_full_seconds', 'gauge', 'Estimated time until the battery is full.', {},
+        analytics.estimate.timeToFullMinutes !== null ? analytics.estimate.timeToFullMinutes * 60 : null);
+      add('battery_cycles', 'gauge', 'Charge cycles (kernel count, or counted since tracking started).', {}, analytics.cycles.count);
+      add('battery_wear_percent', 'gauge', 'Estimated capacity lost compared to design capacity.', {}, analytics.capacity.wearPercent);
+    }
+
+    const zones = (android.thermal && android.thermal.zones) || {};
+    for (const [type, zone] of Object.entries(zones)) {
+      add('thermal_zone_temperature_celsius', 'gauge', 'Thermal zone temperature.',
+        { thermal_zone: zone.zone, type }, zone.temperatureCelsius);
+      for (const trip of zone.trips || []) {
+        add('thermal_trip_point_celsius', 'gauge', 'Thermal zone trip point temperature.',
+          { thermal_zone: zone.zone, type, trip: String(trip.id), trip_type: trip.type }, trip.temperatureCelsius);
+      }
+    }
+
+    const thermal = android.thermal || {};
+    for (const device of thermal.coolingDevices || []) {
+      add('cooling_device_state', 'gauge', 'Cooling device state (0 is idle).',
+        { cooling_device: device.device, type: device.type }, device.state);
+      add('cooling_device_max_state', 'gauge', 'Highest cooling device state.',
+        { cooling_device: device.device, type: device.type }, device.maxState);
+    }
+    if (thermal.throttling) {
+      add('cpu_throttled', 'gauge', 'Whether any CPU cluster is capped below its hardware max frequency (1) or not (0).', {},
+        thermal.throttling.throttled === null ? null : thermal.throttling.throttled ? 1 : 0);
+      for (const policy of thermal.throttling.policies) {
+        add('cpu_max_frequency_hertz', 'gauge', 'Current max frequency of a CPU cluster.', { policy: policy.policy }, policy.maxMhz * 1e6);
+        add('cpu_hardware_max_frequency_hertz', 'gauge', 'Hardware max frequency of a CPU cluster.', { policy: policy.policy }, policy.hardwareMaxMhz * 1e6);
+      }
+    }
+
+    const wifi = android.wifi;
+    if (wifi && !wifi.error) {
+      add('wifi_connected', 'gauge', 'Whether Wi-Fi is connected (1) or not (0).', {}, wifi.connected ? 1 : 0);
+      if (wifi.connected) {
+        add('wifi_rssi_dbm', 'gauge', 'Wi-Fi signal strength.', {}, wifi.rssi);
+        add('wifi_link_speed_bits_per_second', 'gauge', 'Wi-Fi link speed.', {},
+          wifi.linkSpeedMbps !== null ? wifi.linkSpeedMbps * 1e6 : null);
+        add('wifi_frequency_hertz', 'gauge', 'Wi-Fi channel frequency.', {},
+          wifi.frequencyMhz !== null ? wifi.frequencyMhz * 1e6 : null);
+      }
+    }
+
+    const cellular = android.cellular;
+    if (cellular && !cellular.error) {
+      add('cellular_signal_dbm', 'gauge', 'Signal strength of the serving cell.', {}, cellular.dbm);
+      add('cellular_signal_level', 'gauge', 'Signal level of the serving cell (0-4).', {}, cellular.signalLevel);
+      if (cellular.networkType) {
+        add('cellular_info', 'gauge', 'Cellular network, always 1.', {
+          network_type: cellular.networkType,
+          operator: cellular.operator || 'unknown'
+        }, 1);
+      }
+    }
+  }
+
+  return render();
+}
+
+module.exports = formatPrometheus;
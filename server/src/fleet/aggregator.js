@@ -0,0 +1,233 @@
+const http = require('http');
+const https = require('https');
+
+const WARNING_THRESHOLD = 70;
+const DANGER_THRESHOLD = 90;
+
+/**
+ * GET a JSON document
+ * @param {string} url - Document URL
+ * @param {Object} options - Request options
+ * @param {string} [options.token] - Bearer token
+ * @param {string} [options.fingerprint] - Pinned SHA-256 certificate fingerprint (https only)
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Promise<Object>} Parsed response body
+ */
+function getJson(url, { token, fingerprint, timeout }) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const headers = { Accept: 'application/json' };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    // A pinned certificate is trusted by fingerprint instead of by CA, which
+    // is what makes the tablets' self-signed certificates usable. Pinned
+    // requests get their own connection so every one is checked.
+    const options = { timeout, headers };
+    if (fingerprint && client === https) {
+      Object.assign(options, { rejectUnauthorized: false, agent: false });
+    }
+
+    const req = client.get(url, options, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        if (res.statusCode >= 400) {
+          return reject(new Error(`HTTP ${res.statusCode}`));
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(new Error('Invalid JSON response'));
+        }
+      });
+    });
+
+    if (options.agent === false) {
+      req.on('socket', socket => {
+        socket.on('secureConnect', () => {
+          const actual = socket.getPeerCertificate().fingerprint256;
+          if (!actual || actual.toUpperCase() !== fingerprint.toUpperCase()) {
+            req.destroy(new Error(`Certificate fingerprint mismatch (got ${actual || 'none'})`));
+          }
+        });
+      });
+    }
+
+    req.on('timeout', () => req.destroy(new Error('Request timed out')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Pick the headline numbers shown on the fleet overview
+ * @param {Object} metrics - Metrics snapshot from a tablet
+ * @returns {Object} Summary
+ */
+function summarize(metrics) {
+  const filesystems = (metrics.disk && metrics.disk.filesystems) || [];
+  const diskUsage = filesystems
+    .map(entry => parseFloat(entry.usage))
+    .filter(value => !Number.isNaN(value));
+  const battery = metrics.android && metrics.android.available && metrics.android.battery && !metrics.android.battery.error
+    ? metrics.android.battery
+    : null;
+
+  return {
+    hostname: metrics.host ? metrics.host.hostname : null,
+    platform: metrics.host ? metrics.host.platform : null,
+    uptime: metrics.host ? metrics.host.uptime : null,
+    cpuUsage: metrics.cpu && typeof metrics.cpu.usage === 'number' ? metrics.cpu.usage : null,
+    memoryUsage: metrics.memory && typeof metrics.memory.usage === 'number' ? metrics.memory.usage : null,
+    diskUsage: diskUsage.length > 0 ? Math.max(...diskUsage) : null,
+    batteryLevel: battery ? battery.level : null,
+    batteryPlugged: battery ? battery.plugged !== 'UNPLUGGED' : null,
+    warnings: (metrics.meta && metrics.meta.warnings) || []
+  };
+}
+
+/**
+ * Rate a device from its summary
+ * @param {Object} summary - Device summary
+ * @returns {string} ok, warning or critical
+ */
+function assessHealth(summary) {
+  const usages = [summary.cpuUsage, summary.memoryUsage, summary.diskUsage].filter(value => value !== null);
+  const onBattery = summary.batteryLevel !== null && !summary.batteryPlugged;
+
+  if (usages.some(value => value >= DANGER_THRESHOLD) || (onBattery && summary.batteryLevel < 15)) {
+    return 'critical';
+  }
+  if (usages.some(value => value >= WARNING_THRESHOLD) || (onBattery && summary.batteryLevel < 30) ||
+    summary.warnings.length > 0) {
+    return 'warning';
+  }
+  return 'ok';
+}
+
+/**
+ * Create an aggregator that polls a list of tablets
+ * A device is online while its last poll succeeded; the last snapshot is kept
+ * after it goes offline so the dashboard can still show it.
+ * @param {Object} options - Aggregator options
+ * @param {Array<Object>} options.devices - Devices from the fleet config
+ * @param {number} options.interval - Polling interval in milliseconds
+ * @param {number} options.timeout - Per-request timeout in milliseconds
+ * @returns {Object} Aggregator with start, stop, list and get
+ */
+function createFleetAggregator({ devices, interval, timeout }) {
+  const states = new Map(devices.map(device => [device.id, {
+    device,
+    status: 'unknown',
+    lastSeen: null,
+    lastPoll: null,
+    lastError: null,
+    latencyMs: null,
+    metrics: null,
+    summary: null
+  }]));
+  let timer = null;
+
+  async function poll(state) {
+    if (state.polling) return;
+    state.polling = true;
+
+    const startTime = Date.now();
+    try {
+      const metrics = await getJson(`${state.device.url}/api/metrics`, {
+        token: state.device.token,
+        fingerprint: state.device.fingerprint,
+        timeout
+      });
+
+      if (state.status === 'offline') {
+        console.log(`📶 Fleet device ${state.device.name} is back online`);
+      }
+      state.status = 'online';
+      state.lastSeen = Date.now();
+      state.lastError = null;
+      state.latencyMs = Date.now() - startTime;
+      state.metrics = metrics;
+      state.summary = summarize(metrics);
+    } catch (error) {
+      if (state.status !== 'offline') {
+        console.error(`Fleet device ${state.device.name} is offline:`, error.message);
+      }
+      state.status = 'offline';
+      state.lastError = error.message;
+      state.latencyMs = null;
+    } finally {
+      state.lastPoll = Date.now();
+      state.polling = false;
+    }
+  }
+
+  function pollAll() {
+    for (const state of states.values()) {
+      poll(state);
+    }
+  }
+
+  function start() {
+    if (timer || states.size === 0) return;
+    pollAll();
+    timer = setInterval(pollAll, interval);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function describe(state) {
+    return {
+      id: state.device.id,
+      name: state.device.name,
+      url: state.device.url,
+      status: state.status,
+      health: state.status === 'online' ? assessHealth(state.summary) : state.status,
+      lastSeen: state.lastSeen ? new Date(state.lastSeen).toISOString() : null,
+      lastPoll: state.lastPoll ? new Date(state.lastPoll).toISOString() : null,
+      lastError: state.lastError,
+      latencyMs: state.latencyMs,
+      summary: state.summary
+    };
+  }
+
+  /**
+   * List every device with its status and summary
+   * @returns {Object} Fleet overview
+   */
+  function list() {
+    const entries = Array.from(states.values()).map(describe);
+    return {
+      total: entries.length,
+      online: entries.filter(entry => entry.status === 'online').length,
+      offline: entries.filter(entry => entry.status === 'offline').length,
+      interval,
+      devices: entries
+    };
+  }
+
+  /**
+   * Get one device's status and latest metrics snapshot
+   * @param {string} id - Device id
+   * @returns {Object|null} Device with metrics, or null if unknown
+   */
+  function get(id) {
+    const state = states.get(id);
+    return state ? { ...describe(state), metrics: state.metrics } : null;
+  }
+
+  return {
+    start,
+    stop,
+    list,
+    get,
+    deviceCount: states.size
+  };
+}
+
+module.exports = createFleetAggregator;
@@ -0,0 +1,64 @@
+const fs = require('fs');
+
+/**
+ * Turn a device name or URL into a URL-safe id
+ * @param {string} value - Name or URL
+ * @returns {string} Slug
+ */
+function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Load the list of tablets to aggregate
+ * The file is optional; without devices the server runs as a single tablet.
+ * Each device needs a `url` (e.g. http://192.168.1.20:3001) and may have an
+ * `id`, a display `name`, the tablet's `token` and, for https URLs with a
+ * self-signed certificate, its SHA-256 `fingerprint`.
+ * @param {string} file - Path to the JSON fleet file
+ * @returns {Object} { devices }
+ */
+function loadFleetConfig(file) {
+  let config = {};
+
+  if (fs.existsSync(file)) {
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`Error reading fleet devices from ${file}:`, error.message);
+    }
+  }
+
+  const devices = [];
+  const ids = new Set();
+
+  for (const entry of Array.isArray(config.devices) ? config.devices : []) {
+    if (!entry || typeof entry.url !== 'string') {
+      console.error('Skipping fleet device without a url:', JSON.stringify(entry));
+      continue;
+    }
+
+    const id = slugify(entry.id || entry.name || entry.url);
+    if (ids.has(id)) {
+      console.error(`Skipping duplicate fleet device id "${id}"`);
+      continue;
+    }
+    ids.add(id);
+
+    devices.push({
+      id,
+      name: entry.name || id,
+      url: entry.url.replace(/\/+$/, ''),
+      token: entry.token || null,
+      fingerprint: entry.fingerprint || null
+    });
+  }
+
+  return { devices };
+}
+
+module.exports = loadFleetConfig;
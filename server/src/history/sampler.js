@@ -0,0 +1,46 @@
+const extractSeries = require('./series');
+
+const PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Start sampling metrics into the history store on a fixed interval
+ * @param {Object} options - Sampler options
+ * @param {Object} options.store - History store
+ * @param {Function} options.collect - Async function returning a metrics snapshot
+ * @param {number} options.interval - Sampling interval in milliseconds
+ * @returns {Object} Sampler handle with stop(), which resolves once history is on disk
+ */
+function startHistorySampler({ store, collect, interval }) {
+  let running = false;
+
+  async function sample() {
+    // Skip a tick rather than piling up if collection is slower than the interval
+    if (running) return;
+    running = true;
+
+    try {
+      const metrics = await collect();
+      store.record(Date.now(), extractSeries(metrics));
+    } catch (error) {
+      console.error('Error sampling metrics history:', error);
+    } finally {
+      running = false;
+    }
+  }
+
+  store.prune();
+  sample();
+
+  const sampleTimer = setInterval(sample, interval);
+  const pruneTimer = setInterval(() => store.prune(), PRUNE_INTERVAL);
+
+  return {
+    stop() {
+      clearInterval(sampleTimer);
+      clearInterval(pruneTimer);
+      return store.flush();
+    }
+  };
+}
+
+module.exports = startHistorySampler;
@@ -0,0 +1,115 @@
+/**
+ * Store a numeric value under a series key, ignoring anything non-numeric
+ * @param {Object} values - Target map of series values
+ * @param {string} key - Series key
+ * @param {*} value - Raw value (numbers and numeric strings are accepted)
+ */
+function setValue(values, key, value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof number === 'number' && Number.isFinite(number)) {
+    values[key] = number;
+  }
+}
+
+/**
+ * Flatten a metrics snapshot into numeric time series
+ * Keys are dotted metric names, optionally followed by ":<instance>" for
+ * per-core, per-mount or per-interface values (e.g. "disk.usage:/").
+ * @param {Object} metrics - Snapshot as returned by /api/metrics
+ * @returns {Object} Map of series key to numeric value
+ */
+function extractSeries(metrics) {
+  const values = {};
+  const { cpu, memory, disk, network, android } = metrics;
+
+  if (cpu && !cpu.error) {
+    setValue(values, 'cpu.usage', cpu.usage);
+    (cpu.loadavg || []).forEach((load, index) => {
+      setValue(values, `cpu.load${[1, 5, 15][index]}`, load);
+    });
+    for (const mode of ['user', 'system', 'iowait']) {
+      setValue(values, `cpu.${mode}`, cpu.breakdown && cpu.breakdown[mode]);
+    }
+    (cpu.coreUsage || []).forEach(core => {
+      setValue(values, `cpu.core.usage:${core.core}`, core.usage);
+      setValue(values, `cpu.core.frequency:${core.core}`, core.frequency && core.frequency.current);
+    });
+  }
+
+  if (memory && !memory.error) {
+    setValue(values, 'memory.usage', memory.usage);
+    setValue(values, 'memory.used', memory.used);
+    setValue(values, 'memory.free', memory.free);
+    setValue(values, 'memory.available', memory.available);
+    setValue(values, 'memory.cached', memory.cached);
+    if (memory.swap) {
+      setValue(values, 'memory.swap.used', memory.swap.used);
+      setValue(values, 'memory.swap.usage', memory.swap.usage);
+    }
+  }
+
+  if (disk && Array.isArray(disk.filesystems)) {
+    for (const entry of disk.filesystems) {
+      if (entry.error) continue;
+      setValue(values, `disk.usage:${entry.mountpoint}`, entry.usagePercent);
+      setValue(values, `disk.used:${entry.mountpoint}`, entry.usedBytes);
+    }
+  }
+
+  if (disk && disk.io && Array.isArray(disk.io.devices)) {
+    for (const device of disk.io.devices) {
+      setValue(values, `disk.io.read.bytes_per_sec:${device.device}`, device.readBytesPerSec);
+      setValue(values, `disk.io.write.bytes_per_sec:${device.device}`, device.writeBytesPerSec);
+      setValue(values, `disk.io.utilization:${device.device}`, device.utilization);
+    }
+  }
+
+  if (network && !network.error) {
+    for (const [name, stats] of Object.entries(network)) {
+      if (!stats.rx || !stats.tx) continue;
+      setValue(values, `network.rx.bytes:${name}`, stats.rx.bytes);
+      setValue(values, `network.tx.bytes:${name}`, stats.tx.bytes);
+      setValue(values, `network.rx.bytes_per_sec:${name}`, stats.rx.bytesPerSec);
+      setValue(values, `network.tx.bytes_per_sec:${name}`, stats.tx.bytesPerSec);
+      setValue(values, `network.errors_per_sec:${name}`, (stats.rx.errorsPerSec || 0) + (stats.tx.errorsPerSec || 0));
+    }
+  }
+
+  if (android && android.available) {
+    const battery = android.battery || {};
+    if (!battery.error) {
+      setValue(values, 'android.battery.level', battery.level);
+      setValue(values, 'android.battery.temperature', battery.temperatureCelsius);
+      if (battery.plugged) {
+        setValue(values, 'android.battery.plugged', battery.plugged === 'UNPLUGGED' ? 0 : 1);
+      }
+    }
+
+    const analytics = android.batteryAnalytics;
+    if (analytics && analytics.available) {
+      setValue(values, 'android.battery.rate', analytics.rate.percentPerHour);
+      setValue(values, 'android.battery.power', analytics.rate.powerMw);
+    }
+
+    const zones = (android.thermal && android.thermal.zones) || {};
+    for (const [type, zone] of Object.entries(zones)) {
+      setValue(values, `android.thermal.temperature:${type}`, zone.temperatureCelsius);
+    }
+    const throttling = android.thermal && android.thermal.throttling;
+    if (throttling && throttling.throttled !== null) {
+      setValue(values, 'android.thermal.throttled', throttling.throttled ? 1 : 0);
+    }
+
+    if (android.wifi && android.wifi.connected) {
+      setValue(values, 'android.wifi.rssi', android.wifi.rssi);
+      setValue(values, 'android.wifi.link_speed', android.wifi.linkSpeedMbps);
+    }
+    if (android.cellular && !android.cellular.error) {
+      setValue(values, 'android.cellular.dbm', android.cellular.dbm);
+    }
+  }
+
+  return values;
+}
+
+module.exports = extractSeries;
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Get the UTC day key used to name data files
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} Day key (YYYY-MM-DD)
+ */
+function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * List the day keys covering a time range
+ * @param {number} from - Range start in milliseconds
+ * @param {number} to - Range end in milliseconds
+ * @returns {Array<string>} Day keys, oldest first
+ */
+function daysBetween(from, to) {
+  const days = [];
+  for (let day = Math.floor(from / DAY) * DAY; day <= to; day += DAY) {
+    days.push(dayKey(day));
+  }
+  return days;
+}
+
+/**
+ * Read newline-delimited JSON records from a file, skipping corrupt lines
+ * @param {string} file - File path
+ * @returns {Promise<Array>} Parsed records
+ */
+async function readRecords(file) {
+  let content;
+  try {
+    content = await fs.promises.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      // Partially written line (e.g. after a crash), skip it
+    }
+  }
+  return records;
+}
+
+/**
+ * Group points into fixed-size steps, averaging values within each step
+ * @param {Array} points - Points sorted by time
+ * @param {number} step - Step size in milliseconds
+ * @returns {Array} Downsampled points
+ */
+function downsample(points, step) {
+  const buckets = new Map();
+
+  for (const point of points) {
+    const start = Math.floor(point.timestamp / step) * step;
+    let bucket = buckets.get(start);
+    if (!bucket) {
+      bucket = { timestamp: start, sum: 0, count: 0, min: Infinity, max: -Infinity };
+      buckets.set(start, bucket);
+    }
+    bucket.sum += point.value;
+    bucket.count++;
+    bucket.min = Math.min(bucket.min, point.min !== undefined ? point.min : point.value);
+    bucket.max = Math.max(bucket.max, point.max !== undefined ? point.max : point.value);
+  }
+
+  return Array.from(buckets.values()).map(bucket => ({
+    timestamp: bucket.timestamp,
+    value: parseFloat((bucket.sum / bucket.count).toFixed(3)),
+    min: bucket.min,
+    max: bucket.max
+  }));
+}
+
+/**
+ * Create an on-disk time-series store
+ *
+ * Raw samples are appended to one NDJSON file per day under `raw/`, and
+ * 1-minute rollups (avg/min/max per series) under `1m/`. Files older than
+ * their retention are removed by prune().
+ *
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Data directory
+ * @param {number} options.rawRetention - How long to keep raw samples (ms)
+ * @param {number} options.rollupRetention - How long to keep 1-minute rollups (ms)
+ * @returns {Object} History store
+ */
+function createHistoryStore({ dir, rawRetention, rollupRetention }) {
+  const rawDir = path.join(dir, 'raw');
+  const rollupDir = path.join(dir, '1m');
+  const knownMetrics = new Set();
+  let bucket = null;
+
+  // Lines waiting to be written, per file; one writer at a time keeps them in order
+  const pending = new Map();
+  let writing = null;
+
+  fs.mkdirSync(rawDir, { recursive: true });
+  fs.mkdirSync(rollupDir, { recursive: true });
+
+  // Seed the metric list from the most recent raw file so it survives restarts
+  try {
+    const latest = fs.readdirSync(rawDir).filter(file => file.endsWith('.ndjson')).sort().pop();
+    if (latest) {
+      const lines = fs.readFileSync(path.join(rawDir, latest), 'utf8').trim().split('\n');
+      const last = JSON.parse(lines[lines.length - 1]);
+      Object.keys(last.v || {}).forEach(key => knownMetrics.add(key));
+    }
+  } catch (error) {
+    console.error('Error reading metrics history:', error);
+  }
+
+  async function writePending() {
+    while (pending.size > 0) {
+      const batch = Array.from(pending);
+      pending.clear();
+      for (const [file, lines] of batch) {
+        try {
+          await fs.promises.appendFile(file, lines.join(''));
+        } catch (error) {
+          console.error('Error writing metrics history:', error);
+        }
+      }
+    }
+    writing = null;
+  }
+
+  // Queue a record; lines that arrive while a write is in flight go out together
+  function append(directory, timestamp, record) {
+    const file = path.join(directory, `${dayKey(timestamp)}.ndjson`);
+    if (!pending.has(file)) {
+      pending.set(file, []);
+    }
+    pending.get(file).push(JSON.stringify(record) + '\n');
+    if (!writing) {
+      writing = writePending();
+    }
+  }
+
+  /**
+   * Write the in-progress 1-minute rollup to disk
+   * @returns {Promise} Resolves once every queued record has been written
+   */
+  function flush() {
+    if (!bucket || bucket.count === 0) {
+      bucket = null;
+      return writing || Promise.resolve();
+    }
+
+    const avg = {};
+    for (const [key, sum] of Object.entries(bucket.sum)) {
+      avg[key] = parseFloat((sum / bucket.counts[key]).toFixed(3));
+    }
+
+    append(rollupDir, bucket.start, {
+      t: bucket.start,
+      n: bucket.count,
+      avg,
+      min: bucket.min,
+      max: bucket.max
+    });
+    bucket = null;
+    return writing || Promise.resolve();
+  }
+
+  /**
+   * Record one sample
+   * @param {number} timestamp - Sample time in milliseconds
+   * @param {Object} values - Map of series key to numeric value
+   */
+  function record(timestamp, values) {
+    append(rawDir, timestamp, { t: timestamp, v: values });
+
+    const start = Math.floor(timestamp / MINUTE) * MINUTE;
+    if (bucket && bucket.start !== start) {
+      flush();
+    }
+    if (!bucket) {
+      bucket = { start, count: 0, sum: {}, counts: {}, min: {}, max: {} };
+    }
+
+    bucket.count++;
+    for (const [key, value] of Object.entries(values)) {
+      knownMetrics.add(key);
+      bucket.sum[key] = (bucket.sum[key] || 0) + value;
+      bucket.counts[key] = (bucket.counts[key] || 0) + 1;
+      bucket.min[key] = key in bucket.min ? Math.min(bucket.min[key], value) : value;
+      bucket.max[key] = key in bucket.max ? Math.max(bucket.max[key], value) : value;
+    }
+  }
+
+  /**
+   * Delete data files that fall entirely outside their retention window
+   * @param {number} now - Current time in milliseconds
+   */
+  function prune(now = Date.now()) {
+    const targets = [
+      [rawDir, rawRetention],
+      [rollupDir, rollupRetention]
+    ];
+
+    for (const [directory, retention] of targets) {
+      try {
+        for (const file of fs.readdirSync(directory)) {
+          const dayStart = Date.parse(file.replace('.ndjson', ''));
+          if (!Number.isNaN(dayStart) && dayStart + DAY <= now - retention) {
+            fs.unlinkSync(path.join(directory, file));
+          }
+        }
+      } catch (error) {
+        console.error(`Error pruning history in ${directory}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Expand series patterns against the recorded series
+   * A trailing * matches any suffix, e.g. "cpu.core.usage:*".
+   * @param {Array<string>} patterns - Series keys or patterns
+   * @returns {Array<string>} Matching series keys
+   */
+  function expandMetrics(patterns) {
+    const keys = new Set();
+    for (const pattern of patterns) {
+      if (pattern.endsWith('*')) {
+        const prefix = pattern.slice(0, -1);
+        knownMetrics.forEach(key => {
+          if (key.startsWith(prefix)) keys.add(key);
+        });
+      } else {
+        keys.add(pattern);
+      }
+    }
+    return Array.from(keys).sort();
+  }
+
+  /**
+   * Query several series in one pass over the data files
+   * Raw samples are used while the range is within raw retention, otherwise
+   * the 1-minute rollups.
+   * @param {Object} query - Query parameters
+   * @param {Array<string>} query.metrics - Series keys (a trailing * matches any suffix)
+   * @param {number} query.from - Range start in milliseconds
+   * @param {number} query.to - Range end in milliseconds
+   * @param {number} [query.step] - Optional step size in milliseconds
+   * @returns {Promise<Object>} Query result with points per series
+   */
+  async function queryMany({ metrics, from, to, step }) {
+    const now = Date.now();
+    const resolution = from >= now - rawRetention ? 'raw' : '1m';
+    const keys = expandMetrics(metrics);
+    const series = {};
+    keys.forEach(key => { series[key] = []; });
+
+    // Only days that can still have files, so from=0 doesn't walk back to 1970
+    const firstDay = Math.max(from, now - rollupRetention - DAY);
+    const lastDay = Math.min(to, now + DAY);
+
+    for (const day of daysBetween(firstDay, lastDay)) {
+      const directory = resolution === 'raw' ? rawDir : rollupDir;
+      const records = await readRecords(path.join(directory, `${day}.ndjson`));
+
+      for (const entry of records) {
+        if (entry.t < from || entry.t > to) continue;
+
+        for (const key of keys) {
+          if (resolution === 'raw') {
+            if (entry.v && key in entry.v) {
+              series[key].push({ timestamp: entry.t, value: entry.v[key] });
+            }
+          } else if (entry.avg && key in entry.avg) {
+            series[key].push({
+              timestamp: entry.t,
+              value: entry.avg[key],
+              min: entry.min[key],
+              max: entry.max[key]
+            });
+          }
+        }
+      }
+    }
+
+    for (const key of keys) {
+      series[key].sort((a, b) => a.timestamp - b.timestamp);
+      if (step) {
+        series[key] = downsample(series[key], step);
+      }
+    }
+
+    return {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      step: step || null,
+      resolution,
+      series
+    };
+  }
+
+  /**
+   * Query a single series
+   * @param {Object} query - Query parameters
+   * @param {string} query.metric - Series key
+   * @param {number} query.from - Range start in milliseconds
+   * @param {number} query.to - Range end in milliseconds
+   * @param {number} [query.step] - Optional step size in milliseconds
+   * @returns {Promise<Object>} Query result with points
+   */
+  async function query({ metric, from, to, step }) {
+    const result = await queryMany({ metrics: [metric], from, to, step });
+    const points = result.series[metric] || [];
+
+    return {
+      metric,
+      from: result.from,
+      to: result.to,
+      step: result.step,
+      resolution: result.resolution,
+      count: points.length,
+      points
+    };
+  }
+
+  /**
+   * List every series key that has been recorded
+   * @returns {Array<string>} Sorted series keys
+   */
+  function listMetrics() {
+    return Array.from(knownMetrics).sort();
+  }
+
+  return {
+    record,
+    flush,
+    prune,
+    query,
+    queryMany,
+    listMetrics
+  };
+}
+
+module.exports = createHistoryStore;
@@ -1,12 +1,21 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const http = require('http');
+const https = require('https');
+const os = require('os');
 const path = require('path');
+const QRCode = require('qrcode');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const HOST = process.env.HOST || '0.0.0.0';
 
+// Optional HTTPS (self-signed unless HTTPS_CERT_FILE/HTTPS_KEY_FILE are given)
+const HTTPS_ENABLED = process.env.HTTPS_ENABLED === 'true';
+const HTTPS_PORT = parseInt(process.env.HTTPS_PORT) || 3443;
+const HTTPS_REDIRECT = HTTPS_ENABLED && process.env.HTTPS_REDIRECT === 'true';
+
 // Middleware
 app.use(express.json());
 
@@ -18,22 +27,33 @@ if (process.env.NODE_ENV === 'development' || process.env.ENABLE_CORS === 'true'
   }));
 }
 
-// Optional authentication middleware
-const authenticateToken = (req, res, next) => {
-  const authToken = process.env.AUTH_TOKEN;
-  
-  if (!authToken) {
-    return next(); // No auth required
-  }
-  
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer token
-  
-  if (!token || token !== authToken) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  
-  next();
+// Authentication: scoped API tokens, plus the legacy AUTH_TOKEN as an admin token
+const { SCOPES, createTokenStore } = require('./auth/tokens');
+const createAuth = require('./auth/middleware');
+const createPairing = require('./auth/pairing');
+const { renderPairPage, renderPairForbidden, renderPairUnavailable } = require('./auth/pairPage');
+const createSettingsStore = require('./settings/store');
+const loadCertificate = require('./tls/certificate');
+const { parseDuration, parseTime } = require('./utils/time');
+
+const tokenStore = createTokenStore({
+  file: process.env.TOKENS_FILE || path.join(__dirname, '../data/tokens.json')
+});
+const auth = createAuth({ store: tokenStore, legacyToken: process.env.AUTH_TOKEN || null });
+
+// Scope needed per /api route prefix; routes not listed need metrics:read
+const API_SCOPES = {
+  '/auth': null,
+  '/pair': null,
+  '/tokens': 'admin',
+  '/pairings': 'admin',
+  '/history': 'history:read'
+};
+
+const authorizeApi = (req, res, next) => {
+  const prefix = Object.keys(API_SCOPES).find(route => req.path === route || req.path.startsWith(`${route}/`));
+  const scope = prefix ? API_SCOPES[prefix] : 'metrics:read';
+  return scope ? auth.requireScope(scope)(req, res, next) : next();
 };
 
 // Health check endpoint
@@ -46,86 +66,343 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Device pairing: a short-lived code from the terminal or /pair buys a scoped token
+const pairingEnabled = process.env.PAIRING_ENABLED !== 'false';
+
+/**
+ * Base URL other devices reach this server on
+ * PUBLIC_URL wins; otherwise the first LAN IPv4 address is used.
+ * @returns {string} URL without trailing slash
+ */
+function getPublicUrl() {
+  if (process.env.PUBLIC_URL) {
+    return process.env.PUBLIC_URL.replace(/\/+$/, '');
+  }
+  const lanAddress = Object.values(os.networkInterfaces())
+    .flat()
+    .find(address => address && address.family === 'IPv4' && !address.internal);
+  const host = lanAddress ? lanAddress.address : 'localhost';
+  return HTTPS_ENABLED ? `https://${host}:${HTTPS_PORT}` : `http://${host}:${PORT}`;
+}
+
+// Dashboard URL that pairs with a code when opened
+const pairingUrl = (code) => `${getPublicUrl()}/?pair=${code}`;
+
+const pairing = createPairing({
+  store: tokenStore,
+  ttl: parseDuration(process.env.PAIRING_CODE_TTL || '5m'),
+  onCode: async ({ code, expiresAt }) => {
+    // Codes keep rotating, but only print the ones that can actually be used
+    if (!auth.isEnabled()) return;
+    try {
+      const qr = await QRCode.toString(pairingUrl(code), { type: 'terminal', small: true });
+      console.log(`\n🔗 Pairing code: ${code} (valid until ${new Date(expiresAt).toLocaleTimeString()})\n${qr}   ${pairingUrl(code)}\n`);
+    } catch (error) {
+      console.log(`🔗 Pairing code: ${code} (valid until ${new Date(expiresAt).toLocaleTimeString()})`);
+    }
+  }
+});
+
+// Only the tablet itself may see the code
+const isLocalRequest = (req) => ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+
+app.get('/pair', async (req, res) => {
+  if (!pairingEnabled) {
+    return res.status(404).json({ error: 'Pairing disabled', message: 'Set PAIRING_ENABLED=true to allow pairing' });
+  }
+  if (!isLocalRequest(req)) {
+    return res.status(403).type('html').send(renderPairForbidden());
+  }
+  if (!auth.isEnabled()) {
+    return res.type('html').send(renderPairUnavailable());
+  }
+
+  try {
+    const { code, expiresAt } = pairing.current();
+    const qrSvg = await QRCode.toString(pairingUrl(code), { type: 'svg', margin: 1 });
+    res.type('html').send(renderPairPage({ code, expiresAt, url: pairingUrl(code), qrSvg, pairings: pairing.list() }));
+  } catch (error) {
+    console.error('Error rendering pairing page:', error);
+    res.status(500).json({
+      error: 'Failed to render pairing page',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Whether a form post came from one of this server's own pages
+ * Any page open in the tablet's browser could post to localhost too, so a
+ * local request alone doesn't prove the user pressed the button on /pair.
+ * @param {Object} req - Express request
+ * @returns {boolean} True when Origin (or Referer) names this host
+ */
+function isSameOrigin(req) {
+  const source = req.get('origin') || req.get('referer');
+  if (!source || source === 'null') return false;
+  try {
+    return new URL(source).host === req.get('host');
+  } catch (error) {
+    return false;
+  }
+}
+
+app.post('/pair/revoke/:id', (req, res) => {
+  if (!pairingEnabled || !isLocalRequest(req)) {
+    return res.status(403).type('html').send(renderPairForbidden());
+  }
+  if (!isSameOrigin(req)) {
+    return res.status(403).json({ error: 'Forbidden', message: 'Pairings can only be revoked from the /pair page' });
+  }
+  if (pairing.list().some(entry => entry.id === req.params.id)) {
+    tokenStore.revoke(req.params.id);
+  }
+  res.redirect(303, '/pair');
+});
+
+// Exchange a pairing code for a token (no token needed, so this comes before auth)
+app.post('/api/pair', (req, res) => {
+  if (!pairingEnabled) {
+    return res.status(404).json({ error: 'Pairing disabled', message: 'Set PAIRING_ENABLED=true to allow pairing' });
+  }
+
+  const { code, name } = req.body || {};
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) {
+    return res.status(400).json({ error: 'Invalid pairing request', message: 'code must be the 6-digit code shown on the tablet' });
+  }
+
+  // A pairing token would turn auth on and lock out every other dashboard, with no admin to manage it
+  if (!auth.isEnabled()) {
+    return res.status(409).json({
+      error: 'Pairing unavailable',
+      message: 'Auth is off, so no token is needed; set AUTH_TOKEN or create an admin token first to require one'
+    });
+  }
+
+  const clientName = typeof name === 'string' && name.trim() ? name.trim().slice(0, 64) : 'Paired device';
+  const result = pairing.redeem(code, { name: clientName, userAgent: req.headers['user-agent'] });
+  if (result.error) {
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+    }
+    return res.status(result.status).json({ error: 'Pairing failed', message: result.error });
+  }
+
+  console.log(`🔗 Paired "${result.token.name}"`);
+  res.status(201).json(result.token);
+});
+
 // Protected API routes
-app.use('/api', authenticateToken);
+app.use('/api', auth.authenticate, authorizeApi);
+
+// Unpair: revoke the caller's own pairing token
+app.delete('/api/pair', (req, res) => {
+  if (!req.auth.id || !pairing.list().some(entry => entry.id === req.auth.id)) {
+    return res.status(400).json({ error: 'Not a pairing', message: 'Only tokens obtained by pairing can unpair themselves' });
+  }
+  tokenStore.revoke(req.auth.id);
+  res.status(204).end();
+});
+
+// Paired clients (admin scope)
+app.get('/api/pairings', (req, res) => {
+  res.json({ pairings: pairing.list(), scopes: pairing.scopes });
+});
+
+app.delete('/api/pairings/:id', (req, res) => {
+  if (!pairing.list().some(entry => entry.id === req.params.id)) {
+    return res.status(404).json({ error: 'Pairing not found', message: `No pairing with id ${req.params.id}` });
+  }
+  tokenStore.revoke(req.params.id);
+  res.status(204).end();
+});
+
+// Who the caller is (used by the dashboard to check a token at login)
+app.get('/api/auth', (req, res) => {
+  res.json({
+    enabled: auth.isEnabled(),
+    ...req.auth
+  });
+});
+
+// API token management (admin scope)
+app.get('/api/tokens', (req, res) => {
+  res.json({ tokens: tokenStore.list(), scopes: SCOPES });
+});
+
+app.post('/api/tokens', (req, res) => {
+  const { name, scopes, expiresIn, expiresAt } = req.body || {};
+
+  if (typeof name !== 'string' || !name.trim() || name.length > 64) {
+    return res.status(400).json({ error: 'Invalid token', message: 'name must be a non-empty string of at most 64 characters' });
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+    return res.status(400).json({ error: 'Invalid token', message: `scopes must be a non-empty list of: ${SCOPES.join(', ')}` });
+  }
+
+  let expiry = null;
+  if (expiresIn !== undefined) {
+    const duration = parseDuration(expiresIn);
+    if (!duration) {
+      return res.status(400).json({ error: 'Invalid token', message: 'expiresIn must be a duration such as 30d or 12h' });
+    }
+    expiry = new Date(Date.now() + duration).toISOString();
+  } else if (expiresAt !== undefined) {
+    const time = Date.parse(expiresAt);
+    if (Number.isNaN(time) || time <= Date.now()) {
+      return res.status(400).json({ error: 'Invalid token', message: 'expiresAt must be a future ISO date' });
+    }
+    expiry = new Date(time).toISOString();
+  }
+
+  // The first token turns auth on; without admin nobody could manage tokens afterwards
+  const wasEnabled = auth.isEnabled();
+  if (!wasEnabled && !scopes.includes('admin')) {
+    return res.status(400).json({
+      error: 'Invalid token',
+      message: 'The first token turns auth on and must include the admin scope, so tokens can still be managed afterwards'
+    });
+  }
+  const created = tokenStore.create({ name: name.trim(), scopes: Array.from(new Set(scopes)), expiresAt: expiry });
+  if (!wasEnabled) {
+    console.log(`🔒 Auth enabled: first API token "${created.name}" created`);
+    if (pairingEnabled) {
+      pairing.current(); // Pairing is possible from now on, so print its first code
+    }
+  }
+  res.status(201).json(created);
+});
+
+app.delete('/api/tokens/:id', (req, res) => {
+  if (!tokenStore.revoke(req.params.id)) {
+    return res.status(404).json({ error: 'Token not found', message: `No token with id ${req.params.id}` });
+  }
+  res.status(204).end();
+});
+
+// Shared dashboard settings, so every browser pointed at this tablet gets the same setup
+const settingsStore = createSettingsStore({
+  file: process.env.SETTINGS_FILE || path.join(__dirname, '../data/settings.json')
+});
+
+app.get('/api/settings', (req, res) => {
+  res.json(settingsStore.get());
+});
+
+app.put('/api/settings', auth.requireScope('settings:write'), (req, res) => {
+  const result = settingsStore.update(req.body);
+  if (result.error) {
+    return res.status(400).json({ error: 'Invalid settings', message: result.error });
+  }
+  res.json(result);
+});
 
 // Import collectors
-const collectHostInfo = require('./collectors/host');
-const collectMemoryInfo = require('./collectors/memory');
-const collectCpuInfo = require('./collectors/cpu');
-const collectDiskInfo = require('./collectors/disk');
-const collectNetworkInfo = require('./collectors/network');
-const collectAndroidInfo = require('./collectors/android');
-
-// Comprehensive metrics endpoint
+const createCollectorRegistry = require('./collectors/registry');
+const builtinCollectors = require('./collectors/builtin');
+const collectProcessInfo = require('./collectors/processes');
+const collectConnectionInfo = require('./collectors/connections');
+
+const createBatteryAnalytics = require('./battery/analytics');
+const createHistoryStore = require('./history/store');
+const startHistorySampler = require('./history/sampler');
+const createMetricsHub = require('./stream/hub');
+const formatPrometheus = require('./exporters/prometheus');
+const loadAlertConfig = require('./alerts/config');
+const createAlertEngine = require('./alerts/engine');
+const { createWebhookNotifier, createLogNotifier } = require('./alerts/notifiers');
+const loadFleetConfig = require('./fleet/config');
+const createFleetAggregator = require('./fleet/aggregator');
+const { getExecStats } = require('./utils/exec');
+const { cache } = require('./utils/cache');
+
+/**
+ * Split a comma-separated list (env var or query parameter)
+ * @param {string} value - List
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Check for ?fresh=1, which bypasses collector caches (for debugging)
+ * @param {Object} req - Express request
+ * @returns {boolean} True if fresh data was requested
+ */
+function wantsFresh(req) {
+  return ['1', 'true'].includes(req.query.fresh);
+}
+
+// Collector registry: built-ins plus plugins, filtered by COLLECTORS_ENABLED/DISABLED
+const collectors = createCollectorRegistry({
+  enabled: parseList(process.env.COLLECTORS_ENABLED),
+  disabled: parseList(process.env.COLLECTORS_DISABLED)
+});
+builtinCollectors.forEach(definition => collectors.register(definition));
+const pluginCollectors = collectors.loadPlugins(process.env.PLUGINS_DIR || path.join(__dirname, '../plugins'));
+
+/**
+ * Run the enabled collectors and assemble the metrics snapshot
+ * @param {Object} [options] - Collection options
+ * @param {Array<string>} [options.include] - Only run these collectors
+ * @param {boolean} [options.fresh] - Bypass the collector cache
+ * @returns {Promise<Object>} Metrics snapshot including meta
+ */
+async function collectAllMetrics({ include, fresh = false } = {}) {
+  const startTime = Date.now();
+  
+  // Collect all metrics in parallel; failures come back as { error, message }
+  const { results, warnings, cache: cacheMeta } = await collectors.collect(include, { fresh });
+  
+  const metrics = {
+    timestamp: new Date().toISOString(),
+    collectionTimeMs: Date.now() - startTime,
+    ...results
+  };
+  
+  // Check for errors and add warnings
+  Object.keys(results).forEach(key => {
+    if (results[key]?.error) {
+      warnings.unshift(`${key}: ${results[key].error}`);
+    }
+  });
+
+  if (metrics.android?.available && metrics.android.battery && !metrics.android.battery.error) {
+    metrics.android = { ...metrics.android, batteryAnalytics: batteryAnalytics.analyze() };
+  }
+  
+  // Add metadata
+  metrics.meta = {
+    server: {
+      platform: process.platform,
+      nodeVersion: process.version,
+      uptime: process.uptime(),
+      memoryUsage: process.memoryUsage(),
+      pid: process.pid
+    },
+    collectors: Object.keys(results),
+    cache: cacheMeta,
+    warnings: warnings.length > 0 ? warnings : undefined,
+    status: warnings.length === 0 ? 'ok' : 'partial'
+  };
+  
+  return metrics;
+}
+
+// Comprehensive metrics endpoint (?include=cpu,memory limits the collectors run, ?fresh=1 skips the cache)
 app.get('/api/metrics', async (req, res) => {
+  const include = req.query.include ? parseList(req.query.include) : undefined;
+  const unknown = (include || []).filter(name => !collectors.isEnabled(name));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: 'Unknown collector',
+      message: `Not available: ${unknown.join(', ')}. Enabled collectors: ${collectors.list().filter(c => c.enabled).map(c => c.name).join(', ')}`
+    });
+  }
+
   try {
-    const startTime = Date.now();
-    
-    // Collect all metrics in parallel with error handling
-    const [host, memory, cpu, disk, network, android] = await Promise.allSettled([
-      Promise.resolve(collectHostInfo()),
-      Promise.resolve(collectMemoryInfo()),
-      collectCpuInfo(),
-      collectDiskInfo(),
-      collectNetworkInfo(),
-      collectAndroidInfo()
-    ]);
-    
-    const collectTime = Date.now() - startTime;
-    const warnings = [];
-    
-    // Build response with error handling
-    const metrics = {
-      timestamp: new Date().toISOString(),
-      collectionTimeMs: collectTime,
-      host: host.status === 'fulfilled' ? host.value : {
-        error: 'Failed to collect host info',
-        message: host.reason?.message || 'Unknown error'
-      },
-      memory: memory.status === 'fulfilled' ? memory.value : {
-        error: 'Failed to collect memory info', 
-        message: memory.reason?.message || 'Unknown error'
-      },
-      cpu: cpu.status === 'fulfilled' ? cpu.value : {
-        error: 'Failed to collect CPU info',
-        message: cpu.reason?.message || 'Unknown error'
-      },
-      disk: disk.status === 'fulfilled' ? disk.value : {
-        error: 'Failed to collect disk info',
-        message: disk.reason?.message || 'Unknown error'
-      },
-      network: network.status === 'fulfilled' ? network.value : {
-        error: 'Failed to collect network info',
-        message: network.reason?.message || 'Unknown error'
-      },
-      android: android.status === 'fulfilled' ? android.value : {
-        error: 'Failed to collect Android info',
-        message: android.reason?.message || 'Unknown error'
-      }
-    };
-    
-    // Check for errors and add warnings
-    Object.keys(metrics).forEach(key => {
-      if (key !== 'timestamp' && key !== 'collectionTimeMs' && metrics[key]?.error) {
-        warnings.push(`${key}: ${metrics[key].error}`);
-      }
-    });
-    
-    // Add metadata
-    metrics.meta = {
-      server: {
-        platform: process.platform,
-        nodeVersion: process.version,
-        uptime: process.uptime(),
-        memoryUsage: process.memoryUsage(),
-        pid: process.pid
-      },
-      warnings: warnings.length > 0 ? warnings : undefined,
-      status: warnings.length === 0 ? 'ok' : 'partial'
-    };
-    
-    res.json(metrics);
+    res.json(await collectAllMetrics({ include, fresh: wantsFresh(req) }));
   } catch (error) {
     console.error('Error fetching metrics:', error);
     res.status(500).json({
@@ -136,6 +413,316 @@ app.get('/api/metrics', async (req, res) => {
   }
 });
 
+// Single collector
+app.get('/api/metrics/:collector', async (req, res) => {
+  const name = req.params.collector;
+  if (!collectors.isEnabled(name)) {
+    return res.status(404).json({
+      error: 'Unknown collector',
+      message: `No enabled collector named ${name}`
+    });
+  }
+
+  try {
+    const metrics = await collectAllMetrics({ include: [name], fresh: wantsFresh(req) });
+    const value = metrics[name];
+    res.status(value && value.error ? 503 : 200).json(value);
+  } catch (error) {
+    console.error(`Error fetching ${name} metrics:`, error);
+    res.status(500).json({
+      error: 'Failed to fetch metrics',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Registered collectors, plus cache statistics and timing of the external commands they run
+app.get('/api/collectors', (req, res) => {
+  res.json({
+    collectors: collectors.list(),
+    cache: cache.stats(),
+    exec: getExecStats()
+  });
+});
+
+// Process list
+const PROCESS_SORT_KEYS = ['cpu', 'memory', 'rssBytes', 'threads', 'pid', 'name', 'user'];
+
+app.get('/api/processes', async (req, res) => {
+  try {
+    const result = await collectProcessInfo({ fresh: wantsFresh(req) });
+    if (result.error) {
+      return res.status(503).json(result);
+    }
+
+    const sort = PROCESS_SORT_KEYS.includes(req.query.sort) ? req.query.sort : 'cpu';
+    // Numbers sort largest first by default, names alphabetically
+    const defaultOrder = ['pid', 'name', 'user'].includes(sort) ? 'asc' : 'desc';
+    const order = req.query.order === 'asc' || req.query.order === 'desc' ? req.query.order : defaultOrder;
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = (req.query.filter || '').toLowerCase();
+
+    let processes = result.processes;
+    if (filter) {
+      processes = processes.filter(proc =>
+        String(proc.pid) === filter ||
+        proc.name.toLowerCase().includes(filter) ||
+        proc.command.toLowerCase().includes(filter) ||
+        (proc.user || '').toLowerCase().includes(filter)
+      );
+    }
+
+    processes = processes.slice().sort((a, b) => {
+      const left = a[sort] === null ? '' : a[sort];
+      const right = b[sort] === null ? '' : b[sort];
+      const compared = typeof left === 'number' && typeof right === 'number'
+        ? left - right
+        : String(left).localeCompare(String(right));
+      return order === 'asc' ? compared : -compared;
+    });
+
+    res.json({
+      total: result.total,
+      accessible: result.accessible,
+      denied: result.denied,
+      partial: result.partial,
+      matched: processes.length,
+      sort,
+      order,
+      limit,
+      timestamp: result.timestamp,
+      processes: processes.slice(0, limit)
+    });
+  } catch (error) {
+    console.error('Error fetching processes:', error);
+    res.status(500).json({
+      error: 'Failed to fetch processes',
+      message: error.message
+    });
+  }
+});
+
+// Socket / listening port list
+app.get('/api/connections', async (req, res) => {
+  try {
+    const result = await collectConnectionInfo({ fresh: wantsFresh(req) });
+    if (result.error) {
+      return res.status(503).json(result);
+    }
+
+    const state = (req.query.state || '').toUpperCase();
+    const protocol = (req.query.protocol || '').toLowerCase();
+    const port = parseInt(req.query.port);
+
+    let connections = result.connections;
+    if (state) {
+      connections = connections.filter(connection => connection.state === state);
+    }
+    if (protocol) {
+      // 'tcp' matches tcp and tcp6
+      connections = connections.filter(connection => connection.protocol.startsWith(protocol));
+    }
+    if (!Number.isNaN(port)) {
+      connections = connections.filter(connection => connection.localPort === port || connection.remotePort === port);
+    }
+
+    connections = connections.slice().sort((a, b) =>
+      a.localPort - b.localPort || a.protocol.localeCompare(b.protocol) || a.remotePort - b.remotePort
+    );
+
+    res.json({
+      total: result.connections.length,
+      listening: result.listening,
+      established: result.established,
+      unavailable: result.unavailable,
+      partial: result.partial,
+      matched: connections.length,
+      timestamp: result.timestamp,
+      connections
+    });
+  } catch (error) {
+    console.error('Error fetching connections:', error);
+    res.status(500).json({
+      error: 'Failed to fetch connections',
+      message: error.message
+    });
+  }
+});
+
+// Prometheus scrape endpoint (outside /api, so auth is applied explicitly)
+app.get('/metrics', auth.authenticate, auth.requireScope('metrics:read'), async (req, res) => {
+  try {
+    const metrics = await collectAllMetrics();
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(formatPrometheus(metrics));
+  } catch (error) {
+    console.error('Error exporting Prometheus metrics:', error);
+    res.status(500).type('text/plain').send(`# Failed to collect metrics: ${error.message}\n`);
+  }
+});
+
+// Live metrics stream (Server-Sent Events)
+const metricsHub = createMetricsHub({
+  collect: collectAllMetrics,
+  defaultInterval: parseDuration(process.env.STREAM_DEFAULT_INTERVAL || '5s'),
+  minInterval: parseDuration(process.env.STREAM_MIN_INTERVAL || '1s'),
+  maxInterval: 60 * 1000,
+  bufferSize: 30
+});
+
+app.get('/api/stream', (req, res) => {
+  const interval = req.query.interval ? parseDuration(req.query.interval) : null;
+  metricsHub.subscribe(req, res, { interval });
+});
+
+// Battery analytics (sampled in the background, state persisted across restarts)
+const batteryAnalytics = createBatteryAnalytics({
+  file: process.env.BATTERY_STATE_FILE || path.join(__dirname, '../data/battery.json'),
+  designCapacityMah: parseInt(process.env.BATTERY_DESIGN_CAPACITY_MAH) || null
+});
+// Sampled through the registry, so the reading is shared with the dashboard's
+// and COLLECTORS_DISABLED=android stops it too
+if (collectors.isEnabled('android')) {
+  batteryAnalytics.start({
+    collect: async () => {
+      const { results } = await collectors.collect(['android']);
+      return results.android && results.android.battery;
+    },
+    interval: parseDuration(process.env.BATTERY_SAMPLE_INTERVAL || '30s')
+  });
+}
+
+app.get('/api/battery/analytics', (req, res) => {
+  const analytics = collectors.isEnabled('android')
+    ? batteryAnalytics.analyze()
+    : { available: false, reason: 'The android collector is disabled or not supported here' };
+  if (!analytics.available) {
+    return res.status(503).json({
+      error: 'Battery analytics not available',
+      message: analytics.reason
+    });
+  }
+  res.json(analytics);
+});
+
+// Metrics history (background sampler + on-disk store)
+const HISTORY_ENABLED = process.env.HISTORY_ENABLED !== 'false';
+const history = HISTORY_ENABLED ? createHistoryStore({
+  dir: process.env.HISTORY_DIR || path.join(__dirname, '../data/history'),
+  rawRetention: parseDuration(process.env.HISTORY_RAW_RETENTION || '24h'),
+  rollupRetention: parseDuration(process.env.HISTORY_ROLLUP_RETENTION || '30d')
+}) : null;
+const historySampler = history ? startHistorySampler({
+  store: history,
+  collect: collectAllMetrics,
+  interval: parseDuration(process.env.HISTORY_INTERVAL || '10s')
+}) : null;
+
+// Historical series endpoint (?metric= for one series, ?metrics= for several)
+app.get('/api/history', async (req, res) => {
+  if (!history) {
+    return res.status(503).json({
+      error: 'History disabled',
+      message: 'Set HISTORY_ENABLED=true to record metrics history'
+    });
+  }
+
+  const { metric } = req.query;
+  const metrics = req.query.metrics ? parseList(req.query.metrics) : null;
+  if (!metric && !metrics) {
+    return res.json({ metrics: history.listMetrics() });
+  }
+
+  const now = Date.now();
+  const to = req.query.to ? parseTime(req.query.to, now) : now;
+  const from = req.query.from ? parseTime(req.query.from, now) : now - 60 * 60 * 1000;
+  const step = req.query.step ? parseDuration(req.query.step) : null;
+
+  if (from === null || to === null || from > to || step === 0 || (req.query.step && step === null)) {
+    return res.status(400).json({
+      error: 'Invalid query',
+      message: 'Expected from/to as epoch ms, ISO date or duration ago (e.g. 1h), and step as a duration (e.g. 1m)'
+    });
+  }
+
+  try {
+    res.json(metrics
+      ? await history.queryMany({ metrics, from, to, step })
+      : await history.query({ metric, from, to, step }));
+  } catch (error) {
+    console.error('Error querying history:', error);
+    res.status(500).json({
+      error: 'Failed to query history',
+      message: error.message
+    });
+  }
+});
+
+// Alert rules (evaluated server-side, notified via webhooks and a local log)
+const alertConfig = loadAlertConfig(process.env.ALERT_RULES_FILE || path.join(__dirname, '../alerts.json'));
+const alertEngine = createAlertEngine({
+  rules: alertConfig.rules,
+  notifiers: [
+    createLogNotifier(process.env.ALERT_LOG_FILE || path.join(__dirname, '../data/alerts.log')),
+    ...(alertConfig.webhooks.length > 0 ? [createWebhookNotifier(alertConfig.webhooks)] : [])
+  ]
+});
+alertEngine.start({
+  collect: collectAllMetrics,
+  interval: parseDuration(process.env.ALERT_EVAL_INTERVAL || '15s')
+});
+
+// Active and recent alerts
+app.get('/api/alerts', (req, res) => {
+  res.json(alertEngine.status());
+});
+
+// Fleet aggregator (polls other tablets listed in fleet.json)
+const fleetConfig = loadFleetConfig(process.env.FLEET_FILE || path.join(__dirname, '../fleet.json'));
+const fleet = createFleetAggregator({
+  devices: fleetConfig.devices,
+  interval: parseDuration(process.env.FLEET_POLL_INTERVAL || '10s'),
+  timeout: parseDuration(process.env.FLEET_TIMEOUT || '5s')
+});
+fleet.start();
+
+const requireFleet = (req, res, next) => {
+  if (fleet.deviceCount === 0) {
+    return res.status(503).json({
+      error: 'Fleet mode disabled',
+      message: 'List tablets in fleet.json (see fleet.example.json) to aggregate them'
+    });
+  }
+  next();
+};
+
+// Fleet overview
+app.get('/api/fleet', requireFleet, (req, res) => {
+  res.json(fleet.list());
+});
+
+// Latest metrics snapshot of one fleet device
+app.get('/api/fleet/:deviceId/metrics', requireFleet, (req, res) => {
+  const device = fleet.get(req.params.deviceId);
+  if (!device) {
+    return res.status(404).json({
+      error: 'Unknown device',
+      message: `No fleet device with id ${req.params.deviceId}`
+    });
+  }
+  if (!device.metrics) {
+    return res.status(503).json({
+      error: 'No metrics yet',
+      message: device.lastError || 'Device has not been polled yet'
+    });
+  }
+
+  res.set('X-Fleet-Status', device.status);
+  res.set('X-Fleet-Last-Seen', device.lastSeen);
+  res.json(device.metrics);
+});
+
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
   const webBuildPath = path.join(__dirname, '../../web/dist');
@@ -163,22 +750,89 @@ app.use((req, res) => {
   });
 });
 
+/**
+ * Answer every plain HTTP request with a redirect to the HTTPS port
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ */
+function redirectToHttps(req, res) {
+  const hostname = (req.headers.host || 'localhost').replace(/:\d+$/, '');
+  res.writeHead(308, { Location: `https://${hostname}:${HTTPS_PORT}${req.url}` });
+  res.end();
+}
+
 // Start server
-app.listen(PORT, HOST, () => {
-  console.log(`🚀 Server running on http://${HOST}:${PORT}`);
-  console.log(`📊 Health check: http://${HOST}:${PORT}/health`);
-  console.log(`📈 Metrics API: http://${HOST}:${PORT}/api/metrics`);
-  console.log(`🔒 Auth: ${process.env.AUTH_TOKEN ? 'Enabled' : 'Disabled'}`);
+async function start() {
+  let certificate = null;
+  if (HTTPS_ENABLED) {
+    try {
+      certificate = await loadCertificate({
+        certFile: process.env.HTTPS_CERT_FILE,
+        keyFile: process.env.HTTPS_KEY_FILE,
+        dir: process.env.HTTPS_DIR || path.join(__dirname, '../data/tls')
+      });
+    } catch (error) {
+      console.error('❌ HTTPS_ENABLED is set but the certificate could not be loaded:', error.message);
+      process.exit(1);
+    }
+  }
+
+  const servers = [];
+  servers.push(new Promise(resolve => {
+    http.createServer(HTTPS_REDIRECT ? redirectToHttps : app).listen(PORT, HOST, resolve);
+  }));
+  if (certificate) {
+    servers.push(new Promise(resolve => {
+      https.createServer({ cert: certificate.cert, key: certificate.key }, app).listen(HTTPS_PORT, HOST, resolve);
+    }));
+  }
+  await Promise.all(servers);
+
+  // Where the API is served; plain HTTP only redirects when HTTPS_REDIRECT is set
+  const baseUrl = certificate ? `https://${HOST}:${HTTPS_PORT}` : `http://${HOST}:${PORT}`;
+  const localUrl = certificate ? `https://localhost:${HTTPS_PORT}` : `http://localhost:${PORT}`;
+
+  console.log(`🚀 Server running on ${baseUrl}`);
+  if (certificate) {
+    console.log(`🌐 HTTP: http://${HOST}:${PORT} (${HTTPS_REDIRECT ? 'redirects to HTTPS' : 'also serving the API'})`);
+    console.log(`🔐 TLS certificate: ${certificate.source}, ${certificate.subject.replace(/\n/g, ', ')}, valid until ${certificate.validTo.slice(0, 10)}`);
+    console.log(`🔐 SHA-256 fingerprint: ${certificate.fingerprint}`);
+  }
+  console.log(`📊 Health check: ${baseUrl}/health`);
+  console.log(`📈 Metrics API: ${baseUrl}/api/metrics`);
+  console.log(`🎯 Prometheus: ${baseUrl}/metrics`);
+  console.log(`📡 Live stream: ${baseUrl}/api/stream`);
+  console.log(`🕒 History: ${history ? 'Enabled' : 'Disabled'}`);
+  console.log(`🛰️  Fleet: ${fleet.deviceCount > 0 ? `${fleet.deviceCount} device(s)` : 'Disabled'}`);
+  console.log(`🧩 Collectors: ${collectors.list().filter(c => c.enabled).map(c => c.name).join(', ')}${pluginCollectors.length > 0 ? ` (plugins: ${pluginCollectors.join(', ')})` : ''}`);
+  console.log(`🚨 Alerts: ${alertEngine.ruleCount} rule(s), ${alertConfig.webhooks.length} webhook(s)`);
+  console.log(`🔗 Pairing: ${!pairingEnabled ? 'Disabled' : auth.isEnabled() ? `${localUrl}/pair (${pairing.list().length} paired)` : 'Needs auth (set AUTH_TOKEN or create an admin token)'}`);
+  console.log(`🔒 Auth: ${auth.isEnabled() ? `Enabled (${tokenStore.size} token(s)${process.env.AUTH_TOKEN ? ' + AUTH_TOKEN' : ''})` : 'Disabled'}`);
+  if (auth.isEnabled() && !certificate) {
+    console.log('⚠️  Tokens are sent over plain HTTP; set HTTPS_ENABLED=true to encrypt them');
+  }
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+
+  if (pairingEnabled && auth.isEnabled()) {
+    pairing.current(); // Prints the first code and its QR
+  }
+}
+
+start();
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+const shutdown = async () => {
   console.log('\n🛑 Shutting down gracefully...');
+  metricsHub.stop();
+  alertEngine.stop();
+  batteryAnalytics.stop();
+  tokenStore.flush();
+  fleet.stop();
+  if (historySampler) {
+    await historySampler.stop();
+  }
   process.exit(0);
-});
+};
 
-process.on('SIGTERM', () => {
-  console.log('\n🛑 Shutting down gracefully...');
-  process.exit(0);
-});
\ No newline at end of file
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
\ No newline at end of file
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+
+const MAX_SIZE = 32 * 1024; // Dashboard settings are a few hundred bytes; refuse anything far larger
+const MAX_ENTRIES = 64; // Thresholds and cards
+const ID_PATTERN = /^[a-z][\w-]{0,31}$/i;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Validators per top-level key; each returns an error message or null
+const FIELDS = {
+  interval: (value) => (Number.isInteger(value) && value >= 1000 && value <= 3600000
+    ? null
+    : 'interval must be a whole number of milliseconds between 1000 and 3600000'),
+
+  thresholds: (value) => {
+    if (!isObject(value) || Object.keys(value).length > MAX_ENTRIES) {
+      return `thresholds must be an object with at most ${MAX_ENTRIES} entries`;
+    }
+    for (const [id, levels] of Object.entries(value)) {
+      if (!ID_PATTERN.test(id) || !isObject(levels) || !isNumber(levels.warning) || !isNumber(levels.danger) ||
+          Object.keys(levels).length !== 2) {
+        return `thresholds.${id} must be { warning, danger } numbers`;
+      }
+    }
+    return null;
+  },
+
+  cards: (value) => {
+    if (!Array.isArray(value) || value.length > MAX_ENTRIES) {
+      return `cards must be an array with at most ${MAX_ENTRIES} entries`;
+    }
+    const ids = new Set();
+    for (const card of value) {
+      if (!isObject(card) || !ID_PATTERN.test(card.id) || typeof card.visible !== 'boolean' || Object.keys(card).length !== 2) {
+        return 'cards must be { id, visible } entries';
+      }
+      if (ids.has(card.id)) {
+        return `cards lists "${card.id}" twice`;
+      }
+      ids.add(card.id);
+    }
+    return null;
+  },
+
+  units: (value) => {
+    if (!isObject(value) || Object.keys(value).some(key => !['temperature', 'bytes'].includes(key))) {
+      return 'units may only have temperature and bytes';
+    }
+    if (value.temperature !== undefined && !['C', 'F'].includes(value.temperature)) {
+      return 'units.temperature must be "C" or "F"';
+    }
+    if (value.bytes !== undefined && !['binary', 'decimal'].includes(value.bytes)) {
+      return 'units.bytes must be "binary" or "decimal"';
+    }
+    return null;
+  }
+};
+
+/**
+ * Check a settings document against the shape the dashboard shares
+ * Every key is optional (the dashboard fills in defaults), but unknown keys
+ * and malformed values are refused rather than stored for every browser.
+ * @param {*} settings - Settings document
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSettings(settings) {
+  if (!isObject(settings)) {
+    return 'Expected a JSON object';
+  }
+  for (const [key, value] of Object.entries(settings)) {
+    if (!FIELDS[key]) {
+      return `Unknown setting "${key}" (expected ${Object.keys(FIELDS).join(', ')})`;
+    }
+    const error = FIELDS[key](value);
+    if (error) return error;
+  }
+  return null;
+}
+
+/**
+ * Create the shared dashboard settings store
+ * The server keeps the dashboard's settings document, checked against
+ * validateSettings, so every browser pointed at this tablet can load the
+ * same setup.
+ * @param {Object} options - Store options
+ * @param {string} options.file - JSON file the settings are persisted to
+ * @returns {Object} Store with get and update
+ */
+function createSettingsStore({ file }) {
+  let current = { settings: null, updatedAt: null };
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (stored && isObject(stored.settings)) {
+      const error = validateSettings(stored.settings);
+      if (error) {
+        console.error(`Ignoring saved dashboard settings in ${file}: ${error}`);
+      } else {
+        current = { settings: stored.settings, updatedAt: stored.updatedAt || null };
+      }
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading dashboard settings:', error);
+    }
+  }
+
+  /**
+   * Saved settings
+   * @returns {Object} { settings, updatedAt }, settings is null until first saved
+   */
+  function get() {
+    return current;
+  }
+
+  /**
+   * Replace the saved settings
+   * @param {Object} settings - Settings document
+   * @returns {Object} { settings, updatedAt } on success, otherwise { error }
+   */
+  function update(settings) {
+    if (!isObject(settings)) {
+      return { error: 'Expected a JSON object' };
+    }
+    const json = JSON.stringify(settings);
+    if (json.length > MAX_SIZE) {
+      return { error: `Settings are limited to ${MAX_SIZE / 1024} KB` };
+    }
+    const error = validateSettings(settings);
+    if (error) {
+      return { error };
+    }
+
+    current = { settings: JSON.parse(json), updatedAt: new Date().toISOString() };
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(current, null, 2));
+    } catch (error) {
+      console.error('Error saving dashboard settings:', error);
+    }
+    return current;
+  }
+
+  return {
+    get,
+    update
+  };
+}
+
+module.exports = createSettingsStore;
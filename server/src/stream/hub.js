@@ -0,0 +1,146 @@
+const TICK_INTERVAL = 1000; // Scheduler resolution
+const HEARTBEAT_INTERVAL = 15000; // Keep idle proxies from closing the stream
+const RECONNECT_DELAY = 3000; // Sent to clients as the SSE retry hint
+
+/**
+ * Create a hub that pushes metrics snapshots to Server-Sent Events subscribers
+ *
+ * Collection happens at most once per tick no matter how many clients are
+ * connected: every subscriber that is due on a tick receives the same
+ * snapshot. Recent snapshots are kept so a reconnecting client can resume
+ * from its last event id.
+ *
+ * @param {Object} options - Hub options
+ * @param {Function} options.collect - Async function returning a metrics snapshot
+ * @param {number} options.defaultInterval - Cadence when the client doesn't choose one (ms)
+ * @param {number} options.minInterval - Fastest cadence a client may request (ms)
+ * @param {number} options.maxInterval - Slowest cadence a client may request (ms)
+ * @param {number} options.bufferSize - How many recent snapshots to keep for resume
+ * @returns {Object} Metrics hub
+ */
+function createMetricsHub({ collect, defaultInterval, minInterval, maxInterval, bufferSize }) {
+  const subscribers = new Set();
+  const buffer = [];
+  let tickTimer = null;
+  let heartbeatTimer = null;
+  let collecting = false;
+  let lastId = 0;
+
+  function send(subscriber, event) {
+    subscriber.res.write(`id: ${event.id}\nevent: metrics\ndata: ${event.data}\n\n`);
+    subscriber.lastSent = Date.now();
+  }
+
+  async function tick() {
+    if (collecting) return;
+
+    // Half a tick of slack so a 1s cadence isn't pushed to 2s by timer jitter
+    const now = Date.now() + TICK_INTERVAL / 2;
+    const due = Array.from(subscribers).filter(subscriber => now - subscriber.lastSent >= subscriber.interval);
+    if (due.length === 0) return;
+
+    collecting = true;
+    try {
+      const metrics = await collect();
+      // Event ids are millisecond timestamps so cursors stay meaningful across restarts
+      const id = Math.max(Date.now(), lastId + 1);
+      lastId = id;
+
+      const event = { id, data: JSON.stringify(metrics) };
+      buffer.push(event);
+      if (buffer.length > bufferSize) {
+        buffer.shift();
+      }
+
+      for (const subscriber of due) {
+        if (subscribers.has(subscriber)) {
+          send(subscriber, event);
+        }
+      }
+    } catch (error) {
+      console.error('Error collecting metrics for stream:', error);
+    } finally {
+      collecting = false;
+    }
+  }
+
+  function start() {
+    if (tickTimer) return;
+    tickTimer = setInterval(tick, TICK_INTERVAL);
+    heartbeatTimer = setInterval(() => {
+      for (const subscriber of subscribers) {
+        subscriber.res.write(': ping\n\n');
+      }
+    }, HEARTBEAT_INTERVAL);
+  }
+
+  function stop() {
+    clearInterval(tickTimer);
+    clearInterval(heartbeatTimer);
+    tickTimer = null;
+    heartbeatTimer = null;
+  }
+
+  /**
+   * Attach an HTTP request as a stream subscriber
+   * Query parameters: `interval` (ms) and `cursor` (last seen event id,
+   * also read from the standard Last-Event-ID header).
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} options - Subscriber options
+   * @param {number} [options.interval] - Requested cadence in milliseconds
+   */
+  function subscribe(req, res, { interval } = {}) {
+    const cursor = parseInt(req.get('Last-Event-ID') || req.query.cursor);
+    const subscriber = {
+      res,
+      interval: Math.min(maxInterval, Math.max(minInterval, interval || defaultInterval)),
+      lastSent: 0
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+    // Replay what the client missed, then continue on its own cadence
+    if (!Number.isNaN(cursor)) {
+      const missed = buffer.filter(event => event.id > cursor);
+      missed.forEach(event => send(subscriber, event));
+    }
+
+    subscribers.add(subscriber);
+    start();
+    tick();
+
+    req.on('close', () => {
+      subscribers.delete(subscriber);
+      if (subscribers.size === 0) {
+        stop();
+      }
+    });
+  }
+
+  /**
+   * Get stream statistics
+   * @returns {Object} Subscriber count and buffer state
+   */
+  function stats() {
+    return {
+      subscribers: subscribers.size,
+      buffered: buffer.length,
+      lastEventId: lastId || null
+    };
+  }
+
+  return {
+    subscribe,
+    stats,
+    stop
+  };
+}
+
+module.exports = createMetricsHub;
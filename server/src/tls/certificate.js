@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const selfsigned = require('selfsigned');
+
+const VALIDITY_DAYS = 825; // Longest validity Apple platforms accept for TLS server certificates
+const RENEW_BEFORE = 30 * 24 * 60 * 60 * 1000; // Regenerate a month before expiry
+
+/**
+ * Names and addresses the certificate should be valid for
+ * @returns {Array<Object>} subjectAltName entries
+ */
+function localAltNames() {
+  const names = [
+    { type: 2, value: 'localhost' },
+    { type: 2, value: os.hostname() }
+  ];
+  for (const address of Object.values(os.networkInterfaces()).flat()) {
+    if (address && (address.family === 'IPv4' || address.family === 'IPv6') && !address.scopeid) {
+      names.push({ type: 7, ip: address.address });
+    }
+  }
+  return names;
+}
+
+/**
+ * Describe a PEM certificate
+ * @param {string} cert - PEM certificate
+ * @returns {Object} { fingerprint, subject, validTo }
+ */
+function inspect(cert) {
+  const x509 = new crypto.X509Certificate(cert);
+  return {
+    fingerprint: x509.fingerprint256,
+    subject: x509.subject,
+    validTo: new Date(x509.validTo).toISOString()
+  };
+}
+
+/**
+ * Generate a self-signed certificate for this device
+ * @returns {Promise<Object>} { cert, key }
+ */
+async function generateCertificate() {
+  const notBeforeDate = new Date();
+  const notAfterDate = new Date(notBeforeDate.getTime() + VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+  const pems = await selfsigned.generate(
+    [
+      { name: 'commonName', value: os.hostname() },
+      { name: 'organizationName', value: 'Tablet Resource Manager' }
+    ],
+    {
+      keySize: 2048,
+      algorithm: 'sha256',
+      notBeforeDate,
+      notAfterDate,
+      extensions: [
+        { name: 'basicConstraints', cA: false },
+        { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+        { name: 'extKeyUsage', serverAuth: true },
+        { name: 'subjectAltName', altNames: localAltNames() }
+      ]
+    }
+  );
+  return { cert: pems.cert, key: pems.private };
+}
+
+/**
+ * Load the TLS certificate, creating a self-signed one on first start
+ * A user-provided certFile/keyFile pair is used as is. Otherwise a
+ * self-signed certificate is kept in dir and regenerated shortly before it
+ * expires (which changes the fingerprint).
+ * @param {Object} options - Certificate options
+ * @param {string} [options.certFile] - User-provided PEM certificate
+ * @param {string} [options.keyFile] - User-provided PEM private key
+ * @param {string} options.dir - Where the self-signed certificate is stored
+ * @returns {Promise<Object>} { cert, key, fingerprint, subject, validTo, source }
+ */
+async function loadCertificate({ certFile, keyFile, dir }) {
+  if (certFile || keyFile) {
+    if (!certFile || !keyFile) {
+      throw new Error('HTTPS_CERT_FILE and HTTPS_KEY_FILE must be set together');
+    }
+    const cert = fs.readFileSync(certFile, 'utf8');
+    const key = fs.readFileSync(keyFile, 'utf8');
+    return { cert, key, ...inspect(cert), source: certFile };
+  }
+
+  const storedCert = path.join(dir, 'cert.pem');
+  const storedKey = path.join(dir, 'key.pem');
+
+  try {
+    const cert = fs.readFileSync(storedCert, 'utf8');
+    const key = fs.readFileSync(storedKey, 'utf8');
+    const details = inspect(cert);
+    if (Date.parse(details.validTo) - Date.now() > RENEW_BEFORE) {
+      return { cert, key, ...details, source: 'self-signed' };
+    }
+    console.log('🔐 Self-signed certificate is about to expire, generating a new one');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error reading the self-signed certificate, generating a new one:', error.message);
+    }
+  }
+
+  const { cert, key } = await generateCertificate();
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(storedKey, key, { mode: 0o600 });
+  fs.writeFileSync(storedCert, cert);
+  return { cert, key, ...inspect(cert), source: 'self-signed (new)' };
+}
+
+module.exports = loadCertificate;
@@ -0,0 +1,157 @@
+const { parseDuration } = require('./time');
+
+const DEFAULT_TTL = 1000; // 1 second
+const DEFAULT_STALE_LIMIT = 5 * 60 * 1000; // Older entries are reloaded before answering
+
+/**
+ * Environment variable holding the TTL override for a cache key
+ * e.g. "disk.filesystems" -> CACHE_TTL_DISK_FILESYSTEMS, "android.wifiScan" -> CACHE_TTL_ANDROID_WIFI_SCAN
+ * @param {string} key - Cache key
+ * @returns {string} Variable name
+ */
+function ttlVariable(key) {
+  return 'CACHE_TTL_' + key
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .toUpperCase();
+}
+
+/**
+ * Create a cache with stale-while-revalidate semantics
+ * - A fresh entry is returned as is (hit)
+ * - An expired entry is returned immediately while it reloads in the
+ *   background (stale hit), unless it is older than the stale limit
+ * - A missing entry is loaded before answering (miss)
+ * Concurrent loads of the same key share one loader call, which matters for
+ * collectors that compute rates from the previous sample.
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.defaultTtl] - TTL for keys that don't set one
+ * @param {number} [options.staleLimit] - Maximum age served without waiting
+ * @returns {Object} Cache with get, ttlFor and stats
+ */
+function createCache({ defaultTtl = DEFAULT_TTL, staleLimit = DEFAULT_STALE_LIMIT } = {}) {
+  const entries = new Map();
+
+  /**
+   * Effective TTL for a key: CACHE_TTL_<KEY>, then the caller's TTL, then the default
+   * @param {string} key - Cache key
+   * @param {number} [ttl] - TTL the caller asks for
+   * @returns {number} TTL in milliseconds
+   */
+  function ttlFor(key, ttl) {
+    if (entries.has(key)) return entries.get(key).ttl;
+    const configured = parseDuration(process.env[ttlVariable(key)]);
+    if (configured !== null) return configured;
+    return ttl !== undefined && ttl !== null ? ttl : defaultTtl;
+  }
+
+  function entryFor(key, ttl) {
+    if (!entries.has(key)) {
+      entries.set(key, {
+        ttl: ttlFor(key, ttl),
+        value: undefined,
+        time: 0,
+        pending: null,
+        hits: 0,
+        staleHits: 0,
+        misses: 0,
+        lastError: null
+      });
+    }
+    return entries.get(key);
+  }
+
+  function load(entry, loader) {
+    if (!entry.pending) {
+      entry.pending = Promise.resolve()
+        .then(loader)
+        .then(value => {
+          entry.value = value;
+          entry.time = Date.now();
+          entry.lastError = null;
+          return value;
+        })
+        .finally(() => {
+          entry.pending = null;
+        });
+    }
+    return entry.pending;
+  }
+
+  /**
+   * Get a value, loading it when needed
+   * @param {string} key - Cache key
+   * @param {Function} loader - (Async) function producing the value
+   * @param {Object} [options] - Options
+   * @param {number} [options.ttl] - TTL in milliseconds, used the first time the key is seen
+   *   (CACHE_TTL_<KEY> overrides it; 0 disables caching)
+   * @param {boolean} [options.fresh] - Skip the cached value and wait for a reload
+   * @returns {Promise<Object>} { value, meta: { hit, stale, ageMs, ttl } }
+   */
+  async function get(key, loader, { ttl, fresh = false } = {}) {
+    const entry = entryFor(key, ttl);
+    const age = Date.now() - entry.time;
+    const cached = entry.time > 0 && entry.ttl > 0 && !fresh;
+
+    if (cached && age < entry.ttl) {
+      entry.hits++;
+      return { value: entry.value, meta: { hit: true, stale: false, ageMs: age, ttl: entry.ttl } };
+    }
+
+    if (cached && age < staleLimit) {
+      entry.staleHits++;
+      load(entry, loader).catch(error => {
+        // Keep serving the old value; the error shows up in stats()
+        entry.lastError = error.message;
+        console.error(`Error refreshing cache entry ${key}:`, error.message);
+      });
+      return { value: entry.value, meta: { hit: true, stale: true, ageMs: age, ttl: entry.ttl } };
+    }
+
+    entry.misses++;
+    try {
+      const value = await load(entry, loader);
+      return { value, meta: { hit: false, stale: false, ageMs: 0, ttl: entry.ttl } };
+    } catch (error) {
+      entry.lastError = error.message;
+      throw error;
+    }
+  }
+
+  /**
+   * Per-key cache statistics
+   * @returns {Object} Map of key to TTL, age and hit counts
+   */
+  function stats() {
+    const result = {};
+    for (const [key, entry] of entries) {
+      result[key] = {
+        ttl: entry.ttl,
+        ageMs: entry.time > 0 ? Date.now() - entry.time : null,
+        hits: entry.hits,
+        staleHits: entry.staleHits,
+        misses: entry.misses,
+        refreshing: Boolean(entry.pending),
+        lastError: entry.lastError
+      };
+    }
+    return result;
+  }
+
+  return {
+    get,
+    ttlFor,
+    stats
+  };
+}
+
+// Shared by every collector; METRICS_CACHE_TTL sets the default TTL
+const configuredTtl = parseDuration(process.env.METRICS_CACHE_TTL);
+const cache = createCache({
+  defaultTtl: configuredTtl !== null ? configuredTtl : DEFAULT_TTL
+});
+
+module.exports = {
+  createCache,
+  cache
+};
@@ -0,0 +1,179 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TIMEOUT = 5000; // 5 seconds
+const MAX_CONCURRENT = parseInt(process.env.EXEC_CONCURRENCY) || 4;
+const SLOW_COMMAND_MS = 2000; // Logged as slow above this
+const AVAILABILITY_TTL = 5 * 60 * 1000; // Re-check installed commands every 5 minutes
+
+let active = 0;
+const queue = [];
+const inFlight = new Map();
+const availability = new Map();
+const timings = new Map();
+
+/**
+ * Wait for a free execution slot
+ * @returns {Promise<void>} Resolves once the caller may spawn
+ */
+function acquireSlot() {
+  if (active < MAX_CONCURRENT) {
+    active++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => queue.push(resolve));
+}
+
+function releaseSlot() {
+  const next = queue.shift();
+  if (next) {
+    next(); // Hand the slot over without decrementing
+  } else {
+    active--;
+  }
+}
+
+/**
+ * Record the outcome of one command run
+ * @param {string} key - Command line
+ * @param {number} durationMs - Run time, excluding queueing
+ * @param {Error|null} error - Failure, if any
+ */
+function recordTiming(key, durationMs, error) {
+  const entry = timings.get(key) || {
+    command: key,
+    runs: 0,
+    failures: 0,
+    timeouts: 0,
+    totalMs: 0,
+    maxMs: 0,
+    lastMs: null,
+    lastRun: null,
+    lastError: null
+  };
+
+  entry.runs++;
+  entry.totalMs += durationMs;
+  entry.maxMs = Math.max(entry.maxMs, durationMs);
+  entry.lastMs = durationMs;
+  entry.lastRun = new Date().toISOString();
+  if (error) {
+    entry.failures++;
+    if (error.timedOut) entry.timeouts++;
+    entry.lastError = error.message;
+  }
+  timings.set(key, entry);
+
+  if (durationMs > SLOW_COMMAND_MS) {
+    console.warn(`🐢 Slow command: ${key} took ${durationMs}ms`);
+  }
+}
+
+/**
+ * Run a command without blocking the event loop
+ * Identical commands that are already running share the same result, and at
+ * most EXEC_CONCURRENCY (default 4) commands run at once; the rest queue.
+ * No shell is involved, so arguments are passed as-is.
+ * @param {string} file - Command to run
+ * @param {Array<string>} [args] - Arguments
+ * @param {Object} [options] - Options
+ * @param {number} [options.timeout] - Milliseconds before the command is killed (default 5s)
+ * @returns {Promise<string>} Standard output
+ */
+function runCommand(file, args = [], { timeout = DEFAULT_TIMEOUT } = {}) {
+  const key = [file, ...args].join(' ');
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const promise = acquireSlot()
+    .then(() => new Promise((resolve, reject) => {
+      const startTime = Date.now();
+
+      execFile(file, args, { encoding: 'utf8', timeout, maxBuffer: 4 * 1024 * 1024 }, (error, stdout, stderr) => {
+        const durationMs = Date.now() - startTime;
+
+        if (error) {
+          if (error.killed && error.code !== 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+            error.timedOut = true;
+            error.message = `Command timed out after ${timeout}ms: ${key}`;
+          } else if (stderr && stderr.trim()) {
+            error.message = `${error.message.trim()}: ${stderr.trim()}`;
+          }
+          recordTiming(key, durationMs, error);
+          return reject(error);
+        }
+
+        recordTiming(key, durationMs, null);
+        resolve(stdout);
+      });
+    }))
+    .finally(() => {
+      releaseSlot();
+      inFlight.delete(key);
+    });
+
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Check whether a command is installed, by looking through PATH
+ * Results are cached for 5 minutes, so this is cheap to call on every request.
+ * @param {string} name - Command name
+ * @returns {Promise<boolean>} True if an executable with that name is on PATH
+ */
+function commandExists(name) {
+  const cached = availability.get(name);
+  if (cached && (Date.now() - cached.time) < AVAILABILITY_TTL) {
+    return cached.result;
+  }
+
+  const extensions = process.platform === 'win32'
+    ? (process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')
+    : [''];
+  const candidates = (process.env.PATH || '')
+    .split(path.delimiter)
+    .filter(Boolean)
+    .flatMap(dir => extensions.map(extension => path.join(dir, name + extension)));
+
+  const result = (async () => {
+    for (const candidate of candidates) {
+      try {
+        await fs.promises.access(candidate, fs.constants.X_OK);
+        return true;
+      } catch (error) {
+        // Not in this directory
+      }
+    }
+    return false;
+  })();
+
+  availability.set(name, { result, time: Date.now() });
+  return result;
+}
+
+/**
+ * Per-command timing, slowest average first
+ * @returns {Object} Queue state and per-command statistics
+ */
+function getExecStats() {
+  return {
+    maxConcurrent: MAX_CONCURRENT,
+    active,
+    queued: queue.length,
+    commands: Array.from(timings.values())
+      .map(entry => ({
+        ...entry,
+        avgMs: Math.round(entry.totalMs / entry.runs)
+      }))
+      .sort((a, b) => b.avgMs - a.avgMs)
+  };
+}
+
+module.exports = {
+  runCommand,
+  commandExists,
+  getExecStats
+};
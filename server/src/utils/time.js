@@ -0,0 +1,61 @@
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as "30s", "5m", "24h" or "30d" into milliseconds
+ * Without a unit the value is milliseconds, like METRICS_CACHE_TTL=1000 and
+ * ?interval=5000, so "60" is 60 ms, not a minute.
+ * @param {string|number} value - Duration string, or a plain number of milliseconds
+ * @returns {number|null} Duration in milliseconds, or null if invalid
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/);
+  if (!match) {
+    return null;
+  }
+
+  return Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2] || 'ms']);
+}
+
+/**
+ * Parse a point in time for query parameters
+ * Accepts epoch milliseconds, ISO dates, or a duration meaning "that long ago"
+ * @param {string} value - Raw query value
+ * @param {number} now - Reference time in milliseconds
+ * @returns {number|null} Timestamp in milliseconds, or null if invalid
+ */
+function parseTime(value, now = Date.now()) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed);
+  }
+
+  if (/^\d+(?:\.\d+)?\s*(ms|s|m|h|d|w)$/.test(trimmed)) {
+    return now - parseDuration(trimmed);
+  }
+
+  const timestamp = Date.parse(trimmed);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+module.exports = {
+  parseDuration,
+  parseTime
+};
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createBatteryAnalytics = require('../src/battery/analytics');
+
+function withTracker(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'battery-'));
+  try {
+    return run(createBatteryAnalytics({ file: path.join(dir, 'battery.json') }));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const reading = (current) => ({ level: 80, plugged: 'UNPLUGGED', current, voltage: 4000 });
+
+test('reads a small current in µA as milliamps', () => {
+  withTracker((tracker) => {
+    tracker.record(reading(-15000), 0);
+    assert.strictEqual(tracker.analyze(0).rate.currentMa, -15);
+    assert.strictEqual(tracker.analyze(0).rate.powerMw, 60);
+  });
+});
+
+test('keeps the unit a device was detected with', () => {
+  withTracker((tracker) => {
+    tracker.record(reading(-450000), 0);
+    tracker.record(reading(-15000), 60000);
+    assert.strictEqual(tracker.analyze(60000).rate.currentMa, -232.5);
+  });
+});
+
+test('detects devices that report milliamps', () => {
+  withTracker((tracker) => {
+    tracker.record(reading(-450), 0);
+    tracker.record(reading(-1500), 60000);
+    assert.strictEqual(tracker.analyze(60000).rate.currentMa, -975);
+  });
+});
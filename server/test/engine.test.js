@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const createAlertEngine = require('../src/alerts/engine');
+
+function createEngine() {
+  const notified = [];
+  const engine = createAlertEngine({
+    rules: [{ name: 'HighCpuUsage', expr: 'cpu.usage > 90' }],
+    notifiers: [alert => notified.push(alert.state)]
+  });
+  return { engine, notified };
+}
+
+test('fires and resolves as the expression changes', () => {
+  const { engine, notified } = createEngine();
+  engine.evaluate({ 'cpu.usage': 95 }, 1000);
+  engine.evaluate({ 'cpu.usage': 10 }, 2000);
+  assert.deepStrictEqual(notified, ['firing', 'resolved']);
+});
+
+test('keeps a firing alert through a sample without its series', () => {
+  const { engine, notified } = createEngine();
+  engine.evaluate({ 'cpu.usage': 95 }, 1000);
+  engine.evaluate({ 'memory.usage': 40 }, 2000);
+
+  const [rule] = engine.status().rules;
+  assert.strictEqual(rule.state, 'firing');
+  assert.deepStrictEqual(rule.missing, ['cpu.usage']);
+
+  engine.evaluate({ 'cpu.usage': 96 }, 3000);
+  assert.deepStrictEqual(notified, ['firing']);
+  assert.deepStrictEqual(engine.status().rules[0].missing, []);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const compileExpression = require('../src/alerts/expression');
+
+test('compares a series against a number', () => {
+  const expression = compileExpression('cpu.usage > 90');
+  assert.deepStrictEqual(expression.series, ['cpu.usage']);
+  assert.strictEqual(expression.evaluate({ 'cpu.usage': 95 }), true);
+  assert.strictEqual(expression.evaluate({ 'cpu.usage': 50 }), false);
+});
+
+test('stops an instance name at a comparison operator', () => {
+  for (const source of ['disk.usage:/data>95', 'disk.usage:/data >= 95', 'disk.usage:/data!=0']) {
+    const expression = compileExpression(source);
+    assert.deepStrictEqual(expression.series, ['disk.usage:/data'], source);
+    assert.strictEqual(expression.evaluate({ 'disk.usage:/data': 96 }), true, source);
+  }
+  assert.strictEqual(compileExpression('disk.usage:/data>95').evaluate({ 'disk.usage:/data': 52 }), false);
+});
+
+test('keeps instance names with colons, slashes and dots', () => {
+  const expression = compileExpression('network.rx.bytes:wlan0 > 0 and disk.usage:/storage/emulated < 90');
+  assert.deepStrictEqual(expression.series, ['network.rx.bytes:wlan0', 'disk.usage:/storage/emulated']);
+  assert.strictEqual(expression.evaluate({ 'network.rx.bytes:wlan0': 10, 'disk.usage:/storage/emulated': 40 }), true);
+});
+
+test('applies not, and, or with parentheses', () => {
+  const expression = compileExpression('not (cpu.usage > 90 or memory.usage > 90) and android.battery.level<20');
+  assert.strictEqual(expression.evaluate({ 'cpu.usage': 10, 'memory.usage': 10, 'android.battery.level': 15 }), true);
+  assert.strictEqual(expression.evaluate({ 'cpu.usage': 95, 'memory.usage': 10, 'android.battery.level': 15 }), false);
+});
+
+test('treats a missing series as false', () => {
+  assert.strictEqual(compileExpression('cpu.usage > 90').evaluate({}), false);
+  assert.strictEqual(compileExpression('android.thermal.throttled').evaluate({}), false);
+});
+
+test('rejects malformed expressions', () => {
+  assert.throws(() => compileExpression('cpu.usage >'), /Unexpected end/);
+  assert.throws(() => compileExpression('(cpu.usage > 90'), /Expected "\)"/);
+  assert.throws(() => compileExpression('cpu.usage > 90 %'), /Unexpected character/);
+});
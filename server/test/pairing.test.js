@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const createPairing = require('../src/auth/pairing');
+
+function createStore() {
+  const tokens = [];
+  return {
+    create: (token) => {
+      tokens.push(token);
+      return { id: String(tokens.length), ...token };
+    },
+    list: () => tokens
+  };
+}
+
+const wrongCode = (code) => (code === '000000' ? '000001' : '000000');
+
+test('locks redemption after repeated wrong codes and keeps the code', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const codes = [];
+  const pairing = createPairing({ store: createStore(), onCode: ({ code }) => codes.push(code) });
+  const { code } = pairing.current();
+
+  for (let attempt = 1; attempt < 5; attempt++) {
+    assert.strictEqual(pairing.redeem(wrongCode(code), { name: 'x' }).status, 403);
+  }
+  const locked = pairing.redeem(wrongCode(code), { name: 'x' });
+  assert.strictEqual(locked.status, 429);
+  assert.strictEqual(locked.retryAfter, 30);
+
+  // Even the right code is refused while locked, and no new code was issued
+  assert.strictEqual(pairing.redeem(code, { name: 'x' }).status, 429);
+  assert.deepStrictEqual(codes, [code]);
+  assert.strictEqual(pairing.current().code, code);
+});
+
+test('doubles the lockout each time', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  let clock = Date.now();
+  t.mock.method(Date, 'now', () => clock);
+  const pairing = createPairing({ store: createStore() });
+
+  const lockouts = [];
+  for (let round = 0; round < 3; round++) {
+    const { code } = pairing.current();
+    let result;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      result = pairing.redeem(wrongCode(code), { name: 'x' });
+    }
+    lockouts.push(result.retryAfter);
+    clock += 60 * 60 * 1000;
+  }
+  assert.deepStrictEqual(lockouts, [30, 60, 120]);
+});
+
+test('pairs with the right code and issues a new one', () => {
+  const codes = [];
+  const pairing = createPairing({ store: createStore(), onCode: ({ code }) => codes.push(code) });
+  const { code } = pairing.current();
+
+  const result = pairing.redeem(code, { name: 'Tablet', userAgent: 'test' });
+  assert.strictEqual(result.token.kind, 'pairing');
+  assert.strictEqual(codes.length, 2);
+  assert.strictEqual(pairing.redeem(code, { name: 'Again' }).status, 403);
+});
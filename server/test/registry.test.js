@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const createCollectorRegistry = require('../src/collectors/registry');
+const builtinCollectors = require('../src/collectors/builtin');
+
+const cpuCollector = builtinCollectors.find(collector => collector.name === 'cpu');
+
+async function collectCpu(result) {
+  const registry = createCollectorRegistry();
+  registry.register({ ...cpuCollector, collect: () => result });
+  return registry.collect(['cpu'], { fresh: true });
+}
+
+test('accepts null CPU usage where the counters are unreadable', async () => {
+  const { results, warnings } = await collectCpu({ usage: null, breakdown: null, loadavg: [0.5, 0.4, 0.3], cores: 8 });
+  assert.strictEqual(results.cpu.usage, null);
+  assert.deepStrictEqual(warnings, []);
+});
+
+test('still flags a CPU usage of the wrong type', async () => {
+  const { warnings } = await collectCpu({ usage: '12', loadavg: [0.5, 0.4, 0.3], cores: 8 });
+  assert.deepStrictEqual(warnings, ['cpu: usage should be number or null, got string']);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createSettingsStore = require('../src/settings/store');
+
+const DASHBOARD_SETTINGS = {
+  interval: 5000,
+  thresholds: { cpu: { warning: 70, danger: 90 }, battery: { warning: 30, danger: 15 } },
+  cards: [{ id: 'cpu', visible: true }, { id: 'thermal', visible: false }],
+  units: { temperature: 'F', bytes: 'decimal' }
+};
+
+function createStore() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-'));
+  return { dir, file: path.join(dir, 'settings.json'), store: createSettingsStore({ file: path.join(dir, 'settings.json') }) };
+}
+
+test('saves and reloads the settings a dashboard shares', () => {
+  const { dir, file, store } = createStore();
+  try {
+    const result = store.update(DASHBOARD_SETTINGS);
+    assert.deepStrictEqual(result.settings, DASHBOARD_SETTINGS);
+    assert.deepStrictEqual(createSettingsStore({ file }).get().settings, DASHBOARD_SETTINGS);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('refuses documents that are not dashboard settings', () => {
+  const { dir, store } = createStore();
+  try {
+    const invalid = [
+      [],
+      { interval: 10 },
+      { interval: '5000' },
+      { thresholds: { cpu: { warning: 'high', danger: 90 } } },
+      { thresholds: { cpu: { warning: 70, danger: 90, script: 1 } } },
+      { cards: [{ id: 'cpu', visible: true }, { id: 'cpu', visible: false }] },
+      { cards: [{ id: '<img>', visible: true }] },
+      { units: { temperature: 'K' } },
+      { notes: 'anything at all' }
+    ];
+    for (const settings of invalid) {
+      assert.ok(store.update(settings).error, JSON.stringify(settings));
+    }
+    assert.strictEqual(store.get().settings, null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseDuration, parseTime } = require('../src/utils/time');
+
+test('parses durations with a unit', () => {
+  assert.strictEqual(parseDuration('250ms'), 250);
+  assert.strictEqual(parseDuration('30s'), 30000);
+  assert.strictEqual(parseDuration('1.5m'), 90000);
+  assert.strictEqual(parseDuration('24h'), 86400000);
+  assert.strictEqual(parseDuration('2w'), 1209600000);
+});
+
+test('reads a duration without a unit as milliseconds', () => {
+  assert.strictEqual(parseDuration('60'), 60);
+  assert.strictEqual(parseDuration('5000'), 5000);
+  assert.strictEqual(parseDuration(1000), 1000);
+});
+
+test('rejects malformed durations', () => {
+  for (const value of ['', 'soon', '5 minutes', '-1s', '1y', -5, NaN, null]) {
+    assert.strictEqual(parseDuration(value), null, String(value));
+  }
+});
+
+test('parses epoch milliseconds, ISO dates and durations ago', () => {
+  const now = Date.parse('2024-01-01T12:00:00Z');
+  assert.strictEqual(parseTime('1704067200000', now), 1704067200000);
+  assert.strictEqual(parseTime('2024-01-01T00:00:00Z', now), 1704067200000);
+  assert.strictEqual(parseTime('1h', now), now - 3600000);
+  assert.strictEqual(parseTime('not a time', now), null);
+});
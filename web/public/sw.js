@@ -0,0 +1,91 @@
+// Service worker: keeps the app shell (index.html, the built JS/CSS and
+// icons) cached so the dashboard opens without a connection. API calls are
+// never cached here; the last metrics snapshot lives in IndexedDB instead
+// (see src/utils/snapshotStore.js).
+const CACHE = 'tablet-monitor-shell-v1'
+const SHELL = ['/', '/manifest.webmanifest', '/favicon.svg', '/icon-192.png', '/icon-512.png']
+
+// Pages rendered by the server itself rather than the dashboard
+const SERVER_PAGES = ['/pair', '/health', '/metrics']
+
+// Built assets referenced by index.html (their names change on every build)
+function assetsOf(html) {
+  return Array.from(html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g), match => match[1])
+}
+
+// Drop assets of earlier builds once a newer index.html has been cached
+async function pruneAssets(cache, html) {
+  const current = new Set(assetsOf(html))
+  const requests = await cache.keys()
+  await Promise.all(requests
+    .filter(request => {
+      const { pathname } = new URL(request.url)
+      return pathname.startsWith('/assets/') && !current.has(pathname)
+    })
+    .map(request => cache.delete(request)))
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE)
+    await cache.addAll(SHELL)
+    const html = await (await cache.match('/')).text()
+    await cache.addAll(assetsOf(html))
+    await self.skipWaiting()
+  })())
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys()
+    await Promise.all(names.filter(name => name !== CACHE).map(name => caches.delete(name)))
+    await self.clients.claim()
+  })())
+})
+
+// Pages: network first, so a new build is picked up as soon as it's online;
+// every dashboard path (/cpu, /power, ...) is index.html, so it is cached as
+// "/" and served for any path while offline
+async function handleNavigation(request) {
+  const cache = await caches.open(CACHE)
+  try {
+    const response = await fetch(request)
+    if (response.ok) {
+      const html = await response.clone().text()
+      cache.put('/', response.clone()).then(() => pruneAssets(cache, html))
+    }
+    return response
+  } catch (error) {
+    const cached = await cache.match('/')
+    if (cached) return cached
+    throw error
+  }
+}
+
+// Hashed assets never change, so the cache wins; new ones are added as they load
+async function handleAsset(request) {
+  const cache = await caches.open(CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (response.ok) {
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method !== 'GET' || url.origin !== self.location.origin ||
+      url.pathname.startsWith('/api/') || SERVER_PAGES.includes(url.pathname)) {
+    return
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request))
+  } else if (url.pathname.startsWith('/assets/') || SHELL.includes(url.pathname)) {
+    event.respondWith(handleAsset(request))
+  }
+})
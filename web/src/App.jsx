@@ -1,78 +1,46 @@
 import React, { useState, useEffect } from 'react'
+import useMetrics from './hooks/useMetrics'
+import useFleet from './hooks/useFleet'
+import useTrends from './hooks/useTrends'
+import ProcessTable from './components/ProcessTable'
+import ConnectionsTable from './components/ConnectionsTable'
+import TrendCharts from './components/TrendChart'
+import Sparkline from './components/Sparkline'
+import FleetGrid, { HealthBadge } from './components/FleetGrid'
+import { formatBytes, formatMinutes, formatTemperature, formatTemperatureDelta } from './utils/format'
+import LoginScreen from './components/LoginScreen'
+import { apiFetch, getToken, clearToken, onUnauthorized } from './utils/api'
+import { findChart, chartSeries } from './utils/series'
+import { statusLevel } from './utils/settings'
+import { useLocation, navigate, Link } from './utils/router'
+import { clearSnapshots } from './utils/snapshotStore'
+import useSettings from './hooks/useSettings'
+import SettingsDrawer from './components/SettingsDrawer'
+import DetailCard from './components/DetailCard'
+import CpuPage from './pages/CpuPage'
+import MemoryPage from './pages/MemoryPage'
+import StoragePage from './pages/StoragePage'
+import NetworkPage from './pages/NetworkPage'
+import PowerPage from './pages/PowerPage'
+import SystemPage from './pages/SystemPage'
 
-// Simple hook for polling metrics
-function useMetrics(interval = 5000) {
-  const [metrics, setMetrics] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-
-  useEffect(() => {
-    const fetchMetrics = async () => {
-      try {
-        console.log('[useMetrics] Fetching metrics...')
-        const response = await fetch('/api/metrics')
-        console.log('[useMetrics] Response status:', response.status)
-        
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`)
-        }
-        
-        const data = await response.json()
-        console.log('[useMetrics] Data received:', {
-          timestamp: data.timestamp,
-          cpu: data.cpu?.usage,
-          memory: data.memory?.usage
-        })
-        
-        setMetrics(data)
-        setError(null)
-        setLoading(false)
-      } catch (err) {
-        console.error('[useMetrics] Failed to fetch metrics:', err)
-        setError(err.message)
-        setLoading(false)
-      }
-    }
-
-    // Initial fetch
-    fetchMetrics()
-
-    // Set up polling
-    const intervalId = setInterval(fetchMetrics, interval)
-    
-    return () => clearInterval(intervalId)
-  }, [interval])
-
-  return { metrics, loading, error }
-}
+const DEFAULT_THRESHOLDS = { warning: 70, danger: 90 }
 
 // Utility function to get status color class
-function getStatusColor(value, warningThreshold = 70, dangerThreshold = 90) {
-  if (value >= dangerThreshold) return 'status-danger'
-  if (value >= warningThreshold) return 'status-warning'
-  return 'status-good'
+function getStatusColor(value, thresholds = DEFAULT_THRESHOLDS, inverted = false) {
+  return `status-${statusLevel(value, thresholds, inverted)}`
 }
 
-// Utility function to format bytes
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 B'
-  const k = 1024
-  const sizes = ['B', 'KB', 'MB', 'GB', 'TB']
-  const i = Math.floor(Math.log(bytes) / Math.log(k))
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
-}
-
-// Progress bar component
-function ProgressBar({ value, max = 100, className = '' }) {
+// Progress bar component; thresholds are percentages of max
+function ProgressBar({ value, max = 100, thresholds = DEFAULT_THRESHOLDS, inverted = false, className = '' }) {
   const percentage = Math.min(100, Math.max(0, (value / max) * 100))
   
   // Get appropriate background color based on percentage
-  let bgColor = 'bg-green-500' // Good
-  if (percentage >= 90) {
-    bgColor = 'bg-red-500' // Danger
-  } else if (percentage >= 70) {
-    bgColor = 'bg-yellow-500' // Warning
-  }
+  const bgColor = {
+    good: 'bg-status-good',
+    warning: 'bg-status-warning',
+    danger: 'bg-status-danger'
+  }[statusLevel(percentage, thresholds, inverted)]
   
   return (
     <div className={`progress-bar ${className}`}>
@@ -87,21 +55,64 @@ function ProgressBar({ value, max = 100, className = '' }) {
   )
 }
 
-// Metric card component
-function MetricCard({ title, value, unit = '', progress, children }) {
+// Stacked bar showing how a total splits into parts
+function BreakdownBar({ segments, total }) {
+  return (
+    <div>
+      <div className="progress-bar flex overflow-hidden">
+        {segments.map(segment => (
+          <div
+            key={segment.label}
+            className={`h-2.5 ${segment.color}`}
+            style={{ width: `${total > 0 ? (segment.value / total) * 100 : 0}%` }}
+            title={`${segment.label}: ${formatBytes(segment.value)}`}
+          />
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-x-3 text-xs text-gray-500 mt-1">
+        {segments.map(segment => (
+          <span key={segment.label} className="flex items-center">
+            <span className={`inline-block w-2 h-2 rounded-full mr-1 ${segment.color}`}></span>
+            {segment.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Metric card component; `trend` adds a sparkline linking to the full chart and
+// `href` opens that detail page when the card is clicked outside its own links
+function MetricCard({ title, value, unit = '', progress, trend, href, children }) {
+  const openPage = (event) => {
+    if (href && !event.target.closest('a, button')) {
+      navigate(href)
+    }
+  }
+
   return (
-    <div className="card">
+    <div className={`card ${href ? 'cursor-pointer hover:shadow-md transition-shadow' : ''}`} onClick={openPage}>
       <div className="mb-2">
-        <h3 className="metric-label">{title}</h3>
+        <h3 className="metric-label">{href ? <Link to={href} className="hover:underline">{title}</Link> : title}</h3>
       </div>
       <div className="mb-4">
         <span className="metric-value">
           {value} {unit && <span className="text-lg text-gray-600">{unit}</span>}
         </span>
       </div>
+      {trend && (
+        <Link to={`${href || ''}#trend-${trend.chart.id}`} className="block mb-3" title={`Show ${trend.chart.title} chart`}>
+          <Sparkline points={trend.points} min={trend.chart.min} max={trend.chart.max} />
+        </Link>
+      )}
       {progress && (
         <div className="mb-3">
-          <ProgressBar value={progress.value} max={progress.max} />
+          <ProgressBar
+            value={progress.value}
+            max={progress.max}
+            thresholds={progress.thresholds}
+            inverted={progress.inverted}
+          />
           <div className="flex justify-between text-xs text-gray-500 mt-1">
             <span>0</span>
             <span>{progress.max}{progress.unit || ''}</span>
@@ -114,66 +125,106 @@ function MetricCard({ title, value, unit = '', progress, children }) {
 }
 
 // CPU Card Component
-function CpuCard({ cpu }) {
+function CpuCard({ cpu, trend, thresholds, href }) {
   if (!cpu || cpu.error) {
     return (
-      <MetricCard title="CPU" value="Error" unit="">
-        <p className="text-red-600 text-sm">{cpu?.message || 'Failed to load'}</p>
+      <MetricCard title="CPU" value="Error" unit="" href={href}>
+        <p className="text-red-600 dark:text-red-400 text-sm">{cpu?.message || 'Failed to load'}</p>
       </MetricCard>
     )
   }
 
-  // Calculate overall CPU usage from individual cores if main usage is 0
-  let displayUsage = cpu.usage || 0
-  
-  if (displayUsage === 0 && cpu.coreUsage && cpu.coreUsage.length > 0) {
-    // Calculate average from individual core usage
-    const totalUsage = cpu.coreUsage.reduce((sum, core) => sum + (core.usage || 0), 0)
-    displayUsage = totalUsage / cpu.coreUsage.length
-  }
-  
-  // Fallback to load average if still 0
-  if (displayUsage === 0 && cpu.loadavg && cpu.loadavg[0]) {
-    displayUsage = Math.min(100, cpu.loadavg[0] * 10)
-  }
+  // null when the platform hides CPU counters (Termux on Android 8+)
+  const usageKnown = typeof cpu.usage === 'number'
+  const displayUsage = cpu.usage || 0
+  const breakdown = cpu.breakdown || {}
+  const coreUsage = cpu.coreUsage || []
+  const clusters = cpu.clusters && cpu.clusters.length > 1 ? cpu.clusters : null
+
+  // Current frequency of the first online core, falling back to the nominal speed
+  const firstOnline = coreUsage.find(core => core.online && core.frequency?.current)
+  const currentMhz = firstOnline ? firstOnline.frequency.current : cpu.speed
+
+  // Show at most 8 cores, grouped by cluster on big.LITTLE devices
+  const visibleCores = coreUsage.slice(0, 8)
+  const coreGroups = clusters
+    ? clusters
+        .map(cluster => ({
+          cluster,
+          cores: visibleCores.filter(core => core.cluster === cluster.id)
+        }))
+        .filter(group => group.cores.length > 0)
+    : [{ cluster: null, cores: visibleCores }]
 
   return (
     <MetricCard 
       title="CPU Usage" 
-      value={Math.round(displayUsage * 100) / 100} 
-      unit="%"
-      progress={{ value: displayUsage, max: 100, unit: '%' }}
+      value={usageKnown ? Math.round(displayUsage * 100) / 100 : 'N/A'} 
+      unit={usageKnown ? '%' : ''}
+      progress={usageKnown ? { value: displayUsage, max: 100, unit: '%', thresholds } : null}
+      trend={trend}
+      href={href}
     >
       <div className="space-y-2 text-sm">
         <div className="flex justify-between">
           <span className="text-gray-600">Cores:</span>
-          <span>{cpu.cores || 0}</span>
+          <span>
+            {cpu.onlineCores !== undefined && cpu.onlineCores !== cpu.cores
+              ? `${cpu.onlineCores} / ${cpu.cores} online`
+              : cpu.cores || 0}
+          </span>
         </div>
-        {cpu.speed && (
+        {currentMhz > 0 && (
           <div className="flex justify-between">
             <span className="text-gray-600">Speed:</span>
-            <span>{(cpu.speed / 1000).toFixed(1)} GHz</span>
+            <span>{(currentMhz / 1000).toFixed(1)} GHz</span>
           </div>
         )}
         <div className="flex justify-between">
           <span className="text-gray-600">Load Avg:</span>
           <span>{cpu.loadavg ? cpu.loadavg.slice(0, 2).join(', ') : 'N/A'}</span>
         </div>
-        {cpu.coreUsage && cpu.coreUsage.length > 0 && (
+        {cpu.breakdown && (
+          <div className="flex justify-between text-xs text-gray-500">
+            <span>User {breakdown.user ?? 0}%</span>
+            <span>System {breakdown.system ?? 0}%</span>
+            <span>IO wait {breakdown.iowait ?? 0}%</span>
+          </div>
+        )}
+        {coreUsage.length > 0 && (
           <div className="mt-3">
             <div className="text-xs text-gray-500 mb-2">Core Usage:</div>
-            <div className="grid grid-cols-4 gap-1 text-xs">
-              {cpu.coreUsage.slice(0, 8).map((core, index) => (
-                <div key={index} className="flex justify-between bg-gray-50 px-1 py-0.5 rounded">
-                  <span>C{core.core}:</span>
-                  <span className={core.usage > 80 ? 'text-red-600' : core.usage > 50 ? 'text-yellow-600' : 'text-green-600'}>
-                    {Math.round(core.usage)}%
-                  </span>
+            {coreGroups.map(({ cluster, cores }) => (
+              <div key={cluster ? cluster.id : 'all'} className="mb-1">
+                {cluster && (
+                  <div className="text-xs text-gray-400 mb-1">
+                    Cluster {cluster.id}
+                    {cluster.maxFrequency ? ` · up to ${(cluster.maxFrequency / 1000).toFixed(1)} GHz` : ''}
+                    {cluster.governor ? ` · ${cluster.governor}` : ''}
+                  </div>
+                )}
+                <div className="grid grid-cols-4 gap-1 text-xs">
+                  {cores.map(core => (
+                    <div
+                      key={core.core}
+                      className="flex justify-between bg-gray-50 px-1 py-0.5 rounded"
+                      title={core.frequency?.current ? `${core.frequency.current} MHz${core.governor ? ` (${core.governor})` : ''}` : undefined}
+                    >
+                      <span>C{core.core}:</span>
+                      {core.online && core.usage !== null ? (
+                        <span className={getStatusColor(core.usage, thresholds)}>
+                          {Math.round(core.usage)}%
+                        </span>
+                      ) : (
+                        <span className="text-gray-400">{core.online ? '—' : 'off'}</span>
+                      )}
+                    </div>
+                  ))}
                 </div>
-              ))}
-            </div>
-            {cpu.coreUsage.length > 8 && (
-              <div className="text-xs text-gray-400 mt-1">...and {cpu.coreUsage.length - 8} more cores</div>
+              </div>
+            ))}
+            {coreUsage.length > 8 && (
+              <div className="text-xs text-gray-400 mt-1">...and {coreUsage.length - 8} more cores</div>
             )}
           </div>
         )}
@@ -188,58 +239,104 @@ function CpuCard({ cpu }) {
 }
 
 // Memory Card Component
-function MemoryCard({ memory }) {
+function MemoryCard({ memory, trend, thresholds, href }) {
   if (!memory || memory.error) {
     return (
-      <MetricCard title="Memory" value="Error" unit="">
-        <p className="text-red-600 text-sm">{memory?.message || 'Failed to load'}</p>
+      <MetricCard title="Memory" value="Error" unit="" href={href}>
+        <p className="text-red-600 dark:text-red-400 text-sm">{memory?.message || 'Failed to load'}</p>
       </MetricCard>
     )
   }
 
   const usagePercent = parseFloat(memory.usage || 0)
+  const swap = memory.swap
+  const zram = (memory.zram || []).filter(device => device.origDataSize > 0)
+
+  // Used + reclaimable cache + free adds up to the total when MemAvailable is known
+  const segments = memory.available !== undefined && memory.source === 'meminfo'
+    ? [
+        { label: 'Used', value: memory.used, color: 'bg-primary-600' },
+        { label: 'Cache', value: Math.max(0, memory.available - memory.free), color: 'bg-primary-500 opacity-40' },
+        { label: 'Free', value: memory.free, color: 'bg-gray-200' }
+      ]
+    : null
   
   return (
     <MetricCard 
       title="Memory Usage" 
       value={usagePercent} 
       unit="%"
-      progress={{ value: usagePercent, max: 100, unit: '%' }}
+      progress={segments ? null : { value: usagePercent, max: 100, unit: '%', thresholds }}
+      trend={trend}
+      href={href}
     >
+      {segments && (
+        <div className="mb-3">
+          <BreakdownBar segments={segments} total={memory.total} />
+        </div>
+      )}
       <div className="space-y-2 text-sm">
         <div className="flex justify-between">
           <span className="text-gray-600">Total:</span>
-          <span>{memory.totalGB ? `${memory.totalGB} GB` : formatBytes(memory.total || 0)}</span>
+          <span>{formatBytes(memory.total || 0)}</span>
         </div>
         <div className="flex justify-between">
           <span className="text-gray-600">Used:</span>
-          <span>{memory.usedGB ? `${memory.usedGB} GB` : formatBytes(memory.used || 0)}</span>
+          <span>{formatBytes(memory.used || 0)}</span>
         </div>
         <div className="flex justify-between">
           <span className="text-gray-600">Free:</span>
-          <span>{memory.freeGB ? `${memory.freeGB} GB` : formatBytes(memory.free || 0)}</span>
+          <span>{formatBytes(memory.free || 0)}</span>
         </div>
+        {memory.available !== undefined && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">Available:</span>
+            <span>{formatBytes(memory.available)}</span>
+          </div>
+        )}
+        {swap && swap.total > 0 && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">Swap:</span>
+            <span>{formatBytes(swap.used)} / {formatBytes(swap.total)} ({swap.usage}%)</span>
+          </div>
+        )}
+        {zram.map(device => (
+          <div key={device.device} className="flex justify-between text-xs text-gray-500">
+            <span>{device.device}:</span>
+            <span>
+              {formatBytes(device.origDataSize)} → {formatBytes(device.comprDataSize)}
+              {device.compressionRatio ? ` (${device.compressionRatio}x)` : ''}
+            </span>
+          </div>
+        ))}
       </div>
     </MetricCard>
   )
 }
 
+// Primary disk or first available disk
+function primaryFilesystem(filesystems) {
+  return filesystems.find(d => d.mountpoint === '/' || d.mountpoint === 'C:') || filesystems[0]
+}
+
 // Disk Card Component
-function DiskCard({ disk }) {
-  if (!disk || disk.error || !Array.isArray(disk)) {
+function DiskCard({ disk, trend, thresholds, href }) {
+  const filesystems = disk?.filesystems
+  const failure = disk?.error ? disk : filesystems?.find(d => d.error)
+
+  if (!disk || failure || !Array.isArray(filesystems)) {
     return (
-      <MetricCard title="Storage" value="Error" unit="">
-        <p className="text-red-600 text-sm">{disk?.message || 'Failed to load'}</p>
+      <MetricCard title="Storage" value="Error" unit="" href={href}>
+        <p className="text-red-600 dark:text-red-400 text-sm">{failure?.message || 'Failed to load'}</p>
       </MetricCard>
     )
   }
 
-  // Show primary disk or first available disk
-  const primaryDisk = disk.find(d => d.mountpoint === '/' || d.mountpoint === 'C:') || disk[0]
+  const primaryDisk = primaryFilesystem(filesystems)
   
   if (!primaryDisk) {
     return (
-      <MetricCard title="Storage" value="No Data" unit="">
+      <MetricCard title="Storage" value="No Data" unit="" href={href}>
         <p className="text-gray-500 text-sm">No disk information available</p>
       </MetricCard>
     )
@@ -250,20 +347,22 @@ function DiskCard({ disk }) {
       title="Storage Usage" 
       value={primaryDisk.usagePercent || 0} 
       unit="%"
-      progress={{ value: primaryDisk.usagePercent || 0, max: 100, unit: '%' }}
+      progress={{ value: primaryDisk.usagePercent || 0, max: 100, unit: '%', thresholds }}
+      trend={trend}
+      href={href}
     >
       <div className="space-y-2 text-sm">
         <div className="flex justify-between">
           <span className="text-gray-600">Total:</span>
-          <span>{primaryDisk.size}</span>
+          <span>{primaryDisk.sizeBytes !== undefined ? formatBytes(primaryDisk.sizeBytes) : primaryDisk.size}</span>
         </div>
         <div className="flex justify-between">
           <span className="text-gray-600">Used:</span>
-          <span>{primaryDisk.used}</span>
+          <span>{primaryDisk.usedBytes !== undefined ? formatBytes(primaryDisk.usedBytes) : primaryDisk.used}</span>
         </div>
         <div className="flex justify-between">
           <span className="text-gray-600">Available:</span>
-          <span>{primaryDisk.available}</span>
+          <span>{primaryDisk.availableBytes !== undefined ? formatBytes(primaryDisk.availableBytes) : primaryDisk.available}</span>
         </div>
         <div className="text-xs text-gray-500 truncate">
           {primaryDisk.mountpoint} ({primaryDisk.filesystem})
@@ -273,12 +372,71 @@ function DiskCard({ disk }) {
   )
 }
 
+// Disk I/O Card Component
+function DiskIoCard({ io, href }) {
+  if (!io || io.error) {
+    return (
+      <MetricCard title="Disk I/O" value="Error" unit="" href={href}>
+        <p className="text-red-600 dark:text-red-400 text-sm">{io?.message || 'Failed to load'}</p>
+      </MetricCard>
+    )
+  }
+
+  if (!io.available || io.devices.length === 0) {
+    return (
+      <MetricCard title="Disk I/O" value="N/A" unit="" href={href}>
+        <p className="text-gray-500 text-sm">{io.reason || 'No block devices with I/O activity'}</p>
+      </MetricCard>
+    )
+  }
+
+  // Busiest device first; whole disks before partitions on ties
+  const devices = io.devices
+    .slice()
+    .sort((a, b) => b.utilization - a.utilization || (a.type === 'disk' ? -1 : 1))
+  const busiest = devices[0]
+
+  return (
+    <MetricCard
+      title="Disk I/O"
+      value={busiest.utilization}
+      unit="% busy"
+      progress={{ value: busiest.utilization, max: 100, unit: '%' }}
+      href={href}
+    >
+      <div className="space-y-3 text-sm">
+        {devices.slice(0, 3).map(device => (
+          <div key={device.device}>
+            <div className="flex justify-between">
+              <span className="font-medium">{device.device}</span>
+              <span className="text-xs text-gray-500 truncate ml-2">
+                {device.mountpoints.join(', ') || device.type}
+              </span>
+            </div>
+            <div className="flex justify-between text-xs text-gray-600">
+              <span>R {formatBytes(device.readBytesPerSec)}/s · {device.readIops} IOPS</span>
+              <span>W {formatBytes(device.writeBytesPerSec)}/s · {device.writeIops} IOPS</span>
+            </div>
+            <div className="flex justify-between text-xs text-gray-500">
+              <span>Latency R {device.readLatencyMs}ms / W {device.writeLatencyMs}ms</span>
+              <span>{device.utilization}% busy</span>
+            </div>
+          </div>
+        ))}
+        {devices.length > 3 && (
+          <div className="text-xs text-gray-400">...and {devices.length - 3} more devices</div>
+        )}
+      </div>
+    </MetricCard>
+  )
+}
+
 // System Info Card
-function SystemCard({ host }) {
+function SystemCard({ host, href }) {
   if (!host || host.error) {
     return (
-      <MetricCard title="System" value="Error" unit="">
-        <p className="text-red-600 text-sm">{host?.message || 'Failed to load'}</p>
+      <MetricCard title="System" value="Error" unit="" href={href}>
+        <p className="text-red-600 dark:text-red-400 text-sm">{host?.message || 'Failed to load'}</p>
       </MetricCard>
     )
   }
@@ -288,7 +446,7 @@ function SystemCard({ host }) {
   const remainingHours = uptimeHours % 24
 
   return (
-    <MetricCard title="System Info" value={host.hostname || 'Unknown'} unit="">
+    <MetricCard title="System Info" value={host.hostname || 'Unknown'} unit="" href={href}>
       <div className="space-y-2 text-sm">
         <div className="flex justify-between">
           <span className="text-gray-600">Platform:</span>
@@ -316,10 +474,10 @@ function SystemCard({ host }) {
 }
 
 // Android Battery Card
-function AndroidCard({ android }) {
+function AndroidCard({ android, trend, thresholds, href }) {
   if (!android || !android.available) {
     return (
-      <MetricCard title="Android Info" value="N/A" unit="">
+      <MetricCard title="Android Info" value="N/A" unit="" href={href}>
         <p className="text-gray-500 text-sm">
           {android?.reason || 'Android features not available'}
         </p>
@@ -328,10 +486,11 @@ function AndroidCard({ android }) {
   }
 
   const battery = android.battery
+  const analytics = android.batteryAnalytics
   if (battery?.error) {
     return (
-      <MetricCard title="Android Info" value="Error" unit="">
-        <p className="text-red-600 text-sm">{battery.message}</p>
+      <MetricCard title="Android Info" value="Error" unit="" href={href}>
+        <p className="text-red-600 dark:text-red-400 text-sm">{battery.message}</p>
       </MetricCard>
     )
   }
@@ -341,7 +500,9 @@ function AndroidCard({ android }) {
       title="Battery Status" 
       value={battery?.level || 0} 
       unit="%"
-      progress={{ value: battery?.level || 0, max: 100, unit: '%' }}
+      progress={{ value: battery?.level || 0, max: 100, unit: '%', thresholds: thresholds.battery, inverted: true }}
+      trend={trend}
+      href={href}
     >
       <div className="space-y-2 text-sm">
         <div className="flex justify-between">
@@ -355,11 +516,57 @@ function AndroidCard({ android }) {
         {battery?.temperatureCelsius && (
           <div className="flex justify-between">
             <span className="text-gray-600">Temperature:</span>
-            <span>{battery.temperatureCelsius}°C</span>
+            <span className={getStatusColor(battery.temperatureCelsius, thresholds.temperature)}>
+              {formatTemperature(battery.temperatureCelsius)}
+            </span>
+          </div>
+        )}
+        {analytics?.available && (
+          <div className="border-t pt-2 space-y-1">
+            {analytics.rate.percentPerHour !== null && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">{analytics.rate.percentPerHour >= 0 ? 'Charging:' : 'Draining:'}</span>
+                <span>
+                  {Math.abs(analytics.rate.percentPerHour).toFixed(1)} %/h
+                  {analytics.rate.powerMw !== null && ` · ${Math.round(analytics.rate.powerMw)} mW`}
+                </span>
+              </div>
+            )}
+            {analytics.estimate.timeToEmptyMinutes !== null && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Time to empty:</span>
+                <span>{formatMinutes(analytics.estimate.timeToEmptyMinutes)}</span>
+              </div>
+            )}
+            {analytics.estimate.timeToFullMinutes !== null && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Time to full:</span>
+                <span>{formatMinutes(analytics.estimate.timeToFullMinutes)}</span>
+              </div>
+            )}
+            {analytics.rate.percentPerHour === null && (
+              <div className="text-xs text-gray-500">
+                Measuring rate ({analytics.rate.windowMinutes} min of data)
+              </div>
+            )}
+            <div className="flex justify-between">
+              <span className="text-gray-600">Cycles:</span>
+              <span title={analytics.cycles.since ? `Counted since ${new Date(analytics.cycles.since).toLocaleDateString()}` : 'Reported by the kernel'}>
+                {analytics.cycles.count}
+              </span>
+            </div>
+            {analytics.capacity.wearPercent !== null && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Wear:</span>
+                <span className={analytics.capacity.wearPercent > 20 ? 'text-yellow-600 dark:text-yellow-400' : ''}>
+                  {analytics.capacity.wearPercent}% ({analytics.capacity.fullMah} / {analytics.capacity.designMah} mAh)
+                </span>
+              </div>
+            )}
           </div>
         )}
         {android.termuxApi && (
-          <div className="text-xs text-green-600">
+          <div className="text-xs text-green-600 dark:text-green-400">
             ✓ Termux API Available
           </div>
         )}
@@ -368,12 +575,192 @@ function AndroidCard({ android }) {
   )
 }
 
+// Distance to a zone's next trip point, or how many it has already passed
+function tripHeadroom(zone) {
+  if (zone.nextTrip) {
+    return `${formatTemperatureDelta(zone.nextTrip.headroomCelsius)} to ${zone.nextTrip.type}`
+  }
+  return zone.tripsExceeded > 0 ? `Past ${zone.tripsExceeded} trip point${zone.tripsExceeded > 1 ? 's' : ''}` : null
+}
+
+// Thermal Card: hottest zones and whether the CPU is being throttled
+function ThermalCard({ android, thresholds, href }) {
+  const thermal = android?.thermal
+  if (!android || !android.available || !thermal || thermal.error) {
+    return (
+      <MetricCard title="Thermal" value="N/A" unit="" href={href}>
+        <p className="text-gray-500 text-sm">
+          {thermal?.message || android?.reason || 'Thermal data not available'}
+        </p>
+      </MetricCard>
+    )
+  }
+
+  const zones = Object.entries(thermal.zones || {})
+    .map(([type, zone]) => ({ type, ...zone, celsius: parseFloat(zone.temperatureCelsius) }))
+    .sort((a, b) => b.celsius - a.celsius)
+  const hottest = zones[0]
+  const throttling = thermal.throttling
+  const capped = throttling ? throttling.policies.filter(policy => policy.capped) : []
+
+  return (
+    <MetricCard
+      title="Thermal"
+      value={hottest ? formatTemperature(hottest.celsius) : 'N/A'}
+      unit=""
+      href={href}
+    >
+      <div className="space-y-2 text-sm">
+        {throttling && throttling.throttled !== null && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">CPU:</span>
+            {throttling.throttled ? (
+              <span className="status-danger font-medium" title={throttling.coolingDevices.join(', ')}>
+                🔥 Throttled
+              </span>
+            ) : (
+              <span className="status-good">Full speed</span>
+            )}
+          </div>
+        )}
+        {capped.map(policy => (
+          <div key={policy.policy} className="flex justify-between text-xs text-gray-500">
+            <span>CPUs {policy.cpus || policy.policy}</span>
+            <span>{policy.maxMhz} / {policy.hardwareMaxMhz} MHz (−{policy.cappedPercent}%)</span>
+          </div>
+        ))}
+        {zones.length === 0 && (
+          <p className="text-gray-500">{thermal.message || 'No thermal zones readable on this device'}</p>
+        )}
+        {zones.slice(0, 4).map(zone => (
+          <div key={zone.type} className="flex justify-between gap-2">
+            <span className="text-gray-600 truncate" title={zone.zone}>{zone.type}:</span>
+            <span className="text-right">
+              <span className={getStatusColor(zone.celsius, thresholds)}>{formatTemperature(zone.celsius)}</span>
+              {tripHeadroom(zone) && (
+                <span className="block text-xs text-gray-500">{tripHeadroom(zone)}</span>
+              )}
+            </span>
+          </div>
+        ))}
+        {zones.length > 4 && (
+          <div className="text-xs text-gray-500">+{zones.length - 4} more zones</div>
+        )}
+      </div>
+    </MetricCard>
+  )
+}
+
+// Signal strength bars (level 0-4)
+function SignalBars({ level }) {
+  const color = level >= 3 ? 'bg-status-good' : level === 2 ? 'bg-status-warning' : 'bg-status-danger'
+
+  return (
+    <span className="inline-flex items-end gap-0.5 h-4" title={`Signal ${level ?? '?'}/4`}>
+      {[1, 2, 3, 4].map(bar => (
+        <span
+          key={bar}
+          className={`w-1 rounded-sm ${level !== null && level !== undefined && bar <= level ? color : 'bg-gray-200'}`}
+          style={{ height: `${bar * 25}%` }}
+        />
+      ))}
+    </span>
+  )
+}
+
+// Connectivity Card Component
+function ConnectivityCard({ android, href }) {
+  if (!android || !android.available || (!android.wifi && !android.cellular)) {
+    return (
+      <MetricCard title="Connectivity" value="N/A" unit="" href={href}>
+        <p className="text-gray-500 text-sm">
+          {android?.reason || 'Wi-Fi and cellular data need the Termux API'}
+        </p>
+      </MetricCard>
+    )
+  }
+
+  const { wifi, cellular } = android
+  const wifiUp = wifi && !wifi.error && wifi.connected
+  const cellularUp = cellular && !cellular.error && cellular.available
+
+  return (
+    <MetricCard
+      title="Connectivity"
+      value={wifiUp ? 'Wi-Fi' : cellularUp ? (cellular.networkType || 'Cellular').toUpperCase() : 'Offline'}
+      unit=""
+      href={href}
+    >
+      <div className="space-y-3 text-sm">
+        {wifi && (
+          <div>
+            <div className="flex justify-between items-center">
+              <span className="font-medium">Wi-Fi</span>
+              {wifiUp ? <SignalBars level={wifi.signalLevel} /> : (
+                <span className="text-gray-500 text-xs">{wifi.error ? wifi.message : 'Disconnected'}</span>
+              )}
+            </div>
+            {wifiUp && (
+              <div className="text-xs text-gray-600 space-y-0.5 mt-1">
+                <div className="flex justify-between">
+                  <span className="truncate">{wifi.ssid || 'Hidden SSID'}</span>
+                  <span>{wifi.rssi} dBm</span>
+                </div>
+                <div className="flex justify-between">
+                  <span>{wifi.band} · {wifi.frequencyMhz} MHz</span>
+                  <span>{wifi.linkSpeedMbps} Mbps</span>
+                </div>
+              </div>
+            )}
+            {wifi.scan && !wifi.scan.error && (
+              <div className="text-xs text-gray-500 mt-1">
+                {wifi.scan.count} nearby network{wifi.scan.count === 1 ? '' : 's'}
+                {wifi.scan.networks.slice(0, 3).map(network => (
+                  <div key={network.bssid} className="flex justify-between items-center">
+                    <span className="truncate">{network.ssid || network.bssid}</span>
+                    <SignalBars level={network.signalLevel} />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {cellular && (
+          <div className="border-t pt-2">
+            <div className="flex justify-between items-center">
+              <span className="font-medium">Cellular</span>
+              {cellularUp ? <SignalBars level={cellular.signalLevel} /> : (
+                <span className="text-gray-500 text-xs">
+                  {cellular.error ? cellular.message : `SIM ${cellular.simState || 'unavailable'}`}
+                </span>
+              )}
+            </div>
+            {cellularUp && (
+              <div className="text-xs text-gray-600 space-y-0.5 mt-1">
+                <div className="flex justify-between">
+                  <span className="truncate">{cellular.operator || 'Unknown operator'}</span>
+                  <span>{cellular.dbm !== null ? `${cellular.dbm} dBm` : '—'}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span>{(cellular.networkType || 'unknown').toUpperCase()}</span>
+                  <span>{cellular.roaming ? 'Roaming' : cellular.dataState || ''}</span>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </MetricCard>
+  )
+}
+
 // Network Card Component
-function NetworkCard({ network }) {
+function NetworkCard({ network, trend, href }) {
   if (!network || network.error) {
     return (
-      <MetricCard title="Network" value="Error" unit="">
-        <p className="text-red-600 text-sm">{network?.message || 'Failed to load'}</p>
+      <MetricCard title="Network" value="Error" unit="" href={href}>
+        <p className="text-red-600 dark:text-red-400 text-sm">{network?.message || 'Failed to load'}</p>
       </MetricCard>
     )
   }
@@ -384,43 +771,217 @@ function NetworkCard({ network }) {
 
   if (interfaces.length === 0) {
     return (
-      <MetricCard title="Network" value="No Data" unit="">
+      <MetricCard title="Network" value="No Data" unit="" href={href}>
         <p className="text-gray-500 text-sm">No active network interfaces</p>
       </MetricCard>
     )
   }
 
-  const [primaryInterface, stats] = interfaces[0]
+  // Busiest interfaces first
+  interfaces.sort(([, a], [, b]) => (b.total?.bytesPerSec || 0) - (a.total?.bytesPerSec || 0))
+  const totalRate = interfaces.reduce((sum, [, stats]) => sum + (stats.total?.bytesPerSec || 0), 0)
 
   return (
-    <MetricCard title="Network Traffic" value={primaryInterface} unit="">
-      <div className="space-y-2 text-sm">
-        <div className="flex justify-between">
-          <span className="text-gray-600">Downloaded:</span>
-          <span>{stats.rx?.bytesFormatted || '0 B'}</span>
-        </div>
-        <div className="flex justify-between">
-          <span className="text-gray-600">Uploaded:</span>
-          <span>{stats.tx?.bytesFormatted || '0 B'}</span>
-        </div>
-        <div className="flex justify-between">
-          <span className="text-gray-600">Total:</span>
-          <span>{stats.total?.bytesFormatted || '0 B'}</span>
-        </div>
-        <div className="flex justify-between text-xs text-gray-500">
-          <span>RX Packets: {stats.rx?.packets || 0}</span>
-          <span>TX Packets: {stats.tx?.packets || 0}</span>
-        </div>
+    <MetricCard title="Network Traffic" value={`${formatBytes(totalRate)}/s`} unit="" trend={trend} href={href}>
+      <div className="space-y-3 text-sm">
+        {interfaces.map(([name, stats]) => {
+          const ipv4 = (stats.addresses || []).find(address => address.family === 'IPv4')
+          const hasErrors = (stats.rx?.errorsPerSec || 0) + (stats.tx?.errorsPerSec || 0) > 0
+
+          return (
+            <div key={name}>
+              <div className="flex justify-between">
+                <span className="flex items-center font-medium">
+                  <span
+                    className={`inline-block w-2 h-2 rounded-full mr-2 ${stats.state === 'up' ? 'bg-status-good' : stats.state === 'down' ? 'bg-status-danger' : 'bg-gray-400'}`}
+                    title={`Link ${stats.state || 'unknown'}`}
+                  ></span>
+                  {name}
+                  {stats.wireless && <span className="ml-1 text-xs text-gray-400">Wi-Fi</span>}
+                </span>
+                <span className="text-xs text-gray-500">{ipv4 ? ipv4.address : ''}</span>
+              </div>
+              <div className="flex justify-between text-xs text-gray-600">
+                <span>↓ {formatBytes(stats.rx?.bytesPerSec)}/s · {stats.rx?.packetsPerSec || 0} pkt/s</span>
+                <span>↑ {formatBytes(stats.tx?.bytesPerSec)}/s · {stats.tx?.packetsPerSec || 0} pkt/s</span>
+              </div>
+              <div className="flex justify-between text-xs text-gray-400">
+                <span>Total ↓ {formatBytes(stats.rx?.bytes)} ↑ {formatBytes(stats.tx?.bytes)}</span>
+                {hasErrors ? (
+                  <span className="text-red-600 dark:text-red-400">
+                    {((stats.rx?.errorsPerSec || 0) + (stats.tx?.errorsPerSec || 0)).toFixed(1)} err/s
+                  </span>
+                ) : (
+                  stats.mtu && <span>MTU {stats.mtu}</span>
+                )}
+              </div>
+            </div>
+          )
+        })}
       </div>
     </MetricCard>
   )
 }
 
-// Main App Component
-function App() {
-  const { metrics, loading, error } = useMetrics(5000) // Poll every 5 seconds
+// Main dashboard
+const formatClock = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+// Shown while the server can't be reached and the dashboard shows saved data
+function StaleBanner({ since, retryAt, onRetry }) {
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(id)
+  }, [])
+
+  const seconds = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : null
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 mb-6 p-3 rounded border bg-yellow-50 dark:bg-yellow-900 border-yellow-200 dark:border-yellow-700 text-sm text-yellow-800 dark:text-yellow-200">
+      <span>
+        📴 <strong>Offline</strong>, stale since {since ? formatClock(since) : 'unknown'}
+        {navigator.onLine === false ? ' (this device has no network)' : ''}
+      </span>
+      <span className="flex items-center gap-3">
+        {seconds !== null && <span>{seconds > 0 ? `Reconnecting in ${seconds}s` : 'Reconnecting...'}</span>}
+        <button type="button" onClick={onRetry} className="underline">
+          Retry now
+        </button>
+      </span>
+    </div>
+  )
+}
+
+// Detail pages; each path can be bookmarked
+const PAGES = [
+  { path: '/', label: 'Overview' },
+  { path: '/cpu', label: 'CPU' },
+  { path: '/memory', label: 'Memory' },
+  { path: '/storage', label: 'Storage' },
+  { path: '/network', label: 'Network' },
+  { path: '/power', label: 'Power' },
+  { path: '/system', label: 'System' }
+]
+
+function NotFound({ pathname }) {
+  return (
+    <DetailCard title="Page not found">
+      <p className="text-gray-600 text-sm">
+        Nothing lives at <code>{pathname}</code>. <Link to="/" className="text-primary-600 underline">Back to the overview</Link>
+      </p>
+    </DetailCard>
+  )
+}
+
+function Dashboard({ onLogout }) {
+  const [view, setView] = useState('local') // 'local' or 'fleet'
+  const [deviceId, setDeviceId] = useState(null) // Fleet device being inspected
+  const { settings, updateSettings, resetSettings, syncState } = useSettings()
+  const [showSettings, setShowSettings] = useState(false)
+  const { metrics, loading, error, transport, stale, retryAt, reconnect } = useMetrics(settings.interval, deviceId)
+  const { fleet, enabled: fleetEnabled } = useFleet(10000)
+  const device = deviceId && fleet ? fleet.devices.find(entry => entry.id === deviceId) : null
+  const [trendRange, setTrendRange] = useState('5m')
+  const { frames, from, historyAvailable } = useTrends(metrics, { range: trendRange, deviceId })
+  const trends = { frames, from, range: trendRange, onRangeChange: setTrendRange, historyAvailable }
+  const location = useLocation()
+  const pathname = location.pathname.replace(/(.)\/+$/, '$1') // "/cpu/" is "/cpu"
+  const page = PAGES.find(entry => entry.path === pathname)
+
+  useEffect(() => {
+    document.title = page && page.path !== '/' ? `${page.label} · Tablet Resource Manager` : 'Tablet Resource Manager'
+  }, [page])
+
+  // Sparkline of a chart's first line (e.g. "Used" for memory)
+  const trendFor = (chartId, line = null) => {
+    const chart = findChart(chartId)
+    const series = chartSeries(chart, frames)
+    const match = (line && series.find(entry => entry.label === line)) || series[0]
+    return { chart, points: match ? match.points : [] }
+  }
+
+  // Collectors disabled on the server are left out of the snapshot (older servers don't list them)
+  const hasCollector = (name) => !metrics?.meta?.collectors || metrics.meta.collectors.includes(name)
+
+  // Cards by settings id, in the order and with the visibility chosen in settings
+  const { thresholds } = settings
+  const cards = {
+    cpu: hasCollector('cpu') && (
+      <CpuCard key="cpu" cpu={metrics?.cpu} trend={trendFor('cpu')} thresholds={thresholds.cpu} href="/cpu" />
+    ),
+    memory: hasCollector('memory') && (
+      <MemoryCard key="memory" memory={metrics?.memory} trend={trendFor('memory')} thresholds={thresholds.memory} href="/memory" />
+    ),
+    disk: hasCollector('disk') && (
+      <DiskCard
+        key="disk"
+        disk={metrics?.disk}
+        trend={trendFor('disk', primaryFilesystem(metrics?.disk?.filesystems || [])?.mountpoint)}
+        thresholds={thresholds.disk}
+        href="/storage"
+      />
+    ),
+    diskio: hasCollector('disk') && <DiskIoCard key="diskio" io={metrics?.disk?.io} href="/storage" />,
+    system: hasCollector('host') && <SystemCard key="system" host={metrics?.host} href="/system" />,
+    network: hasCollector('network') && <NetworkCard key="network" network={metrics?.network} trend={trendFor('network')} href="/network" />,
+    battery: hasCollector('android') && (
+      <AndroidCard key="battery" android={metrics?.android} trend={trendFor('battery')} thresholds={thresholds} href="/power" />
+    ),
+    connectivity: hasCollector('android') && <ConnectivityCard key="connectivity" android={metrics?.android} href="/network" />,
+    thermal: hasCollector('android') && (
+      <ThermalCard key="thermal" android={metrics?.android} thresholds={thresholds.thermal} href="/power" />
+    )
+  }
+
+  const renderPage = () => {
+    switch (pathname) {
+      case '/cpu':
+        return <CpuPage metrics={metrics} trends={trends} />
+      case '/memory':
+        return <MemoryPage metrics={metrics} trends={trends} />
+      case '/storage':
+        return <StoragePage metrics={metrics} thresholds={thresholds.disk} trends={trends} />
+      case '/network':
+        return <NetworkPage metrics={metrics} trends={trends} local={!deviceId} interval={settings.interval} />
+      case '/power':
+        return <PowerPage metrics={metrics} thresholds={thresholds} trends={trends} />
+      case '/system':
+        return <SystemPage metrics={metrics} />
+      case '/':
+        return (
+          <>
+            {/* Metrics Grid */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
+              {settings.cards.filter(card => card.visible).map(card => cards[card.id])}
+            </div>
+
+            {/* Trend Charts */}
+            <TrendCharts {...trends} />
+
+            {/* Process and socket lists are only available for this device */}
+            {!deviceId && (
+              <>
+                {/* Top Processes */}
+                <ProcessTable interval={settings.interval} />
+
+                {/* Connections */}
+                <ConnectionsTable interval={settings.interval} />
+              </>
+            )}
+          </>
+        )
+      default:
+        return <NotFound pathname={pathname} />
+    }
+  }
+
+  const showView = (next) => {
+    setView(next)
+    setDeviceId(null)
+  }
 
-  if (loading) {
+  if (loading && !deviceId) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center">
@@ -435,7 +996,7 @@ function App() {
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
-      <header className="bg-white shadow-sm border-b border-gray-200">
+      <header className="bg-surface shadow-sm border-b border-gray-200">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
           <div className="flex items-center justify-between">
             <div>
@@ -449,13 +1010,23 @@ function App() {
                 Last updated: {metrics?.timestamp ? new Date(metrics.timestamp).toLocaleTimeString() : 'Never'}
               </div>
               <div className="text-xs text-gray-400">
-                Collection: {metrics?.collectionTimeMs}ms | Status: {loading ? '🔄' : error ? '❌' : '✅'}
+                Collection: {metrics?.collectionTimeMs}ms | Mode: {transport} | Status: {loading ? '🔄' : error ? '❌' : '✅'}
               </div>
               {error && (
-                <div className="text-red-600 text-sm mt-1">
+                <div className="text-red-600 dark:text-red-400 text-sm mt-1">
                   ⚠️ {error}
                 </div>
               )}
+              <div className="flex justify-end gap-3 mt-1">
+                <button type="button" onClick={() => setShowSettings(true)} className="text-xs text-gray-500 hover:text-gray-700 underline">
+                  Settings
+                </button>
+                {getToken() && (
+                  <button type="button" onClick={onLogout} className="text-xs text-gray-500 hover:text-gray-700 underline">
+                    Sign out
+                  </button>
+                )}
+              </div>
             </div>
           </div>
         </div>
@@ -463,9 +1034,63 @@ function App() {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {error && !metrics ? (
+        {stale && (
+          <StaleBanner
+            since={metrics.timestamp ? new Date(metrics.timestamp) : null}
+            retryAt={retryAt}
+            onRetry={reconnect}
+          />
+        )}
+
+        {/* Fleet navigation (aggregator mode only) */}
+        {fleetEnabled && (
+          <div className="flex items-center gap-2 mb-6 text-sm">
+            <button
+              type="button"
+              onClick={() => showView('local')}
+              className={`px-3 py-1 rounded ${view === 'local' ? 'bg-primary-600 text-white' : 'bg-surface border border-gray-300'}`}
+            >
+              This device
+            </button>
+            <button
+              type="button"
+              onClick={() => showView('fleet')}
+              className={`px-3 py-1 rounded ${view === 'fleet' ? 'bg-primary-600 text-white' : 'bg-surface border border-gray-300'}`}
+            >
+              Fleet ({fleet.online}/{fleet.total} online)
+            </button>
+            {device && (
+              <>
+                <span className="text-gray-400">/</span>
+                <span className="font-medium">{device.name}</span>
+                <HealthBadge health={device.health} />
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Page navigation */}
+        {!(view === 'fleet' && !deviceId) && (
+          <nav className="flex flex-wrap items-center gap-2 mb-6 text-sm">
+            {PAGES.map(entry => (
+              <Link
+                key={entry.path}
+                to={entry.path}
+                className={`px-3 py-1 rounded ${entry === page ? 'bg-primary-600 text-white' : 'bg-surface border border-gray-300'}`}
+              >
+                {entry.label}
+              </Link>
+            ))}
+          </nav>
+        )}
+
+        {view === 'fleet' && !deviceId ? (
+          <FleetGrid fleet={fleet} onSelect={setDeviceId} />
+        ) : loading ? (
+          <p className="text-gray-500 text-sm">Loading {device ? device.name : 'device'}...</p>
+        ) : error && !metrics ? (
           <div className="card text-center py-12">
-            <div className="text-red-600 text-xl mb-4">⚠️ Connection Error</div>
+            <div className="text-red-600 dark:text-red-400 text-xl mb-4">⚠️ Connection Error</div>
             <p className="text-gray-600 mb-4">{error}</p>
             <p className="text-gray-500 text-sm">
               Make sure the server is running on port 3001
@@ -473,21 +1098,13 @@ function App() {
           </div>
         ) : (
           <>
-            {/* Metrics Grid */}
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
-              <CpuCard cpu={metrics?.cpu} />
-              <MemoryCard memory={metrics?.memory} />
-              <DiskCard disk={metrics?.disk} />
-              <SystemCard host={metrics?.host} />
-              <NetworkCard network={metrics?.network} />
-              <AndroidCard android={metrics?.android} />
-            </div>
+            <div className="mb-8">{renderPage()}</div>
 
             {/* Status Footer */}
             <div className="card">
               <div className="flex items-center justify-between">
                 <div className="flex items-center space-x-4">
-                  <div className={`w-3 h-3 rounded-full ${error ? 'bg-red-500' : 'bg-green-500'}`}></div>
+                  <div className={`w-3 h-3 rounded-full ${error ? 'bg-status-danger' : 'bg-status-good'}`}></div>
                   <span className="text-sm text-gray-600">
                     System Status: {error ? 'Error' : 'Online'}
                   </span>
@@ -499,9 +1116,9 @@ function App() {
                 </div>
               </div>
               {metrics?.meta?.warnings && metrics.meta.warnings.length > 0 && (
-                <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded">
-                  <h4 className="font-medium text-yellow-800 mb-2">Warnings:</h4>
-                  <ul className="text-sm text-yellow-700 space-y-1">
+                <div className="mt-4 p-3 bg-yellow-50 dark:bg-yellow-900 border border-yellow-200 dark:border-yellow-700 rounded">
+                  <h4 className="font-medium text-yellow-800 dark:text-yellow-200 mb-2">Warnings:</h4>
+                  <ul className="text-sm text-yellow-700 dark:text-yellow-300 space-y-1">
                     {metrics.meta.warnings.map((warning, index) => (
                       <li key={index}>• {warning}</li>
                     ))}
@@ -512,8 +1129,57 @@ function App() {
           </>
         )}
       </main>
+
+      {showSettings && (
+        <SettingsDrawer
+          settings={settings}
+          onChange={updateSettings}
+          onReset={resetSettings}
+          syncState={syncState}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
     </div>
   )
 }
 
+// Pairing code from the QR code shown on the tablet (/?pair=123456)
+function readPairingCode() {
+  return new URLSearchParams(window.location.search).get('pair')
+}
+
+// Main App Component: asks for a token whenever the server answers 401
+function App() {
+  const [pairingCode] = useState(readPairingCode)
+  const [needsLogin, setNeedsLogin] = useState(Boolean(pairingCode))
+  const [session, setSession] = useState(0)
+
+  useEffect(() => onUnauthorized(() => setNeedsLogin(true)), [])
+
+  const logout = async () => {
+    // A paired browser gives its pairing up; other tokens just stay valid
+    await apiFetch('/api/pair', { method: 'DELETE' }).catch(() => {})
+    clearToken()
+    await clearSnapshots() // Don't leave the last readings behind for offline use
+    setNeedsLogin(true)
+  }
+
+  if (needsLogin) {
+    return (
+      <LoginScreen
+        initialCode={pairingCode}
+        onLogin={() => {
+          if (pairingCode) {
+            window.history.replaceState(null, '', window.location.pathname)
+          }
+          setNeedsLogin(false)
+          setSession(current => current + 1) // Remount so every poller starts over with the token
+        }}
+      />
+    )
+  }
+
+  return <Dashboard key={session} onLogout={logout} />
+}
+
 export default App
\ No newline at end of file
@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react'
+import { apiFetch } from '../utils/api'
+
+// IPv6 addresses need brackets before the port
+function formatEndpoint(address, port) {
+  return address.includes(':') ? `[${address}]:${port}` : `${address}:${port}`
+}
+
+function ownerLabel(connection) {
+  if (connection.pid === null) return '—'
+  return `${connection.process || '?'} (${connection.pid})`
+}
+
+// Listening ports and established connections, polled from /api/connections
+function ConnectionsTable({ interval = 5000 }) {
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+  const [protocol, setProtocol] = useState('')
+  const [port, setPort] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchConnections = async () => {
+      try {
+        const params = new URLSearchParams({ protocol, port })
+        const response = await apiFetch(`/api/connections?${params}`)
+        const body = await response.json()
+
+        if (!response.ok) {
+          throw new Error(body.message || `HTTP ${response.status}: ${response.statusText}`)
+        }
+
+        if (!cancelled) {
+          setData(body)
+          setError(null)
+        }
+      } catch (err) {
+        console.error('[ConnectionsTable] Failed to fetch connections:', err)
+        if (!cancelled) setError(err.message)
+      }
+    }
+
+    fetchConnections()
+    const intervalId = setInterval(fetchConnections, interval)
+
+    return () => {
+      cancelled = true
+      clearInterval(intervalId)
+    }
+  }, [interval, protocol, port])
+
+  const listening = data ? data.connections.filter(c => c.state === 'LISTEN') : []
+  const established = data ? data.connections.filter(c => c.state === 'ESTABLISHED') : []
+  const other = data ? data.matched - listening.length - established.length : 0
+
+  return (
+    <div className="card mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="metric-label">Connections</h3>
+        <div className="flex gap-2">
+          <select
+            value={protocol}
+            onChange={(e) => setProtocol(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+          >
+            <option value="">All protocols</option>
+            <option value="tcp">TCP</option>
+            <option value="udp">UDP</option>
+          </select>
+          <input
+            type="search"
+            inputMode="numeric"
+            value={port}
+            onChange={(e) => setPort(e.target.value.replace(/\D/g, ''))}
+            placeholder="Port"
+            className="border border-gray-300 rounded px-3 py-1 text-sm w-24"
+          />
+        </div>
+      </div>
+
+      {error && !data ? (
+        <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>
+      ) : !data ? (
+        <p className="text-gray-500 text-sm">Loading connections...</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="overflow-x-auto">
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">
+                Listening Ports ({listening.length})
+              </h4>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 text-xs text-gray-500 uppercase">
+                    <th className="px-2 py-2 font-medium text-left">Proto</th>
+                    <th className="px-2 py-2 font-medium text-left">Address</th>
+                    <th className="px-2 py-2 font-medium text-left">Process</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {listening.map(connection => (
+                    <tr key={`${connection.protocol}-${connection.inode}`} className="border-b border-gray-100 hover:bg-gray-50">
+                      <td className="px-2 py-1 text-gray-500">{connection.protocol}</td>
+                      <td className="px-2 py-1 font-mono">{formatEndpoint(connection.localAddress, connection.localPort)}</td>
+                      <td className="px-2 py-1 text-gray-600">{ownerLabel(connection)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="overflow-x-auto">
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">
+                Established ({established.length})
+              </h4>
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 text-xs text-gray-500 uppercase">
+                    <th className="px-2 py-2 font-medium text-left">Proto</th>
+                    <th className="px-2 py-2 font-medium text-left">Local</th>
+                    <th className="px-2 py-2 font-medium text-left">Remote</th>
+                    <th className="px-2 py-2 font-medium text-left">Process</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {established.map(connection => (
+                    <tr key={`${connection.protocol}-${connection.inode}`} className="border-b border-gray-100 hover:bg-gray-50">
+                      <td className="px-2 py-1 text-gray-500">{connection.protocol}</td>
+                      <td className="px-2 py-1 font-mono">{formatEndpoint(connection.localAddress, connection.localPort)}</td>
+                      <td className="px-2 py-1 font-mono">{formatEndpoint(connection.remoteAddress, connection.remotePort)}</td>
+                      <td className="px-2 py-1 text-gray-600">{ownerLabel(connection)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="flex justify-between text-xs text-gray-500 mt-3">
+            <span>
+              {data.matched} of {data.total} sockets
+              {other > 0 && ` (${other} in other states)`}
+            </span>
+            {data.unavailable.length > 0 && (
+              <span className="text-yellow-600 dark:text-yellow-400">
+                Not readable: {data.unavailable.map(entry => entry.table).join(', ')}
+              </span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ConnectionsTable
@@ -0,0 +1,41 @@
+import React from 'react'
+
+// Card with a heading, used for the sections of the detail pages
+function DetailCard({ title, actions = null, className = '', children }) {
+  return (
+    <div className={`card ${className}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="metric-label">{title}</h3>
+        {actions}
+      </div>
+      {children}
+    </div>
+  )
+}
+
+// Label/value rows; entries with a null or undefined value are skipped
+export function KeyValueList({ items }) {
+  return (
+    <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+      {items
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([label, value]) => (
+          <div key={label} className="flex justify-between gap-4 border-b border-gray-100 pb-1">
+            <dt className="text-gray-600">{label}</dt>
+            <dd className="text-right break-all">{value}</dd>
+          </div>
+        ))}
+    </dl>
+  )
+}
+
+// Shown when a page's collector failed or isn't available on this device
+export function Unavailable({ title, message }) {
+  return (
+    <DetailCard title={title}>
+      <p className="text-gray-500 text-sm">{message || 'Not available on this device'}</p>
+    </DetailCard>
+  )
+}
+
+export default DetailCard
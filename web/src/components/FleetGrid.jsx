@@ -0,0 +1,87 @@
+import React from 'react'
+
+const HEALTH_STYLES = {
+  ok: { badge: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200', label: 'Healthy' },
+  warning: { badge: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200', label: 'Warning' },
+  critical: { badge: 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200', label: 'Critical' },
+  offline: { badge: 'bg-gray-200 text-gray-700', label: 'Offline' },
+  unknown: { badge: 'bg-gray-100 text-gray-500', label: 'Waiting' }
+}
+
+function HealthBadge({ health }) {
+  const style = HEALTH_STYLES[health] || HEALTH_STYLES.unknown
+  return (
+    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${style.badge}`}>
+      {style.label}
+    </span>
+  )
+}
+
+function formatLastSeen(lastSeen) {
+  if (!lastSeen) return 'never'
+  const seconds = Math.round((Date.now() - Date.parse(lastSeen)) / 1000)
+  if (seconds < 60) return `${seconds}s ago`
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`
+  return new Date(lastSeen).toLocaleString()
+}
+
+function Stat({ label, value, unit = '%' }) {
+  return (
+    <div>
+      <div className="text-xs text-gray-500">{label}</div>
+      <div className="font-semibold">
+        {value === null || value === undefined ? '—' : `${Math.round(value)}${unit}`}
+      </div>
+    </div>
+  )
+}
+
+// Fleet overview: one tile per tablet, click to open its dashboard
+function FleetGrid({ fleet, onSelect }) {
+  if (!fleet) {
+    return <p className="text-gray-500 text-sm">Loading fleet...</p>
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mb-8">
+      {fleet.devices.map(device => {
+        const summary = device.summary || {}
+        return (
+          <button
+            key={device.id}
+            type="button"
+            onClick={() => onSelect(device.id)}
+            className="card text-left hover:shadow-md transition-shadow"
+          >
+            <div className="flex items-start justify-between mb-3">
+              <div className="min-w-0">
+                <h3 className="font-semibold text-gray-900 truncate">{device.name}</h3>
+                <p className="text-xs text-gray-500 truncate">{summary.hostname || device.url}</p>
+              </div>
+              <HealthBadge health={device.health} />
+            </div>
+
+            <div className="grid grid-cols-4 gap-2 text-sm">
+              <Stat label="CPU" value={summary.cpuUsage} />
+              <Stat label="Memory" value={summary.memoryUsage} />
+              <Stat label="Disk" value={summary.diskUsage} />
+              <Stat label={summary.batteryPlugged ? 'Battery ⚡' : 'Battery'} value={summary.batteryLevel} />
+            </div>
+
+            <div className="flex justify-between text-xs text-gray-500 mt-3">
+              <span>Last seen {formatLastSeen(device.lastSeen)}</span>
+              {device.status === 'online' ? (
+                <span>{device.latencyMs}ms</span>
+              ) : (
+                device.lastError && <span className="text-red-600 dark:text-red-400 truncate ml-2">{device.lastError}</span>
+              )}
+            </div>
+          </button>
+        )
+      })}
+    </div>
+  )
+}
+
+export { HealthBadge }
+export default FleetGrid
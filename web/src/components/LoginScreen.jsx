@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { apiFetch, setToken } from '../utils/api'
+
+// Default pairing name, so the tablet's list of paired devices is readable
+function guessDeviceName() {
+  const agent = navigator.userAgent
+  if (/iPhone/.test(agent)) return 'iPhone'
+  if (/iPad/.test(agent)) return 'iPad'
+  if (/Android/.test(agent)) return /Mobile/.test(agent) ? 'Android phone' : 'Android tablet'
+  if (/Mac OS X/.test(agent)) return 'Mac'
+  if (/Windows/.test(agent)) return 'Windows PC'
+  return 'Browser'
+}
+
+async function readError(response) {
+  const body = await response.json().catch(() => ({}))
+  return new Error(body.message || `HTTP ${response.status}: ${response.statusText}`)
+}
+
+// Shown when the server rejects the request for lack of a valid token, or
+// when the dashboard is opened from a pairing QR code (?pair=123456)
+function LoginScreen({ onLogin, initialCode = null }) {
+  const [mode, setMode] = useState('pair') // 'pair' or 'token'
+  const [code, setCode] = useState(initialCode || '')
+  const [name, setName] = useState(guessDeviceName)
+  const [token, setTokenInput] = useState('')
+  const [error, setError] = useState(null)
+  const [checking, setChecking] = useState(false)
+  const autoSubmitted = useRef(false)
+
+  const pair = async (pairingCode) => {
+    setChecking(true)
+    setError(null)
+    try {
+      const response = await fetch('/api/pair', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code: pairingCode, name: name.trim() })
+      })
+      if (!response.ok) throw await readError(response)
+
+      const paired = await response.json()
+      setToken(paired.token)
+      onLogin(paired)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  const signIn = async (value) => {
+    setChecking(true)
+    setError(null)
+    try {
+      // /api/auth only needs a valid token, whatever its scopes
+      const response = await apiFetch('/api/auth', {}, value)
+      if (!response.ok) throw await readError(response)
+
+      const auth = await response.json()
+      setToken(value)
+      onLogin(auth)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  // Opened from the QR code: pair straight away
+  useEffect(() => {
+    if (initialCode && /^\d{6}$/.test(initialCode) && !autoSubmitted.current) {
+      autoSubmitted.current = true
+      pair(initialCode)
+    }
+  }, [initialCode])
+
+  const submit = (event) => {
+    event.preventDefault()
+    if (mode === 'pair') {
+      if (/^\d{6}$/.test(code)) pair(code)
+    } else if (token.trim()) {
+      signIn(token.trim())
+    }
+  }
+
+  const tabClass = (tab) =>
+    `flex-1 px-3 py-1 rounded text-sm ${mode === tab ? 'bg-primary-600 text-white' : 'bg-surface border border-gray-300'}`
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <form onSubmit={submit} className="card w-full max-w-sm">
+        <h1 className="text-xl font-bold text-gray-900 mb-1">📱 Tablet Resource Manager</h1>
+        <p className="text-sm text-gray-600 mb-4">This dashboard needs access to the tablet.</p>
+
+        <div className="flex gap-2 mb-4">
+          <button type="button" className={tabClass('pair')} onClick={() => { setMode('pair'); setError(null) }}>
+            Pair with tablet
+          </button>
+          <button type="button" className={tabClass('token')} onClick={() => { setMode('token'); setError(null) }}>
+            Use API token
+          </button>
+        </div>
+
+        {mode === 'pair' ? (
+          <>
+            <label htmlFor="code" className="block text-sm font-medium text-gray-700 mb-1">Pairing code</label>
+            <input
+              id="code"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              value={code}
+              onChange={(event) => setCode(event.target.value.replace(/\D/g, ''))}
+              placeholder="123456"
+              className="w-full border border-gray-300 rounded px-3 py-2 text-2xl tracking-widest text-center mb-1"
+              autoFocus
+            />
+            <p className="text-xs text-gray-500 mb-3">
+              Shown in the server's terminal and at <code>/pair</code> in the tablet's browser.
+            </p>
+
+            <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-1">This device</label>
+            <input
+              id="name"
+              value={name}
+              maxLength={64}
+              onChange={(event) => setName(event.target.value)}
+              className="w-full border border-gray-300 rounded px-3 py-2 text-sm mb-3"
+            />
+          </>
+        ) : (
+          <>
+            <label htmlFor="token" className="block text-sm font-medium text-gray-700 mb-1">API token</label>
+            <input
+              id="token"
+              type="password"
+              autoComplete="current-password"
+              value={token}
+              onChange={(event) => setTokenInput(event.target.value)}
+              placeholder="tm_..."
+              className="w-full border border-gray-300 rounded px-3 py-2 text-sm mb-3"
+              autoFocus
+            />
+          </>
+        )}
+
+        {error && <p className="text-red-600 dark:text-red-400 text-sm mb-3">⚠️ {error}</p>}
+
+        <button
+          type="submit"
+          disabled={checking || (mode === 'pair' ? code.length !== 6 : !token.trim())}
+          className="w-full px-3 py-2 rounded bg-primary-600 text-white text-sm font-medium disabled:opacity-50"
+        >
+          {checking ? 'Checking...' : mode === 'pair' ? 'Pair' : 'Sign in'}
+        </button>
+        <p className="text-xs text-gray-500 mt-3">The token is kept in this browser's local storage.</p>
+      </form>
+    </div>
+  )
+}
+
+export default LoginScreen
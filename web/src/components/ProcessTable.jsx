@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react'
+import SortableTable from './SortableTable'
+import { formatBytes } from '../utils/format'
+import { apiFetch } from '../utils/api'
+
+// Wait this long after the last keystroke before querying with a new filter
+const FILTER_DELAY = 300
+
+const COLUMNS = [
+  { key: 'pid', label: 'PID', align: 'right' },
+  {
+    key: 'name',
+    label: 'Name',
+    render: proc => <span className="block max-w-xs truncate" title={proc.command}>{proc.name}</span>
+  },
+  { key: 'user', label: 'User' },
+  {
+    key: 'cpu',
+    label: 'CPU %',
+    align: 'right',
+    render: proc => (
+      <span className={proc.cpu > 80 ? 'text-red-600 dark:text-red-400' : proc.cpu > 50 ? 'text-yellow-600 dark:text-yellow-400' : ''}>
+        {proc.cpu.toFixed(1)}
+      </span>
+    )
+  },
+  { key: 'rssBytes', label: 'RSS', align: 'right', render: proc => formatBytes(proc.rssBytes) },
+  { key: 'threads', label: 'Threads', align: 'right' }
+]
+
+// Top processes table, polled from /api/processes. The server picks the top
+// processes by the table's sort column, so sorting re-queries it.
+function ProcessTable({ interval = 5000, limit = 20 }) {
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+  const [sort, setSort] = useState('cpu')
+  const [order, setOrder] = useState('desc')
+  const [filter, setFilter] = useState('')
+  const [query, setQuery] = useState('')
+
+  // Typing only re-queries once it pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(filter.trim()), FILTER_DELAY)
+    return () => clearTimeout(timer)
+  }, [filter])
+
+  useEffect(() => {
+    let cancelled = false
+
+    const fetchProcesses = async () => {
+      try {
+        const params = new URLSearchParams({ sort, order, limit, filter: query })
+        const response = await apiFetch(`/api/processes?${params}`)
+        const body = await response.json()
+
+        if (!response.ok) {
+          throw new Error(body.message || `HTTP ${response.status}: ${response.statusText}`)
+        }
+
+        if (!cancelled) {
+          setData(body)
+          setError(null)
+        }
+      } catch (err) {
+        console.error('[ProcessTable] Failed to fetch processes:', err)
+        if (!cancelled) setError(err.message)
+      }
+    }
+
+    fetchProcesses()
+    const intervalId = setInterval(fetchProcesses, interval)
+
+    return () => {
+      cancelled = true
+      clearInterval(intervalId)
+    }
+  }, [interval, limit, sort, order, query])
+
+  const handleSortChange = (key, nextOrder) => {
+    setSort(key)
+    setOrder(nextOrder)
+  }
+
+  return (
+    <div className="card mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="metric-label">Top Processes</h3>
+        <input
+          type="search"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter by name, command, user or PID"
+          className="border border-gray-300 rounded px-3 py-1 text-sm w-full sm:w-72"
+        />
+      </div>
+
+      {error && !data ? (
+        <p className="text-red-600 dark:text-red-400 text-sm">{error}</p>
+      ) : !data ? (
+        <p className="text-gray-500 text-sm">Loading processes...</p>
+      ) : (
+        <>
+          <SortableTable
+            columns={COLUMNS}
+            rows={data.processes}
+            rowKey={proc => proc.pid}
+            defaultSort={sort}
+            defaultOrder={order}
+            empty="No matching processes"
+            onSortChange={handleSortChange}
+          />
+
+          <div className="flex justify-between text-xs text-gray-500 mt-3">
+            <span>
+              Showing {data.processes.length} of {data.matched} matching ({data.accessible} visible)
+            </span>
+            {data.partial && (
+              <span className="text-yellow-600 dark:text-yellow-400">
+                Partial list: {data.total - data.accessible} processes not readable
+              </span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ProcessTable
@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react'
+import { CARDS, INTERVALS, THRESHOLDS, THEMES } from '../utils/settings'
+
+const SYNC_LABELS = {
+  off: 'Only this browser',
+  loading: 'Loading from the server...',
+  synced: 'Shared with every dashboard of this tablet',
+  error: 'Not synced'
+}
+
+function formatInterval(ms) {
+  return ms >= 60000 ? `${ms / 60000} min` : `${ms / 1000} s`
+}
+
+function Section({ title, children }) {
+  return (
+    <section className="mb-6">
+      <h3 className="metric-label mb-2">{title}</h3>
+      {children}
+    </section>
+  )
+}
+
+function Choice({ options, value, onChange }) {
+  return (
+    <div className="flex gap-2 text-sm">
+      {options.map(option => (
+        <button
+          key={option.value}
+          type="button"
+          onClick={() => onChange(option.value)}
+          className={`px-3 py-1 rounded ${value === option.value ? 'bg-primary-600 text-white' : 'bg-surface border border-gray-300'}`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+// Number input that only reports its value on blur or Enter, so a half-typed
+// threshold isn't reordered against the other one while typing
+function ThresholdInput({ value, onCommit }) {
+  const [draft, setDraft] = useState(String(value))
+  useEffect(() => setDraft(String(value)), [value])
+
+  // Show the stored value again; if the commit changes it, the effect follows
+  const commit = () => {
+    if (Number.isFinite(parseFloat(draft)) && parseFloat(draft) !== value) {
+      onCommit(draft)
+    }
+    setDraft(String(value))
+  }
+
+  return (
+    <input
+      type="number"
+      value={draft}
+      onChange={(event) => setDraft(event.target.value)}
+      onBlur={commit}
+      onKeyDown={(event) => { if (event.key === 'Enter') commit() }}
+      className="border border-gray-300 rounded px-2 py-0.5 w-16 text-right"
+    />
+  )
+}
+
+// Side panel for refresh interval, thresholds, cards, units and theme
+function SettingsDrawer({ settings, onChange, onReset, syncState, onClose }) {
+  const intervals = INTERVALS.includes(settings.interval)
+    ? INTERVALS
+    : [...INTERVALS, settings.interval].sort((a, b) => a - b)
+
+  const setThreshold = (id, level, value) => {
+    const number = parseFloat(value)
+    if (!Number.isFinite(number)) return
+    onChange({
+      thresholds: {
+        ...settings.thresholds,
+        [id]: { ...settings.thresholds[id], [level]: number }
+      }
+    })
+  }
+
+  const moveCard = (index, offset) => {
+    const cards = [...settings.cards]
+    const target = index + offset
+    if (target < 0 || target >= cards.length) return
+    ;[cards[index], cards[target]] = [cards[target], cards[index]]
+    onChange({ cards })
+  }
+
+  const toggleCard = (id) => {
+    onChange({
+      cards: settings.cards.map(card => (card.id === id ? { ...card, visible: !card.visible } : card))
+    })
+  }
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div className="absolute inset-0 bg-black bg-opacity-30" onClick={onClose}></div>
+      <aside className="relative w-full max-w-sm h-full overflow-y-auto bg-surface shadow-xl p-6" aria-label="Settings">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-lg font-semibold text-gray-900">⚙️ Settings</h2>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700 text-xl" aria-label="Close settings">
+            ×
+          </button>
+        </div>
+
+        <Section title="Theme">
+          <div className="space-y-2">
+            <Choice
+              options={THEMES}
+              value={settings.appearance.theme}
+              onChange={(theme) => onChange({ appearance: { ...settings.appearance, theme } })}
+            />
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={settings.appearance.highContrast}
+                onChange={() => onChange({ appearance: { ...settings.appearance, highContrast: !settings.appearance.highContrast } })}
+              />
+              High contrast
+            </label>
+          </div>
+        </Section>
+
+        <Section title="Refresh interval">
+          <select
+            value={settings.interval}
+            onChange={(event) => onChange({ interval: Number(event.target.value) })}
+            className="border border-gray-300 rounded px-3 py-1 text-sm w-full"
+          >
+            {intervals.map(interval => (
+              <option key={interval} value={interval}>Every {formatInterval(interval)}</option>
+            ))}
+          </select>
+        </Section>
+
+        <Section title="Thresholds">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-gray-500">
+                <th className="text-left font-normal"></th>
+                <th className="text-right font-normal">Warning</th>
+                <th className="text-right font-normal">Danger</th>
+              </tr>
+            </thead>
+            <tbody>
+              {THRESHOLDS.map(metric => (
+                <tr key={metric.id}>
+                  <td className="py-1 text-gray-700">
+                    {metric.label}
+                    <span className="text-xs text-gray-400"> ({metric.inverted ? 'below' : 'above'} {metric.unit})</span>
+                  </td>
+                  {['warning', 'danger'].map(level => (
+                    <td key={level} className="py-1 text-right">
+                      <ThresholdInput
+                        value={settings.thresholds[metric.id][level]}
+                        onCommit={(value) => setThreshold(metric.id, level, value)}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Section>
+
+        <Section title="Cards">
+          <ul className="text-sm divide-y divide-gray-100">
+            {settings.cards.map((card, index) => (
+              <li key={card.id} className="flex items-center justify-between py-1">
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={card.visible} onChange={() => toggleCard(card.id)} />
+                  {CARDS.find(entry => entry.id === card.id).label}
+                </label>
+                <span className="flex gap-1">
+                  <button
+                    type="button"
+                    onClick={() => moveCard(index, -1)}
+                    disabled={index === 0}
+                    className="px-2 text-gray-500 disabled:opacity-30"
+                    aria-label="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveCard(index, 1)}
+                    disabled={index === settings.cards.length - 1}
+                    className="px-2 text-gray-500 disabled:opacity-30"
+                    aria-label="Move down"
+                  >
+                    ↓
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </Section>
+
+        <Section title="Units">
+          <div className="space-y-2">
+            <Choice
+              options={[{ value: 'C', label: '°C' }, { value: 'F', label: '°F' }]}
+              value={settings.units.temperature}
+              onChange={(temperature) => onChange({ units: { ...settings.units, temperature } })}
+            />
+            <Choice
+              options={[{ value: 'binary', label: '1 KB = 1024 B' }, { value: 'decimal', label: '1 kB = 1000 B' }]}
+              value={settings.units.bytes}
+              onChange={(bytes) => onChange({ units: { ...settings.units, bytes } })}
+            />
+          </div>
+        </Section>
+
+        <Section title="Sync">
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={settings.sync} onChange={() => onChange({ sync: !settings.sync })} />
+            Use the same settings on every dashboard
+          </label>
+          <p className={`text-xs mt-1 ${syncState.status === 'error' ? 'text-red-600 dark:text-red-400' : 'text-gray-500'}`}>
+            {SYNC_LABELS[syncState.status]}{syncState.message ? `: ${syncState.message}` : ''}
+          </p>
+        </Section>
+
+        <button
+          type="button"
+          onClick={onReset}
+          className="w-full px-3 py-2 rounded border border-gray-300 text-sm text-gray-700 hover:bg-gray-50"
+        >
+          Reset to defaults
+        </button>
+      </aside>
+    </div>
+  )
+}
+
+export default SettingsDrawer
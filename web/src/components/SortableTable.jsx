@@ -0,0 +1,84 @@
+import React, { useState } from 'react'
+
+function compare(a, b) {
+  // Missing values sort last in either order (handled by the caller)
+  if (typeof a === 'number' && typeof b === 'number') return a - b
+  return String(a).localeCompare(String(b), undefined, { numeric: true })
+}
+
+const isMissing = (value) => value === null || value === undefined || value === ''
+
+// Table sorted by clicking a column header. Columns are
+// { key, label, align: 'left' | 'right', value(row), render(row) }; value
+// defaults to row[key] and is what sorting uses, render to the value.
+// onSortChange(key, order) is called when a header is clicked, for tables
+// whose rows come from a server query sorted the same way.
+function SortableTable({ columns, rows, rowKey, defaultSort = null, defaultOrder = 'asc', empty = 'Nothing to show', onSortChange }) {
+  const [sort, setSort] = useState(defaultSort)
+  const [order, setOrder] = useState(defaultOrder)
+
+  const valueOf = (column, row) => (column.value ? column.value(row) : row[column.key])
+
+  const handleSort = (column) => {
+    let nextOrder
+    if (column.key === sort) {
+      nextOrder = order === 'asc' ? 'desc' : 'asc'
+    } else {
+      nextOrder = column.align === 'right' ? 'desc' : 'asc' // Numbers read best largest first
+      setSort(column.key)
+    }
+    setOrder(nextOrder)
+    if (onSortChange) onSortChange(column.key, nextOrder)
+  }
+
+  const sortColumn = columns.find(column => column.key === sort)
+  const sorted = sortColumn
+    ? [...rows].sort((rowA, rowB) => {
+        const a = valueOf(sortColumn, rowA)
+        const b = valueOf(sortColumn, rowB)
+        if (isMissing(a) || isMissing(b)) return isMissing(a) - isMissing(b)
+        return order === 'asc' ? compare(a, b) : compare(b, a)
+      })
+    : rows
+
+  if (rows.length === 0) {
+    return <p className="text-gray-500 text-sm">{empty}</p>
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="border-b border-gray-200 text-xs text-gray-500 uppercase">
+            {columns.map(column => (
+              <th
+                key={column.key}
+                onClick={() => handleSort(column)}
+                className={`px-2 py-2 font-medium cursor-pointer select-none whitespace-nowrap ${column.align === 'right' ? 'text-right' : 'text-left'}`}
+              >
+                {column.label}
+                {sort === column.key && (order === 'asc' ? ' ▲' : ' ▼')}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map(row => (
+            <tr key={rowKey(row)} className="border-b border-gray-100 hover:bg-gray-50">
+              {columns.map(column => {
+                const value = column.render ? column.render(row) : valueOf(column, row)
+                return (
+                  <td key={column.key} className={`px-2 py-1 whitespace-nowrap ${column.align === 'right' ? 'text-right' : 'text-left'}`}>
+                    {isMissing(value) ? <span className="text-gray-400">—</span> : value}
+                  </td>
+                )
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default SortableTable
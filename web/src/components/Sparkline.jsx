@@ -0,0 +1,44 @@
+import React from 'react'
+
+const WIDTH = 100
+const HEIGHT = 24
+
+// Small inline line of recent values, scaled to their own min/max
+// (or to the given bounds, e.g. 0-100 for percentages)
+function Sparkline({ points, min, max, className = 'text-primary-500' }) {
+  if (!points || points.length < 2) {
+    return <div className="h-6 text-xs text-gray-400">Collecting data...</div>
+  }
+
+  const values = points.map(point => point.value)
+  const low = min !== undefined ? min : Math.min(...values)
+  const high = max !== undefined ? max : Math.max(...values)
+  const span = high - low || 1
+  const start = points[0].timestamp
+  const duration = points[points.length - 1].timestamp - start || 1
+
+  const coordinates = points.map(point => {
+    const x = ((point.timestamp - start) / duration) * WIDTH
+    const y = HEIGHT - ((point.value - low) / span) * HEIGHT
+    return `${x.toFixed(1)},${Math.min(HEIGHT, Math.max(0, y)).toFixed(1)}`
+  })
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      preserveAspectRatio="none"
+      className={`w-full h-6 ${className}`}
+      aria-hidden="true"
+    >
+      <polyline
+        points={coordinates.join(' ')}
+        fill="none"
+        stroke="currentColor"
+        strokeWidth="1.5"
+        vectorEffect="non-scaling-stroke"
+      />
+    </svg>
+  )
+}
+
+export default Sparkline
@@ -0,0 +1,224 @@
+import React, { useState, useMemo } from 'react'
+import { TREND_RANGES } from '../hooks/useTrends'
+import { TREND_CHARTS, chartSeries } from '../utils/series'
+
+const WIDTH = 600
+const HEIGHT = 180
+const PADDING = { top: 10, right: 10, bottom: 24, left: 64 }
+const MAX_POINTS = 240 // Per line; longer ranges are averaged down to this
+const COLORS = ['#2563eb', '#16a34a', '#dc2626', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d']
+
+// Average points into at most MAX_POINTS buckets across the range
+function reduce(points, duration) {
+  if (points.length <= MAX_POINTS) return points
+  const width = duration / MAX_POINTS
+  const buckets = new Map()
+  for (const point of points) {
+    const index = Math.floor(point.timestamp / width)
+    const bucket = buckets.get(index) || { timestamp: 0, value: 0, count: 0 }
+    bucket.timestamp += point.timestamp
+    bucket.value += point.value
+    bucket.count++
+    buckets.set(index, bucket)
+  }
+  return Array.from(buckets.values(), bucket => ({
+    timestamp: bucket.timestamp / bucket.count,
+    value: bucket.value / bucket.count
+  }))
+}
+
+// Split a line where samples are missing, e.g. while the server was down
+function segments(points, maxGap) {
+  const result = []
+  let current = []
+  for (const point of points) {
+    if (current.length > 0 && point.timestamp - current[current.length - 1].timestamp > maxGap) {
+      result.push(current)
+      current = []
+    }
+    current.push(point)
+  }
+  if (current.length > 0) result.push(current)
+  return result
+}
+
+function formatTime(timestamp, duration) {
+  const date = new Date(timestamp)
+  return duration > 6 * 60 * 60 * 1000
+    ? date.toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: duration <= 5 * 60 * 1000 ? '2-digit' : undefined })
+}
+
+// Time-series chart of one TREND_CHARTS entry, with a hover tooltip
+export function TrendChart({ chart, frames, from, to }) {
+  const [hover, setHover] = useState(null) // Timestamp under the pointer
+  const duration = to - from
+
+  const lines = useMemo(
+    () => chartSeries(chart, frames).map((line, index) => ({
+      ...line,
+      color: COLORS[index % COLORS.length],
+      points: reduce(line.points, duration)
+    })),
+    [chart, frames, duration]
+  )
+
+  const values = lines.flatMap(line => line.points.map(point => point.value))
+  let low = chart.min !== undefined ? chart.min : Math.floor(Math.min(...values))
+  let high = chart.max !== undefined ? chart.max : Math.max(...values)
+  if (!Number.isFinite(low)) low = 0
+  if (!Number.isFinite(high) || high <= low) high = low + 1
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const x = (timestamp) => PADDING.left + ((timestamp - from) / duration) * plotWidth
+  const y = (value) => PADDING.top + plotHeight - ((value - low) / (high - low)) * plotHeight
+
+  const handleMove = (event) => {
+    const box = event.currentTarget.getBoundingClientRect()
+    const ratio = ((event.clientX - box.left) / box.width * WIDTH - PADDING.left) / plotWidth
+    setHover(ratio >= 0 && ratio <= 1 ? from + ratio * duration : null)
+  }
+
+  // Nearest point of each line to the pointer
+  const tooltip = hover === null ? null : lines
+    .map(line => {
+      let nearest = null
+      for (const point of line.points) {
+        if (!nearest || Math.abs(point.timestamp - hover) < Math.abs(nearest.timestamp - hover)) {
+          nearest = point
+        }
+      }
+      return nearest && Math.abs(nearest.timestamp - hover) <= duration / 30 ? { ...line, point: nearest } : null
+    })
+    .filter(Boolean)
+
+  const hasData = lines.some(line => line.points.length > 0)
+  const maxGap = Math.max(duration / 20, 30 * 1000)
+
+  return (
+    <div id={`trend-${chart.id}`} className="card">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h3 className="metric-label">{chart.title}</h3>
+        <div className="flex flex-wrap gap-x-3 text-xs text-gray-500">
+          {lines.slice(0, COLORS.length).map(line => (
+            <span key={line.label} className="flex items-center">
+              <span className="inline-block w-3 h-0.5 mr-1" style={{ backgroundColor: line.color }}></span>
+              {line.label}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {!hasData ? (
+        <p className="text-gray-500 text-sm py-8 text-center">No data for this range yet</p>
+      ) : (
+        <div className="relative">
+          <svg
+            viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+            className="w-full h-auto"
+            onMouseMove={handleMove}
+            onMouseLeave={() => setHover(null)}
+          >
+            {[low, (low + high) / 2, high].map(value => (
+              <g key={value}>
+                <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} stroke="currentColor" className="text-gray-200" />
+                <text x={PADDING.left - 6} y={y(value) + 4} textAnchor="end" fontSize="11" className="fill-current text-gray-500">
+                  {chart.format(value)}
+                </text>
+              </g>
+            ))}
+            <text x={PADDING.left} y={HEIGHT - 6} fontSize="11" className="fill-current text-gray-500">{formatTime(from, duration)}</text>
+            <text x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end" fontSize="11" className="fill-current text-gray-500">
+              {formatTime(to, duration)}
+            </text>
+
+            {lines.map(line => segments(line.points, maxGap).map((segment, index) => (
+              <polyline
+                key={`${line.label}-${index}`}
+                points={segment.map(point => `${x(point.timestamp).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ')}
+                fill="none"
+                stroke={line.color}
+                strokeWidth="1.5"
+              />
+            )))}
+
+            {tooltip && tooltip.length > 0 && (
+              <g>
+                <line x1={x(hover)} x2={x(hover)} y1={PADDING.top} y2={PADDING.top + plotHeight} stroke="currentColor" strokeDasharray="3 3" className="text-gray-400" />
+                {tooltip.map(line => (
+                  <circle key={line.label} cx={x(line.point.timestamp)} cy={y(line.point.value)} r="3" fill={line.color} />
+                ))}
+              </g>
+            )}
+          </svg>
+
+          {tooltip && tooltip.length > 0 && (
+            <div
+              className="absolute top-0 pointer-events-none bg-surface border border-gray-200 rounded shadow-sm px-2 py-1 text-xs"
+              style={(x(hover) / WIDTH) < 0.6
+                ? { left: `${(x(hover) / WIDTH) * 100 + 2}%` }
+                : { right: `${100 - (x(hover) / WIDTH) * 100 + 2}%` }}
+            >
+              <div className="text-gray-500 mb-1">{new Date(tooltip[0].point.timestamp).toLocaleTimeString()}</div>
+              {tooltip.map(line => (
+                <div key={line.label} className="flex justify-between gap-3">
+                  <span style={{ color: line.color }}>{line.label}</span>
+                  <span className="font-medium">{chart.format(line.point.value)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Trends section: every chart with data (or those in chartIds), over the selected range
+function TrendCharts({ frames, from, range, onRangeChange, historyAvailable, chartIds = null }) {
+  const to = Date.now()
+  const charts = TREND_CHARTS.filter(chart =>
+    (!chartIds || chartIds.includes(chart.id)) &&
+    frames.some(frame => Object.values(chart.select(frame.values)).some(value => value !== undefined))
+  )
+
+  return (
+    <div className="mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Trends</h2>
+          <p className="text-xs text-gray-500">
+            {historyAvailable ? 'Server history and live samples' : 'Live samples since this page was opened'}
+          </p>
+        </div>
+        <div className="flex gap-2 text-sm">
+          {Object.entries(TREND_RANGES).map(([key, option]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => onRangeChange(key)}
+              className={`px-3 py-1 rounded ${range === key ? 'bg-primary-600 text-white' : 'bg-surface border border-gray-300'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {charts.length === 0 ? (
+        <div className="card">
+          <p className="text-gray-500 text-sm">Collecting data...</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {charts.map(chart => (
+            <TrendChart key={chart.id} chart={chart} frames={frames} from={from} to={to} />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TrendCharts
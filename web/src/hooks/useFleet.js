@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react'
+import { apiFetch } from '../utils/api'
+
+// Fleet overview hook: polls /api/fleet. `enabled` stays false when the
+// server isn't configured with fleet devices (it answers 503).
+export default function useFleet(interval = 10000) {
+  const [fleet, setFleet] = useState(null)
+  const [enabled, setEnabled] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    let intervalId = null
+
+    const fetchFleet = async () => {
+      try {
+        const response = await apiFetch('/api/fleet')
+        if (response.status === 503 || response.status === 404) {
+          // Not an aggregator, stop asking
+          clearInterval(intervalId)
+          return
+        }
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+        }
+
+        const body = await response.json()
+        if (!cancelled) {
+          setFleet(body)
+          setEnabled(true)
+          setError(null)
+        }
+      } catch (err) {
+        console.error('[useFleet] Failed to fetch fleet:', err)
+        if (!cancelled) setError(err.message)
+      }
+    }
+
+    fetchFleet()
+    intervalId = setInterval(fetchFleet, interval)
+
+    return () => {
+      cancelled = true
+      clearInterval(intervalId)
+    }
+  }, [interval])
+
+  return { fleet, enabled, error }
+}
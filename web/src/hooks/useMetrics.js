@@ -0,0 +1,179 @@
+import { useState, useEffect, useRef } from 'react'
+import { apiFetch, streamUrl } from '../utils/api'
+import { loadSnapshot, saveSnapshot } from '../utils/snapshotStore'
+
+// Reconnect backoff: 1s, 2s, 4s, ... up to a minute, with some jitter so
+// several dashboards don't all reconnect at the same moment
+const RETRY_BASE = 1000
+const RETRY_MAX = 60000
+
+function retryDelay(attempt) {
+  const delay = Math.min(RETRY_MAX, RETRY_BASE * 2 ** attempt)
+  return Math.round(delay * (0.8 + Math.random() * 0.4))
+}
+
+// Fetch a single snapshot from the REST endpoint (or a fleet device's copy)
+async function fetchSnapshot(deviceId) {
+  const response = await apiFetch(deviceId ? `/api/fleet/${encodeURIComponent(deviceId)}/metrics` : '/api/metrics')
+  console.log('[useMetrics] Response status:', response.status)
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+  }
+
+  return response.json()
+}
+
+// Live metrics hook: subscribes to the server's event stream and falls back
+// to polling /api/metrics when streaming isn't available. With a deviceId the
+// aggregator's copy of that fleet device is polled instead.
+//
+// Every snapshot is saved to IndexedDB. While the server can't be reached the
+// last one (from this session or a previous one) is returned with `stale` set,
+// and the connection is retried with exponential backoff; `retryAt` is when
+// the next attempt happens and `reconnect()` tries right away.
+export default function useMetrics(interval = 5000, deviceId = null) {
+  const [metrics, setMetrics] = useState(null)
+  const [saved, setSaved] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [retryAt, setRetryAt] = useState(null)
+  const [transport, setTransport] = useState(
+    typeof window !== 'undefined' && window.EventSource ? 'stream' : 'polling'
+  )
+  const reconnectRef = useRef(() => {})
+
+  // Don't show one device's numbers under another's name
+  useEffect(() => {
+    let cancelled = false
+    setMetrics(null)
+    setSaved(null)
+    setError(null)
+    setLoading(true)
+    loadSnapshot(deviceId).then(snapshot => {
+      if (!cancelled) setSaved(snapshot)
+    })
+    return () => { cancelled = true }
+  }, [deviceId])
+
+  useEffect(() => {
+    let stopped = false
+    let timer = null
+    let waiting = false // Waiting to retry after a failure
+    let attempt = 0
+    let source = null
+    let connect
+
+    const handleMetrics = (data) => {
+      console.log('[useMetrics] Data received:', {
+        timestamp: data.timestamp,
+        cpu: data.cpu?.usage,
+        memory: data.memory?.usage
+      })
+
+      attempt = 0
+      setMetrics(data)
+      setError(null)
+      setLoading(false)
+      setRetryAt(null)
+      saveSnapshot(data, deviceId)
+    }
+
+    const handleError = (err) => {
+      console.error('[useMetrics] Failed to fetch metrics:', err)
+      setError(err.message)
+      setLoading(false)
+    }
+
+    const scheduleRetry = () => {
+      const delay = retryDelay(attempt++)
+      console.log(`[useMetrics] Reconnecting in ${delay}ms (attempt ${attempt})`)
+      waiting = true
+      setRetryAt(Date.now() + delay)
+      timer = setTimeout(() => {
+        waiting = false
+        connect()
+      }, delay)
+    }
+
+    if (transport === 'polling' || deviceId) {
+      connect = async () => {
+        try {
+          console.log('[useMetrics] Fetching metrics...')
+          const data = await fetchSnapshot(deviceId)
+          if (stopped) return
+          handleMetrics(data)
+          timer = setTimeout(connect, interval)
+        } catch (err) {
+          if (stopped) return
+          handleError(err)
+          scheduleRetry()
+        }
+      }
+    } else {
+      // Reopened streams pass the last event id so the server replays what was missed
+      let cursor = null
+
+      connect = () => {
+        console.log('[useMetrics] Opening metrics stream...')
+        const stream = new EventSource(streamUrl(`/api/stream?interval=${interval}${cursor ? `&cursor=${cursor}` : ''}`))
+        source = stream
+
+        stream.addEventListener('metrics', (event) => {
+          cursor = event.lastEventId || cursor
+          try {
+            handleMetrics(JSON.parse(event.data))
+          } catch (err) {
+            handleError(err)
+          }
+        })
+
+        stream.onerror = () => {
+          if (stream.readyState === EventSource.CLOSED) {
+            // The server refused the stream (old server, proxy, auth): poll instead
+            console.warn('[useMetrics] Stream unavailable, falling back to polling')
+            setTransport('polling')
+            return
+          }
+          // Retry on our backoff rather than the browser's fixed interval
+          stream.close()
+          handleError(new Error('Connection lost, reconnecting...'))
+          scheduleRetry()
+        }
+      }
+    }
+
+    // Skip the rest of the wait when the device is back online, or on request
+    const reconnectNow = () => {
+      if (!waiting || stopped) return
+      clearTimeout(timer)
+      waiting = false
+      attempt = 0
+      connect()
+    }
+    reconnectRef.current = reconnectNow
+    window.addEventListener('online', reconnectNow)
+
+    connect()
+
+    return () => {
+      stopped = true
+      clearTimeout(timer)
+      if (source) source.close()
+      window.removeEventListener('online', reconnectNow)
+    }
+  }, [interval, transport, deviceId])
+
+  // Offline: keep showing the newest data there is, flagged as stale
+  const shown = metrics || (error ? saved : null)
+
+  return {
+    metrics: shown,
+    loading,
+    error,
+    transport: deviceId ? 'fleet' : transport,
+    stale: Boolean(error && shown),
+    retryAt: error ? retryAt : null,
+    reconnect: () => reconnectRef.current()
+  }
+}
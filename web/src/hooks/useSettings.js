@@ -0,0 +1,113 @@
+import { useState, useEffect, useLayoutEffect, useRef } from 'react'
+import { apiFetch } from '../utils/api'
+import { setUnits } from '../utils/format'
+import { applyTheme, onSystemThemeChange } from '../utils/theme'
+import { loadSettings, saveSettings, normalizeSettings, DEFAULT_SETTINGS } from '../utils/settings'
+
+const PUSH_DELAY = 1000 // Wait for typing to settle before saving to the server
+
+async function readError(response) {
+  const body = await response.json().catch(() => ({}))
+  return new Error(body.message || `HTTP ${response.status}: ${response.statusText}`)
+}
+
+// Whether this browser syncs, and how it looks (a wall-mounted tablet in a
+// dim room wants dark, a phone may not), are its own choice: neither goes
+// to the server
+function shared(settings) {
+  const { sync, appearance, ...rest } = settings
+  return rest
+}
+
+// Settings hook: local storage first, plus the server's copy when sync is on.
+// Turning sync on adopts the server's settings, or uploads these when the
+// server has none yet.
+export default function useSettings() {
+  const [settings, setSettings] = useState(loadSettings)
+  const [syncState, setSyncState] = useState({ status: 'off', message: null })
+  const pushTimer = useRef(null)
+
+  // Formatters read units at call time. Applying them in a layout effect and
+  // rendering again means the new units are on screen before the next paint
+  const { temperature, bytes } = settings.units
+  const [, setAppliedUnits] = useState(null)
+  useLayoutEffect(() => {
+    setUnits({ temperature, bytes })
+    setAppliedUnits({ temperature, bytes })
+  }, [temperature, bytes])
+
+  const push = (next) => {
+    clearTimeout(pushTimer.current)
+    pushTimer.current = setTimeout(async () => {
+      try {
+        const response = await apiFetch('/api/settings', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(shared(next))
+        })
+        if (!response.ok) throw await readError(response)
+        setSyncState({ status: 'synced', message: null })
+      } catch (err) {
+        console.warn('[useSettings] Could not save settings on the server:', err)
+        setSyncState({ status: 'error', message: err.message })
+      }
+    }, PUSH_DELAY)
+  }
+
+  useEffect(() => () => clearTimeout(pushTimer.current), [])
+
+  // "System" follows the OS setting as it changes, e.g. at sunset
+  const { theme, highContrast } = settings.appearance
+  useEffect(() => {
+    applyTheme({ theme, highContrast })
+    if (theme !== 'system') return
+    return onSystemThemeChange(() => applyTheme({ theme, highContrast }))
+  }, [theme, highContrast])
+
+  useEffect(() => {
+    if (!settings.sync) {
+      setSyncState({ status: 'off', message: null })
+      return
+    }
+
+    let cancelled = false
+    setSyncState({ status: 'loading', message: null })
+
+    const pull = async () => {
+      try {
+        const response = await apiFetch('/api/settings')
+        if (!response.ok) throw await readError(response)
+
+        const data = await response.json()
+        if (cancelled) return
+        if (data.settings) {
+          const next = normalizeSettings({ ...data.settings, appearance: settings.appearance, sync: true })
+          setSettings(next)
+          saveSettings(next)
+          setSyncState({ status: 'synced', message: null })
+        } else {
+          push(settings)
+        }
+      } catch (err) {
+        console.warn('[useSettings] Could not load settings from the server:', err)
+        if (!cancelled) setSyncState({ status: 'error', message: err.message })
+      }
+    }
+
+    pull()
+    return () => { cancelled = true }
+  }, [settings.sync])
+
+  const updateSettings = (changes) => {
+    const next = normalizeSettings({ ...settings, ...changes })
+    setSettings(next)
+    saveSettings(next)
+    if (next.sync && settings.sync) {
+      push(next)
+    }
+  }
+
+  const resetSettings = () => updateSettings({ ...DEFAULT_SETTINGS, sync: settings.sync })
+
+  return { settings, updateSettings, resetSettings, syncState }
+}
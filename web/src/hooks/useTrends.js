@@ -0,0 +1,114 @@
+import { useState, useEffect, useMemo } from 'react'
+import { apiFetch } from '../utils/api'
+import { TREND_CHARTS, extractTrendValues } from '../utils/series'
+
+export const TREND_RANGES = {
+  '5m': { label: '5m', duration: 5 * 60 * 1000, step: '10s' },
+  '1h': { label: '1h', duration: 60 * 60 * 1000, step: '15s' },
+  '24h': { label: '24h', duration: 24 * 60 * 60 * 1000, step: '5m' }
+}
+
+const BUFFER_DURATION = 24 * 60 * 60 * 1000 // Longest range
+const HISTORY_REFRESH = 60 * 1000
+const HISTORY_METRICS = Array.from(new Set(TREND_CHARTS.flatMap(chart => chart.metrics)))
+
+// Regroup /api/history's per-series points into samples
+function historyFrames(series) {
+  const frames = new Map()
+  for (const [key, points] of Object.entries(series || {})) {
+    for (const point of points) {
+      if (!frames.has(point.timestamp)) frames.set(point.timestamp, {})
+      frames.get(point.timestamp)[key] = point.value
+    }
+  }
+  return Array.from(frames, ([timestamp, values]) => ({ timestamp, values }))
+    .sort((a, b) => a.timestamp - b.timestamp)
+}
+
+// Trend data for the charts: a rolling buffer of the snapshots seen since the
+// page opened, extended into the past with the server's history when it is
+// recorded. Fleet devices only have the buffer (history is per server).
+export default function useTrends(metrics, { range = '5m', deviceId = null } = {}) {
+  const [buffer, setBuffer] = useState([])
+  const [history, setHistory] = useState([])
+  const [historyAvailable, setHistoryAvailable] = useState(false)
+
+  // Don't draw one device's past under another's name
+  useEffect(() => {
+    setBuffer([])
+    setHistory([])
+  }, [deviceId])
+
+  useEffect(() => {
+    if (!metrics) return
+    const timestamp = Date.parse(metrics.timestamp) || Date.now()
+    const values = extractTrendValues(metrics)
+
+    setBuffer(current => {
+      if (current.length > 0 && current[current.length - 1].timestamp >= timestamp) {
+        return current
+      }
+      const cutoff = timestamp - BUFFER_DURATION
+      const start = current.findIndex(frame => frame.timestamp >= cutoff)
+      return [...(start > 0 ? current.slice(start) : current), { timestamp, values }]
+    })
+  }, [metrics])
+
+  useEffect(() => {
+    if (deviceId) {
+      setHistoryAvailable(false)
+      return
+    }
+
+    let cancelled = false
+    const { duration, step } = TREND_RANGES[range]
+
+    const fetchHistory = async () => {
+      try {
+        const params = new URLSearchParams({
+          metrics: HISTORY_METRICS.join(','),
+          from: String(Date.now() - duration),
+          step
+        })
+        const response = await apiFetch(`/api/history?${params}`)
+
+        // 503 when history is disabled, 403 when the token lacks history:read
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+        }
+
+        const data = await response.json()
+        if (!cancelled) {
+          setHistory(historyFrames(data.series))
+          setHistoryAvailable(true)
+        }
+      } catch (err) {
+        console.warn('[useTrends] History unavailable, using live samples only:', err.message)
+        if (!cancelled) {
+          setHistory([])
+          setHistoryAvailable(false)
+        }
+      }
+    }
+
+    fetchHistory()
+    const intervalId = setInterval(fetchHistory, HISTORY_REFRESH)
+
+    return () => {
+      cancelled = true
+      clearInterval(intervalId)
+    }
+  }, [range, deviceId])
+
+  // History up to the first live sample, then the buffer
+  const frames = useMemo(() => {
+    const from = Date.now() - TREND_RANGES[range].duration
+    const bufferStart = buffer.length > 0 ? buffer[0].timestamp : Infinity
+    return [
+      ...history.filter(frame => frame.timestamp >= from && frame.timestamp < bufferStart),
+      ...buffer.filter(frame => frame.timestamp >= from)
+    ]
+  }, [buffer, history, range])
+
+  return { frames, from: Date.now() - TREND_RANGES[range].duration, historyAvailable }
+}
@@ -1,8 +1,23 @@
 import React from 'react'
 import ReactDOM from 'react-dom'
 import App from './App.jsx'
+import { loadSettings } from './utils/settings'
+import { applyTheme } from './utils/theme'
 import './index.css'
 
+// Before the first render, so the login screen is themed too
+applyTheme(loadSettings().appearance)
+
+// Offline app shell (public/sw.js); the dev server serves modules the worker
+// doesn't know about, so only production builds use it
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => {
+      console.warn('[main] Service worker registration failed:', err)
+    })
+  })
+}
+
 ReactDOM.render(
   <React.StrictMode>
     <App />
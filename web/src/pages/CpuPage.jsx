@@ -0,0 +1,71 @@
+import React from 'react'
+import DetailCard, { KeyValueList, Unavailable } from '../components/DetailCard'
+import SortableTable from '../components/SortableTable'
+import TrendCharts from '../components/TrendChart'
+
+const formatMhz = (mhz) => (mhz ? `${mhz} MHz` : null)
+const formatPercent = (value) => (value === null || value === undefined ? null : `${value}%`)
+
+const CORE_COLUMNS = [
+  { key: 'core', label: 'Core', render: core => `CPU ${core.core}` },
+  { key: 'cluster', label: 'Cluster' },
+  { key: 'online', label: 'State', value: core => (core.online ? 'online' : 'offline') },
+  { key: 'usage', label: 'Usage', align: 'right', render: core => (core.online ? formatPercent(core.usage) : null) },
+  { key: 'user', label: 'User', align: 'right', value: core => core.breakdown?.user, render: core => formatPercent(core.breakdown?.user) },
+  { key: 'system', label: 'System', align: 'right', value: core => core.breakdown?.system, render: core => formatPercent(core.breakdown?.system) },
+  { key: 'iowait', label: 'IO wait', align: 'right', value: core => core.breakdown?.iowait, render: core => formatPercent(core.breakdown?.iowait) },
+  { key: 'frequency', label: 'Frequency', align: 'right', value: core => core.frequency?.current, render: core => formatMhz(core.frequency?.current) },
+  { key: 'min', label: 'Min', align: 'right', value: core => core.frequency?.min, render: core => formatMhz(core.frequency?.min) },
+  { key: 'max', label: 'Max', align: 'right', value: core => core.frequency?.max, render: core => formatMhz(core.frequency?.max) },
+  { key: 'governor', label: 'Governor' }
+]
+
+const CLUSTER_COLUMNS = [
+  { key: 'id', label: 'Cluster' },
+  { key: 'cores', label: 'Cores', value: cluster => cluster.cores.length, render: cluster => cluster.cores.join(', ') },
+  { key: 'minFrequency', label: 'Min', align: 'right', render: cluster => formatMhz(cluster.minFrequency) },
+  { key: 'maxFrequency', label: 'Max', align: 'right', render: cluster => formatMhz(cluster.maxFrequency) },
+  { key: 'governor', label: 'Governor' }
+]
+
+// /cpu: every core, cluster and the usage breakdown
+function CpuPage({ metrics, trends }) {
+  const cpu = metrics?.cpu
+  if (!cpu || cpu.error) {
+    return <Unavailable title="CPU" message={cpu?.message} />
+  }
+
+  const breakdown = cpu.breakdown || {}
+  const loadavg = cpu.loadavg || []
+
+  return (
+    <div className="space-y-6">
+      <DetailCard title="CPU">
+        <KeyValueList
+          items={[
+            ['Usage', formatPercent(cpu.usage)],
+            ['Model', cpu.model],
+            ['Cores', cpu.onlineCores !== undefined ? `${cpu.onlineCores} / ${cpu.cores} online` : cpu.cores],
+            ['Nominal speed', formatMhz(cpu.speed)],
+            ['Load average', loadavg.length > 0 ? loadavg.map(load => load.toFixed(2)).join(' · ') : null],
+            ...Object.entries(breakdown).map(([mode, value]) => [`${mode[0].toUpperCase()}${mode.slice(1)}`, formatPercent(value)])
+          ]}
+        />
+      </DetailCard>
+
+      <DetailCard title={`Cores (${(cpu.coreUsage || []).length})`}>
+        <SortableTable columns={CORE_COLUMNS} rows={cpu.coreUsage || []} rowKey={core => core.core} defaultSort="core" />
+      </DetailCard>
+
+      {cpu.clusters && cpu.clusters.length > 1 && (
+        <DetailCard title="Clusters">
+          <SortableTable columns={CLUSTER_COLUMNS} rows={cpu.clusters} rowKey={cluster => cluster.id} defaultSort="id" />
+        </DetailCard>
+      )}
+
+      <TrendCharts {...trends} chartIds={['cpu', 'cpu-cores']} />
+    </div>
+  )
+}
+
+export default CpuPage
@@ -0,0 +1,71 @@
+import React from 'react'
+import DetailCard, { KeyValueList, Unavailable } from '../components/DetailCard'
+import SortableTable from '../components/SortableTable'
+import TrendCharts from '../components/TrendChart'
+import { formatBytes } from '../utils/format'
+
+const bytes = (value) => (value === null || value === undefined ? null : formatBytes(value))
+
+const ZRAM_COLUMNS = [
+  { key: 'device', label: 'Device' },
+  { key: 'diskSize', label: 'Size', align: 'right', render: device => bytes(device.diskSize) },
+  { key: 'origDataSize', label: 'Stored', align: 'right', render: device => bytes(device.origDataSize) },
+  { key: 'comprDataSize', label: 'Compressed', align: 'right', render: device => bytes(device.comprDataSize) },
+  { key: 'memUsedTotal', label: 'Memory used', align: 'right', render: device => bytes(device.memUsedTotal) },
+  { key: 'compressionRatio', label: 'Ratio', align: 'right', render: device => (device.compressionRatio ? `${device.compressionRatio}×` : null) }
+]
+
+// /memory: every meminfo figure, swap and zram devices
+function MemoryPage({ metrics, trends }) {
+  const memory = metrics?.memory
+  if (!memory || memory.error) {
+    return <Unavailable title="Memory" message={memory?.message} />
+  }
+
+  const swap = memory.swap
+
+  return (
+    <div className="space-y-6">
+      <DetailCard title="Memory">
+        <KeyValueList
+          items={[
+            ['Usage', `${memory.usage}%`],
+            ['Total', bytes(memory.total)],
+            ['Used', bytes(memory.used)],
+            ['Free', bytes(memory.free)],
+            ['Available', bytes(memory.available)],
+            ['Cached', bytes(memory.cached)],
+            ['Buffers', bytes(memory.buffers)],
+            ['Shared', bytes(memory.shmem)],
+            ['Dirty', bytes(memory.dirty)],
+            ['Slab', bytes(memory.slab)],
+            ['Source', memory.source]
+          ]}
+        />
+      </DetailCard>
+
+      {swap && swap.total > 0 && (
+        <DetailCard title="Swap">
+          <KeyValueList
+            items={[
+              ['Usage', `${swap.usage}%`],
+              ['Total', bytes(swap.total)],
+              ['Used', bytes(swap.used)],
+              ['Free', bytes(swap.free)]
+            ]}
+          />
+        </DetailCard>
+      )}
+
+      {memory.zram && memory.zram.length > 0 && (
+        <DetailCard title="zram">
+          <SortableTable columns={ZRAM_COLUMNS} rows={memory.zram} rowKey={device => device.device} defaultSort="device" />
+        </DetailCard>
+      )}
+
+      <TrendCharts {...trends} chartIds={['memory']} />
+    </div>
+  )
+}
+
+export default MemoryPage
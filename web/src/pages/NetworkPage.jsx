@@ -0,0 +1,125 @@
+import React from 'react'
+import DetailCard, { KeyValueList, Unavailable } from '../components/DetailCard'
+import SortableTable from '../components/SortableTable'
+import ConnectionsTable from '../components/ConnectionsTable'
+import TrendCharts from '../components/TrendChart'
+import { formatBytes } from '../utils/format'
+
+const rate = (value) => `${formatBytes(value)}/s`
+const addressesOf = (stats, family) =>
+  (stats.addresses || []).filter(address => address.family === family).map(address => address.address).join(', ')
+
+const INTERFACE_COLUMNS = [
+  { key: 'name', label: 'Interface' },
+  { key: 'state', label: 'State' },
+  { key: 'type', label: 'Type', value: stats => (stats.wireless ? 'Wi-Fi' : stats.name.startsWith('lo') ? 'Loopback' : 'Wired') },
+  { key: 'ipv4', label: 'IPv4', value: stats => addressesOf(stats, 'IPv4') },
+  { key: 'ipv6', label: 'IPv6', value: stats => addressesOf(stats, 'IPv6') },
+  { key: 'rxRate', label: 'Download', align: 'right', value: stats => stats.rx.bytesPerSec, render: stats => rate(stats.rx.bytesPerSec) },
+  { key: 'txRate', label: 'Upload', align: 'right', value: stats => stats.tx.bytesPerSec, render: stats => rate(stats.tx.bytesPerSec) },
+  { key: 'packets', label: 'Packets/s', align: 'right', value: stats => (stats.rx.packetsPerSec || 0) + (stats.tx.packetsPerSec || 0) },
+  {
+    key: 'errors',
+    label: 'Errors/s',
+    align: 'right',
+    value: stats => (stats.rx.errorsPerSec || 0) + (stats.tx.errorsPerSec || 0),
+    render: stats => {
+      const errors = (stats.rx.errorsPerSec || 0) + (stats.tx.errorsPerSec || 0)
+      return errors > 0 ? <span className="status-danger">{errors.toFixed(1)}</span> : '0'
+    }
+  },
+  { key: 'rxBytes', label: 'Received', align: 'right', value: stats => stats.rx.bytes, render: stats => formatBytes(stats.rx.bytes) },
+  { key: 'txBytes', label: 'Sent', align: 'right', value: stats => stats.tx.bytes, render: stats => formatBytes(stats.tx.bytes) },
+  { key: 'speedMbps', label: 'Link', align: 'right', render: stats => (stats.speedMbps ? `${stats.speedMbps} Mbps` : null) },
+  { key: 'mtu', label: 'MTU', align: 'right' },
+  { key: 'mac', label: 'MAC' }
+]
+
+const SCAN_COLUMNS = [
+  { key: 'ssid', label: 'SSID', value: network => network.ssid || network.bssid },
+  { key: 'bssid', label: 'BSSID' },
+  { key: 'rssi', label: 'Signal', align: 'right', render: network => `${network.rssi} dBm` },
+  { key: 'signalLevel', label: 'Level', align: 'right', render: network => `${network.signalLevel}/4` },
+  { key: 'band', label: 'Band' },
+  { key: 'frequencyMhz', label: 'Frequency', align: 'right', render: network => `${network.frequencyMhz} MHz` },
+  { key: 'channelWidthMhz', label: 'Width', align: 'right', render: network => (network.channelWidthMhz ? `${network.channelWidthMhz} MHz` : null) }
+]
+
+// /network: every interface, Wi-Fi and cellular details and open sockets
+function NetworkPage({ metrics, trends, local, interval }) {
+  const network = metrics?.network
+  const android = metrics?.android
+  const wifi = android?.wifi
+  const cellular = android?.cellular
+
+  const interfaces = network && !network.error
+    ? Object.entries(network)
+        .filter(([, stats]) => stats.rx && stats.tx)
+        .map(([name, stats]) => ({ name, ...stats }))
+    : []
+
+  return (
+    <div className="space-y-6">
+      {!network || network.error ? (
+        <Unavailable title="Interfaces" message={network?.message} />
+      ) : (
+        <DetailCard title={`Interfaces (${interfaces.length})`}>
+          <SortableTable columns={INTERFACE_COLUMNS} rows={interfaces} rowKey={stats => stats.name} defaultSort="name" />
+        </DetailCard>
+      )}
+
+      {wifi && (
+        <DetailCard title="Wi-Fi">
+          {wifi.error ? (
+            <p className="text-gray-500 text-sm">{wifi.message}</p>
+          ) : (
+            <KeyValueList
+              items={[
+                ['State', wifi.connected ? 'Connected' : wifi.state || 'Disconnected'],
+                ['SSID', wifi.connected ? wifi.ssid || 'Hidden SSID' : null],
+                ['BSSID', wifi.bssid],
+                ['Signal', wifi.rssi !== null ? `${wifi.rssi} dBm (${wifi.signalLevel}/4)` : null],
+                ['Link speed', wifi.linkSpeedMbps ? `${wifi.linkSpeedMbps} Mbps` : null],
+                ['Band', wifi.band],
+                ['Frequency', wifi.frequencyMhz ? `${wifi.frequencyMhz} MHz` : null],
+                ['IP address', wifi.ip]
+              ]}
+            />
+          )}
+          {wifi.scan && !wifi.scan.error && (
+            <div className="mt-4">
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Nearby networks ({wifi.scan.count})</h4>
+              <SortableTable columns={SCAN_COLUMNS} rows={wifi.scan.networks} rowKey={network => network.bssid} defaultSort="rssi" defaultOrder="desc" />
+            </div>
+          )}
+        </DetailCard>
+      )}
+
+      {cellular && (
+        <DetailCard title="Cellular">
+          {cellular.error ? (
+            <p className="text-gray-500 text-sm">{cellular.message}</p>
+          ) : (
+            <KeyValueList
+              items={[
+                ['Operator', cellular.operator],
+                ['Network type', cellular.networkType ? cellular.networkType.toUpperCase() : null],
+                ['SIM', cellular.simState],
+                ['Data', cellular.dataState],
+                ['Roaming', cellular.available ? (cellular.roaming ? 'Yes' : 'No') : null],
+                ['Signal', cellular.dbm !== null && cellular.dbm !== undefined ? `${cellular.dbm} dBm (${cellular.signalLevel}/4)` : null]
+              ]}
+            />
+          )}
+        </DetailCard>
+      )}
+
+      <TrendCharts {...trends} chartIds={['network']} />
+
+      {/* Sockets are only listed for this device, not for fleet devices */}
+      {local && <ConnectionsTable interval={interval} />}
+    </div>
+  )
+}
+
+export default NetworkPage
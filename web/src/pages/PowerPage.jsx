@@ -0,0 +1,189 @@
+import React from 'react'
+import DetailCard, { KeyValueList, Unavailable } from '../components/DetailCard'
+import SortableTable from '../components/SortableTable'
+import TrendCharts from '../components/TrendChart'
+import { formatMinutes, formatTemperature, formatTemperatureDelta } from '../utils/format'
+import { statusLevel } from '../utils/settings'
+
+const SESSION_COLUMNS = [
+  { key: 'type', label: 'Session' },
+  { key: 'start', label: 'Started', value: session => Date.parse(session.start), render: session => new Date(session.start).toLocaleString() },
+  { key: 'end', label: 'Ended', value: session => Date.parse(session.end), render: session => new Date(session.end).toLocaleString() },
+  { key: 'startLevel', label: 'From', align: 'right', render: session => `${session.startLevel}%` },
+  { key: 'endLevel', label: 'To', align: 'right', render: session => `${session.endLevel}%` },
+  { key: 'chargeMah', label: 'Charge', align: 'right', render: session => `${session.chargeMah} mAh` },
+  { key: 'energyMwh', label: 'Energy', align: 'right', render: session => `${session.energyMwh} mWh` },
+  { key: 'measured', label: 'Source', value: session => (session.measured ? 'Measured' : 'Estimated') }
+]
+
+function zoneColumns(thresholds) {
+  return [
+    { key: 'type', label: 'Sensor' },
+    { key: 'zone', label: 'Zone' },
+    {
+      key: 'temperature',
+      label: 'Temperature',
+      align: 'right',
+      value: zone => parseFloat(zone.temperatureCelsius),
+      render: zone => (
+        <span className={`status-${statusLevel(parseFloat(zone.temperatureCelsius), thresholds.thermal)}`}>
+          {formatTemperature(parseFloat(zone.temperatureCelsius))}
+        </span>
+      )
+    },
+    {
+      key: 'nextTrip',
+      label: 'Next trip',
+      value: zone => zone.nextTrip?.temperatureCelsius,
+      render: zone => (zone.nextTrip ? `${zone.nextTrip.type} at ${formatTemperature(zone.nextTrip.temperatureCelsius)}` : null)
+    },
+    {
+      key: 'headroom',
+      label: 'Headroom',
+      align: 'right',
+      value: zone => zone.nextTrip?.headroomCelsius,
+      render: zone => {
+        if (zone.nextTrip) return formatTemperatureDelta(zone.nextTrip.headroomCelsius)
+        return zone.tripsExceeded > 0 ? <span className="status-danger">Past {zone.tripsExceeded}</span> : null
+      }
+    },
+    {
+      key: 'trips',
+      label: 'Trip points',
+      value: zone => (zone.trips || []).length,
+      render: zone => (zone.trips || []).map(trip => `${trip.type} ${formatTemperature(trip.temperatureCelsius, 0)}`).join(', ')
+    }
+  ]
+}
+
+const POLICY_COLUMNS = [
+  { key: 'policy', label: 'Policy' },
+  { key: 'cpus', label: 'CPUs' },
+  { key: 'maxMhz', label: 'Max now', align: 'right', render: policy => `${policy.maxMhz} MHz` },
+  { key: 'hardwareMaxMhz', label: 'Hardware max', align: 'right', render: policy => `${policy.hardwareMaxMhz} MHz` },
+  {
+    key: 'cappedPercent',
+    label: 'Capped',
+    align: 'right',
+    render: policy => (policy.capped ? <span className="status-danger">−{policy.cappedPercent}%</span> : 'No')
+  }
+]
+
+const COOLING_COLUMNS = [
+  { key: 'device', label: 'Device' },
+  { key: 'type', label: 'Type' },
+  {
+    key: 'state',
+    label: 'State',
+    align: 'right',
+    render: device => (
+      <span className={device.active ? 'status-warning' : ''}>
+        {device.state}{device.maxState !== null ? ` / ${device.maxState}` : ''}
+      </span>
+    )
+  }
+]
+
+// /power: battery, its analytics, every thermal zone and CPU throttling
+function PowerPage({ metrics, thresholds, trends }) {
+  const android = metrics?.android
+  if (!android || !android.available) {
+    return <Unavailable title="Power" message={android?.reason || 'Battery and thermal data need Android (Termux)'} />
+  }
+
+  const battery = android.battery || {}
+  const analytics = android.batteryAnalytics
+  const thermal = android.thermal || {}
+  const zones = Object.entries(thermal.zones || {})
+    .map(([type, zone]) => ({ type, ...zone }))
+  const throttling = thermal.throttling
+  const coolingDevices = thermal.coolingDevices || []
+
+  return (
+    <div className="space-y-6">
+      <DetailCard title="Battery">
+        {battery.error ? (
+          <p className="text-gray-500 text-sm">{battery.message || battery.error}</p>
+        ) : (
+          <KeyValueList
+            items={[
+              ['Level', battery.level !== undefined ? `${battery.level}%` : null],
+              ['Status', battery.status],
+              ['Health', battery.health],
+              ['Plugged', battery.plugged],
+              ['Temperature', battery.temperatureCelsius ? formatTemperature(parseFloat(battery.temperatureCelsius)) : null],
+              ['Voltage', battery.voltageVolts ? `${battery.voltageVolts} V` : null],
+              ['Current', battery.current ? `${Math.round(battery.current / 1000)} mA` : null]
+            ]}
+          />
+        )}
+      </DetailCard>
+
+      {analytics && analytics.available && (
+        <DetailCard title="Battery analytics">
+          <KeyValueList
+            items={[
+              ['Rate', analytics.rate.percentPerHour !== null ? `${analytics.rate.percentPerHour.toFixed(1)} %/h` : `Measuring (${analytics.rate.windowMinutes} min of data)`],
+              ['Power', analytics.rate.powerMw !== null ? `${Math.round(analytics.rate.powerMw)} mW` : null],
+              ['Current', analytics.rate.currentMa !== null ? `${analytics.rate.currentMa} mA` : null],
+              ['Time to empty', analytics.estimate.timeToEmptyMinutes !== null ? formatMinutes(analytics.estimate.timeToEmptyMinutes) : null],
+              ['Time to full', analytics.estimate.timeToFullMinutes !== null ? formatMinutes(analytics.estimate.timeToFullMinutes) : null],
+              ['Charge cycles', `${analytics.cycles.count} (${analytics.cycles.source})`],
+              ['Design capacity', analytics.capacity.designMah ? `${analytics.capacity.designMah} mAh` : null],
+              ['Full capacity', analytics.capacity.fullMah ? `${analytics.capacity.fullMah} mAh` : null],
+              ['Wear', analytics.capacity.wearPercent !== null ? `${analytics.capacity.wearPercent}%` : null],
+              ['Current session', analytics.session ? `${analytics.session.type} since ${new Date(analytics.session.start).toLocaleString()} (from ${analytics.session.startLevel}%)` : null]
+            ]}
+          />
+          {analytics.recentSessions && analytics.recentSessions.length > 0 && (
+            <div className="mt-4">
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Recent sessions</h4>
+              <SortableTable
+                columns={SESSION_COLUMNS}
+                rows={analytics.recentSessions}
+                rowKey={session => session.start}
+                defaultSort="start"
+                defaultOrder="desc"
+              />
+            </div>
+          )}
+        </DetailCard>
+      )}
+
+      <DetailCard title={`Thermal zones (${zones.length})`}>
+        <SortableTable
+          columns={zoneColumns(thresholds)}
+          rows={zones}
+          rowKey={zone => zone.type}
+          defaultSort="temperature"
+          defaultOrder="desc"
+          empty={thermal.message || 'No thermal zones readable on this device'}
+        />
+      </DetailCard>
+
+      {throttling && throttling.policies.length > 0 && (
+        <DetailCard
+          title="CPU throttling"
+          actions={throttling.throttled
+            ? <span className="status-danger text-sm font-medium">🔥 Throttled</span>
+            : <span className="status-good text-sm">Full speed</span>}
+        >
+          {throttling.coolingDevices.length > 0 && (
+            <p className="text-sm text-gray-600 mb-2">Active CPU cooling: {throttling.coolingDevices.join(', ')}</p>
+          )}
+          <SortableTable columns={POLICY_COLUMNS} rows={throttling.policies} rowKey={policy => policy.policy} defaultSort="policy" />
+        </DetailCard>
+      )}
+
+      {coolingDevices.length > 0 && (
+        <DetailCard title={`Cooling devices (${coolingDevices.length})`}>
+          <SortableTable columns={COOLING_COLUMNS} rows={coolingDevices} rowKey={device => device.device} defaultSort="device" />
+        </DetailCard>
+      )}
+
+      <TrendCharts {...trends} chartIds={['battery', 'battery-temperature']} />
+    </div>
+  )
+}
+
+export default PowerPage
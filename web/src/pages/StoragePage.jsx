@@ -0,0 +1,83 @@
+import React from 'react'
+import DetailCard, { Unavailable } from '../components/DetailCard'
+import SortableTable from '../components/SortableTable'
+import TrendCharts from '../components/TrendChart'
+import { formatBytes } from '../utils/format'
+import { statusLevel } from '../utils/settings'
+
+const rate = (value) => (value === null || value === undefined ? null : `${formatBytes(value)}/s`)
+const milliseconds = (value) => (value === null || value === undefined ? null : `${value} ms`)
+
+// Byte counts when the server sends them, its preformatted strings otherwise
+const size = (filesystem, key) =>
+  filesystem[`${key}Bytes`] !== undefined ? formatBytes(filesystem[`${key}Bytes`]) : filesystem[key]
+
+function filesystemColumns(thresholds) {
+  return [
+    { key: 'mountpoint', label: 'Mount' },
+    { key: 'filesystem', label: 'Filesystem' },
+    { key: 'size', label: 'Size', align: 'right', value: fs => fs.sizeBytes, render: fs => size(fs, 'size') },
+    { key: 'used', label: 'Used', align: 'right', value: fs => fs.usedBytes, render: fs => size(fs, 'used') },
+    { key: 'available', label: 'Available', align: 'right', value: fs => fs.availableBytes, render: fs => size(fs, 'available') },
+    {
+      key: 'usagePercent',
+      label: 'Usage',
+      align: 'right',
+      render: fs => <span className={`status-${statusLevel(fs.usagePercent, thresholds)}`}>{fs.usagePercent}%</span>
+    }
+  ]
+}
+
+const DEVICE_COLUMNS = [
+  { key: 'device', label: 'Device' },
+  { key: 'type', label: 'Type' },
+  { key: 'mountpoints', label: 'Mounted at', value: device => (device.mountpoints || []).join(', ') },
+  { key: 'readBytesPerSec', label: 'Read', align: 'right', render: device => rate(device.readBytesPerSec) },
+  { key: 'writeBytesPerSec', label: 'Write', align: 'right', render: device => rate(device.writeBytesPerSec) },
+  { key: 'readIops', label: 'Read IOPS', align: 'right' },
+  { key: 'writeIops', label: 'Write IOPS', align: 'right' },
+  { key: 'readLatencyMs', label: 'Read latency', align: 'right', render: device => milliseconds(device.readLatencyMs) },
+  { key: 'writeLatencyMs', label: 'Write latency', align: 'right', render: device => milliseconds(device.writeLatencyMs) },
+  { key: 'utilization', label: 'Utilisation', align: 'right', render: device => `${device.utilization}%` },
+  { key: 'inFlight', label: 'In flight', align: 'right' }
+]
+
+// /storage: every mounted filesystem and block device
+function StoragePage({ metrics, thresholds, trends }) {
+  const disk = metrics?.disk
+  if (!disk || disk.error) {
+    return <Unavailable title="Storage" message={disk?.message} />
+  }
+
+  const filesystems = (disk.filesystems || []).filter(fs => !fs.error)
+  const failures = (disk.filesystems || []).filter(fs => fs.error)
+  const io = disk.io
+
+  return (
+    <div className="space-y-6">
+      <DetailCard title={`Filesystems (${filesystems.length})`}>
+        {failures.map(failure => (
+          <p key={failure.error} className="text-red-600 dark:text-red-400 text-sm mb-2">{failure.message || failure.error}</p>
+        ))}
+        <SortableTable
+          columns={filesystemColumns(thresholds)}
+          rows={filesystems}
+          rowKey={fs => `${fs.filesystem}:${fs.mountpoint}`}
+          defaultSort="mountpoint"
+        />
+      </DetailCard>
+
+      <DetailCard title="Block devices">
+        {!io || io.error || !io.available ? (
+          <p className="text-gray-500 text-sm">{io?.message || io?.reason || 'I/O statistics not available'}</p>
+        ) : (
+          <SortableTable columns={DEVICE_COLUMNS} rows={io.devices} rowKey={device => device.device} defaultSort="device" />
+        )}
+      </DetailCard>
+
+      <TrendCharts {...trends} chartIds={['disk']} />
+    </div>
+  )
+}
+
+export default StoragePage
@@ -0,0 +1,100 @@
+import React from 'react'
+import DetailCard, { KeyValueList, Unavailable } from '../components/DetailCard'
+import SortableTable from '../components/SortableTable'
+import { formatBytes } from '../utils/format'
+
+function formatUptime(seconds) {
+  const total = Math.floor(seconds || 0)
+  const days = Math.floor(total / 86400)
+  const hours = Math.floor((total % 86400) / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  return `${days > 0 ? `${days}d ` : ''}${hours}h ${minutes}m`
+}
+
+const COLLECTOR_COLUMNS = [
+  { key: 'name', label: 'Collector' },
+  { key: 'status', label: 'Status', render: collector => <span className={collector.failed ? 'status-danger' : 'status-good'}>{collector.status}</span> },
+  { key: 'source', label: 'Served from', value: collector => (collector.cache ? (collector.cache.hit ? (collector.cache.stale ? 'stale cache' : 'cache') : 'fresh') : null) },
+  { key: 'age', label: 'Age', align: 'right', value: collector => collector.cache?.ageMs, render: collector => (collector.cache ? `${(collector.cache.ageMs / 1000).toFixed(1)} s` : null) },
+  { key: 'ttl', label: 'TTL', align: 'right', value: collector => collector.cache?.ttl, render: collector => (collector.cache?.ttl ? `${collector.cache.ttl / 1000} s` : null) }
+]
+
+// /system: host, Android device properties and the monitoring server itself
+function SystemPage({ metrics }) {
+  const host = metrics?.host
+  const device = metrics?.android?.device
+  const meta = metrics?.meta
+  const server = meta?.server
+
+  const collectors = (meta?.collectors || []).map(name => ({
+    name,
+    failed: Boolean(metrics[name]?.error),
+    status: metrics[name]?.error ? metrics[name].error : 'OK',
+    cache: meta.cache?.[name]
+  }))
+
+  return (
+    <div className="space-y-6">
+      {!host || host.error ? (
+        <Unavailable title="Host" message={host?.message} />
+      ) : (
+        <DetailCard title="Host">
+          <KeyValueList
+            items={[
+              ['Hostname', host.hostname],
+              ['Platform', host.platform],
+              ['OS', host.type],
+              ['Kernel release', host.release],
+              ['Architecture', host.arch],
+              ['Uptime', formatUptime(host.uptime)],
+              ['CPUs', host.cpuCount],
+              ['Node.js', host.nodeVersion]
+            ]}
+          />
+        </DetailCard>
+      )}
+
+      {device && !device.error && Object.keys(device).length > 0 && (
+        <DetailCard title="Android device">
+          <KeyValueList
+            items={[
+              ['Brand', device.brand],
+              ['Model', device.model],
+              ['Android', device.androidVersion],
+              ['Kernel', device.kernelVersion]
+            ]}
+          />
+        </DetailCard>
+      )}
+
+      {server && (
+        <DetailCard title="Monitoring server">
+          <KeyValueList
+            items={[
+              ['Status', meta.status],
+              ['Platform', server.platform],
+              ['Node.js', server.nodeVersion],
+              ['PID', server.pid],
+              ['Uptime', formatUptime(server.uptime)],
+              ['Resident memory', server.memoryUsage ? formatBytes(server.memoryUsage.rss) : null],
+              ['Heap used', server.memoryUsage ? `${formatBytes(server.memoryUsage.heapUsed)} of ${formatBytes(server.memoryUsage.heapTotal)}` : null],
+              ['Collection time', metrics.collectionTimeMs !== undefined ? `${metrics.collectionTimeMs} ms` : null],
+              ['Snapshot', metrics.timestamp ? new Date(metrics.timestamp).toLocaleString() : null]
+            ]}
+          />
+        </DetailCard>
+      )}
+
+      {collectors.length > 0 && (
+        <DetailCard title={`Collectors (${collectors.length})`}>
+          {meta.warnings && meta.warnings.map(warning => (
+            <p key={warning} className="text-yellow-700 dark:text-yellow-400 text-sm mb-2">{warning}</p>
+          ))}
+          <SortableTable columns={COLLECTOR_COLUMNS} rows={collectors} rowKey={collector => collector.name} defaultSort="name" />
+        </DetailCard>
+      )}
+    </div>
+  )
+}
+
+export default SystemPage
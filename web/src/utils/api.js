@@ -0,0 +1,55 @@
+// API access: the stored token is sent with every request, and a 401 tells
+// the app to show the login screen
+const TOKEN_KEY = 'tablet-monitor.token'
+const unauthorizedListeners = new Set()
+
+export function getToken() {
+  try {
+    return window.localStorage.getItem(TOKEN_KEY)
+  } catch (err) {
+    return null // Storage disabled (private mode)
+  }
+}
+
+export function setToken(token) {
+  try {
+    window.localStorage.setItem(TOKEN_KEY, token)
+  } catch (err) {
+    console.warn('[api] Could not store token:', err)
+  }
+}
+
+export function clearToken() {
+  try {
+    window.localStorage.removeItem(TOKEN_KEY)
+  } catch (err) {
+    // Nothing stored
+  }
+}
+
+// Subscribe to rejected tokens; returns an unsubscribe function
+export function onUnauthorized(listener) {
+  unauthorizedListeners.add(listener)
+  return () => unauthorizedListeners.delete(listener)
+}
+
+// fetch() with the Authorization header added
+export async function apiFetch(url, options = {}, token = getToken()) {
+  const headers = { ...options.headers }
+  if (token) {
+    headers.Authorization = `Bearer ${token}`
+  }
+
+  const response = await fetch(url, { ...options, headers })
+  if (response.status === 401) {
+    unauthorizedListeners.forEach(listener => listener())
+  }
+  return response
+}
+
+// EventSource can't send headers, so the stream takes the token as a query parameter
+export function streamUrl(url) {
+  const token = getToken()
+  if (!token) return url
+  return `${url}${url.includes('?') ? '&' : '?'}access_token=${encodeURIComponent(token)}`
+}
@@ -0,0 +1,40 @@
+// Display units picked in the settings drawer (see useSettings)
+const units = { bytes: 'binary', temperature: 'C' }
+
+export function setUnits(next) {
+  Object.assign(units, next)
+}
+
+// Utility function to format bytes
+export function formatBytes(bytes) {
+  if (!bytes) return '0 B'
+  const k = units.bytes === 'decimal' ? 1000 : 1024
+  const sizes = units.bytes === 'decimal' ? ['B', 'kB', 'MB', 'GB', 'TB'] : ['B', 'KB', 'MB', 'GB', 'TB']
+  const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)))
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
+}
+
+// Format a Celsius reading in the chosen temperature unit
+export function formatTemperature(celsius, digits = 1) {
+  if (celsius === null || celsius === undefined) return '—'
+  return units.temperature === 'F'
+    ? `${(celsius * 9 / 5 + 32).toFixed(digits)} °F`
+    : `${Number(celsius).toFixed(digits)} °C`
+}
+
+// Format a temperature difference (no +32 offset for °F)
+export function formatTemperatureDelta(celsius, digits = 1) {
+  if (celsius === null || celsius === undefined) return '—'
+  return units.temperature === 'F'
+    ? `${(celsius * 9 / 5).toFixed(digits)} °F`
+    : `${Number(celsius).toFixed(digits)} °C`
+}
+
+// Format a duration in minutes as e.g. "3h 20m"
+export function formatMinutes(minutes) {
+  if (minutes === null || minutes === undefined) return '—'
+  const hours = Math.floor(minutes / 60)
+  const days = Math.floor(hours / 24)
+  if (days > 0) return `${days}d ${hours % 24}h`
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`
+}
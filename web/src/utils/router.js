@@ -0,0 +1,59 @@
+import { createElement, useState, useEffect } from 'react'
+
+// Minimal client-side routing on the History API: pages are plain paths
+// (/cpu, /storage, ...) so they can be bookmarked; the production server and
+// the Vite dev server answer every unknown path with index.html
+const listeners = new Set()
+
+function readLocation() {
+  return { pathname: window.location.pathname, hash: window.location.hash }
+}
+
+// Bring the #fragment (e.g. a chart) into view, or start at the top
+function scrollToHash(hash) {
+  const target = hash && document.getElementById(decodeURIComponent(hash.slice(1)))
+  if (target) {
+    target.scrollIntoView()
+  } else {
+    window.scrollTo(0, 0)
+  }
+}
+
+export function navigate(to, { replace = false } = {}) {
+  if (to === window.location.pathname + window.location.hash) return
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', to)
+  listeners.forEach(listener => listener())
+  // After the new page has rendered
+  setTimeout(() => scrollToHash(window.location.hash), 0)
+}
+
+// Current { pathname, hash }, updated on navigate() and back/forward
+export function useLocation() {
+  const [location, setLocation] = useState(readLocation)
+
+  useEffect(() => {
+    const update = () => setLocation(readLocation())
+    listeners.add(update)
+    window.addEventListener('popstate', update)
+    return () => {
+      listeners.delete(update)
+      window.removeEventListener('popstate', update)
+    }
+  }, [])
+
+  return location
+}
+
+// <a> that navigates without reloading; modified clicks (new tab) stay native
+export function Link({ to, onClick, children, ...props }) {
+  const handleClick = (event) => {
+    if (onClick) onClick(event)
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return
+    }
+    event.preventDefault()
+    navigate(to)
+  }
+
+  return createElement('a', { href: to, onClick: handleClick, ...props }, children)
+}
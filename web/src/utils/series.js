@@ -0,0 +1,153 @@
+import { formatBytes, formatTemperature } from './format'
+
+// Trend series use the server's history keys (server/src/history/series.js),
+// so live snapshots and /api/history points line up
+function setValue(values, key, value) {
+  const number = typeof value === 'string' ? parseFloat(value) : value
+  if (typeof number === 'number' && Number.isFinite(number)) {
+    values[key] = number
+  }
+}
+
+// Flatten a metrics snapshot into the series the trend charts need
+export function extractTrendValues(metrics) {
+  const values = {}
+  const { cpu, memory, disk, network, android } = metrics || {}
+
+  if (cpu && !cpu.error) {
+    setValue(values, 'cpu.usage', cpu.usage)
+    ;(cpu.coreUsage || []).forEach(core => {
+      setValue(values, `cpu.core.usage:${core.core}`, core.usage)
+    })
+  }
+
+  if (memory && !memory.error) {
+    setValue(values, 'memory.used', memory.used)
+    setValue(values, 'memory.available', memory.available)
+  }
+
+  if (disk && Array.isArray(disk.filesystems)) {
+    for (const entry of disk.filesystems) {
+      if (entry.error) continue
+      setValue(values, `disk.usage:${entry.mountpoint}`, entry.usagePercent)
+    }
+  }
+
+  if (network && !network.error) {
+    for (const [name, stats] of Object.entries(network)) {
+      if (!stats.rx || !stats.tx) continue
+      setValue(values, `network.rx.bytes_per_sec:${name}`, stats.rx.bytesPerSec)
+      setValue(values, `network.tx.bytes_per_sec:${name}`, stats.tx.bytesPerSec)
+    }
+  }
+
+  if (android && android.available && android.battery && !android.battery.error) {
+    setValue(values, 'android.battery.level', android.battery.level)
+    setValue(values, 'android.battery.temperature', android.battery.temperatureCelsius)
+  }
+
+  return values
+}
+
+// Values of every key starting with prefix, by the instance after the prefix
+function instances(values, prefix) {
+  return Object.keys(values)
+    .filter(key => key.startsWith(prefix))
+    .map(key => [key.slice(prefix.length), values[key]])
+}
+
+function sumInstances(values, prefix) {
+  const matches = instances(values, prefix).filter(([name]) => !name.startsWith('lo'))
+  return matches.length > 0 ? matches.reduce((sum, [, value]) => sum + value, 0) : undefined
+}
+
+const formatPercent = (value) => `${value.toFixed(1)}%`
+
+// Chart definitions: `metrics` are the /api/history series (a trailing *
+// matches every instance) and `select` turns one sample into the chart's lines
+export const TREND_CHARTS = [
+  {
+    id: 'cpu',
+    title: 'CPU Usage',
+    min: 0,
+    max: 100,
+    format: formatPercent,
+    metrics: ['cpu.usage'],
+    select: (values) => ({ Total: values['cpu.usage'] })
+  },
+  {
+    id: 'cpu-cores',
+    title: 'CPU Usage per Core',
+    min: 0,
+    max: 100,
+    format: formatPercent,
+    metrics: ['cpu.core.usage:*'],
+    select: (values) => Object.fromEntries(
+      instances(values, 'cpu.core.usage:')
+        .sort(([a], [b]) => Number(a) - Number(b))
+        .map(([core, value]) => [`Core ${core}`, value])
+    )
+  },
+  {
+    id: 'memory',
+    title: 'Memory',
+    min: 0,
+    format: formatBytes,
+    metrics: ['memory.used', 'memory.available'],
+    select: (values) => ({ Used: values['memory.used'], Available: values['memory.available'] })
+  },
+  {
+    id: 'network',
+    title: 'Network Traffic',
+    min: 0,
+    format: (value) => `${formatBytes(value)}/s`,
+    metrics: ['network.rx.bytes_per_sec:*', 'network.tx.bytes_per_sec:*'],
+    select: (values) => ({
+      Download: sumInstances(values, 'network.rx.bytes_per_sec:'),
+      Upload: sumInstances(values, 'network.tx.bytes_per_sec:')
+    })
+  },
+  {
+    id: 'battery',
+    title: 'Battery Level',
+    min: 0,
+    max: 100,
+    format: (value) => `${Math.round(value)}%`,
+    metrics: ['android.battery.level'],
+    select: (values) => ({ Level: values['android.battery.level'] })
+  },
+  {
+    id: 'battery-temperature',
+    title: 'Battery Temperature',
+    format: formatTemperature,
+    metrics: ['android.battery.temperature'],
+    select: (values) => ({ Temperature: values['android.battery.temperature'] })
+  },
+  {
+    id: 'disk',
+    title: 'Storage Usage',
+    min: 0,
+    max: 100,
+    format: formatPercent,
+    metrics: ['disk.usage:*'],
+    select: (values) => Object.fromEntries(instances(values, 'disk.usage:'))
+  }
+]
+
+export function findChart(id) {
+  return TREND_CHARTS.find(chart => chart.id === id)
+}
+
+// Turn samples ({ timestamp, values }) into one point list per chart line,
+// in the order the lines first appear
+export function chartSeries(chart, frames) {
+  const lines = new Map()
+  for (const frame of frames) {
+    for (const [label, value] of Object.entries(chart.select(frame.values))) {
+      if (value === undefined || value === null || !Number.isFinite(value)) continue
+      if (!lines.has(label)) lines.set(label, [])
+      lines.get(label).push({ timestamp: frame.timestamp, value })
+    }
+  }
+  return Array.from(lines, ([label, points]) => ({ label, points }))
+}
@@ -0,0 +1,135 @@
+// Dashboard settings: kept in local storage and, when sync is on, shared
+// with every dashboard of the same server through /api/settings
+const STORAGE_KEY = 'tablet-monitor.settings'
+
+const envInterval = parseInt(import.meta.env.VITE_POLL_INTERVAL, 10)
+
+export const INTERVALS = [1000, 2000, 5000, 10000, 30000, 60000]
+
+export const CARDS = [
+  { id: 'cpu', label: 'CPU' },
+  { id: 'memory', label: 'Memory' },
+  { id: 'disk', label: 'Storage' },
+  { id: 'diskio', label: 'Disk I/O' },
+  { id: 'system', label: 'System info' },
+  { id: 'network', label: 'Network' },
+  { id: 'battery', label: 'Battery' },
+  { id: 'connectivity', label: 'Connectivity' },
+  { id: 'thermal', label: 'Thermal' }
+]
+
+// Battery is inverted: a low level is the problem. SoC thermal zones run far
+// hotter than the battery may, so they get their own limits
+export const THRESHOLDS = [
+  { id: 'cpu', label: 'CPU', unit: '%' },
+  { id: 'memory', label: 'Memory', unit: '%' },
+  { id: 'disk', label: 'Storage', unit: '%' },
+  { id: 'battery', label: 'Battery level', unit: '%', inverted: true },
+  { id: 'temperature', label: 'Battery temperature', unit: '°C' },
+  { id: 'thermal', label: 'Thermal zones', unit: '°C' }
+]
+
+export const DEFAULT_SETTINGS = {
+  interval: Number.isFinite(envInterval) && envInterval >= 1000 ? envInterval : 5000,
+  thresholds: {
+    cpu: { warning: 70, danger: 90 },
+    memory: { warning: 70, danger: 90 },
+    disk: { warning: 70, danger: 90 },
+    battery: { warning: 30, danger: 15 },
+    temperature: { warning: 40, danger: 45 },
+    thermal: { warning: 70, danger: 85 }
+  },
+  cards: CARDS.map(card => ({ id: card.id, visible: true })),
+  units: { temperature: 'C', bytes: 'binary' },
+  appearance: { theme: 'system', highContrast: false },
+  sync: false
+}
+
+export const THEMES = [
+  { value: 'system', label: 'System' },
+  { value: 'light', label: 'Light' },
+  { value: 'dark', label: 'Dark' }
+]
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+// Fill in defaults and drop anything malformed (old versions, other servers)
+export function normalizeSettings(value) {
+  const input = value && typeof value === 'object' ? value : {}
+  const thresholds = {}
+  for (const { id, inverted } of THRESHOLDS) {
+    const given = (input.thresholds && input.thresholds[id]) || {}
+    const fallback = DEFAULT_SETTINGS.thresholds[id]
+    const warning = isNumber(given.warning) ? given.warning : fallback.warning
+    const danger = isNumber(given.danger) ? given.danger : fallback.danger
+
+    // Warning has to come before danger (above it when inverted), otherwise
+    // it could never show; swap a reversed pair, equal ones can't be fixed
+    if (warning === danger) {
+      thresholds[id] = { ...fallback }
+    } else if (inverted ? warning < danger : warning > danger) {
+      thresholds[id] = { warning: danger, danger: warning }
+    } else {
+      thresholds[id] = { warning, danger }
+    }
+  }
+
+  // Saved order first, then cards added since
+  const known = new Set(CARDS.map(card => card.id))
+  const saved = Array.isArray(input.cards)
+    ? input.cards.filter(card => card && known.has(card.id))
+    : []
+  const seen = new Set(saved.map(card => card.id))
+  const cards = [
+    ...saved.map(card => ({ id: card.id, visible: card.visible !== false })),
+    ...CARDS.filter(card => !seen.has(card.id)).map(card => ({ id: card.id, visible: true }))
+  ]
+
+  const units = input.units || {}
+  const appearance = input.appearance || {}
+  return {
+    interval: isNumber(input.interval) && input.interval >= 1000 ? input.interval : DEFAULT_SETTINGS.interval,
+    thresholds,
+    cards,
+    units: {
+      temperature: units.temperature === 'F' ? 'F' : 'C',
+      bytes: units.bytes === 'decimal' ? 'decimal' : 'binary'
+    },
+    appearance: {
+      theme: THEMES.some(theme => theme.value === appearance.theme) ? appearance.theme : 'system',
+      highContrast: appearance.highContrast === true
+    },
+    sync: input.sync === true
+  }
+}
+
+export function loadSettings() {
+  try {
+    return normalizeSettings(JSON.parse(window.localStorage.getItem(STORAGE_KEY)))
+  } catch (err) {
+    return normalizeSettings(null) // Storage disabled or unreadable
+  }
+}
+
+export function saveSettings(settings) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch (err) {
+    console.warn('[settings] Could not store settings:', err)
+  }
+}
+
+// 'good', 'warning' or 'danger' for a value against a threshold pair
+export function statusLevel(value, thresholds, inverted = false) {
+  if (!thresholds || !isNumber(value)) return 'good'
+  if (inverted) {
+    if (value <= thresholds.danger) return 'danger'
+    if (value <= thresholds.warning) return 'warning'
+    return 'good'
+  }
+  if (value >= thresholds.danger) return 'danger'
+  if (value >= thresholds.warning) return 'warning'
+  return 'good'
+}
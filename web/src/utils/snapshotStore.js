@@ -0,0 +1,62 @@
+// Last successful metrics snapshot per device, kept in IndexedDB so the
+// dashboard has something to show when it opens (or loses the tablet) offline
+const DB_NAME = 'tablet-monitor'
+const STORE = 'snapshots'
+const LOCAL = 'local' // Key of this server's own snapshot; fleet devices use their id
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, 1)
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Let a later call try again (e.g. after private mode blocked it)
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+// Run one request in its own transaction
+async function run(mode, operation) {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE, mode).objectStore(STORE))
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+// Snapshot of a device (this server's when deviceId is null), or null
+export async function loadSnapshot(deviceId = null) {
+  try {
+    return (await run('readonly', store => store.get(deviceId || LOCAL))) || null
+  } catch (err) {
+    console.warn('[snapshotStore] Could not read the saved snapshot:', err)
+    return null
+  }
+}
+
+export async function saveSnapshot(metrics, deviceId = null) {
+  try {
+    await run('readwrite', store => store.put(metrics, deviceId || LOCAL))
+  } catch (err) {
+    console.warn('[snapshotStore] Could not save the snapshot:', err)
+  }
+}
+
+// Forget every saved snapshot (on sign out)
+export async function clearSnapshots() {
+  try {
+    await run('readwrite', store => store.clear())
+  } catch (err) {
+    console.warn('[snapshotStore] Could not clear snapshots:', err)
+  }
+}
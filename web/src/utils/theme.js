@@ -0,0 +1,25 @@
+// Theme switching: the classes on <html> select the CSS variables in index.css
+const darkQuery = typeof window !== 'undefined' && window.matchMedia
+  ? window.matchMedia('(prefers-color-scheme: dark)')
+  : null
+
+// Apply { theme: 'system' | 'light' | 'dark', highContrast } to the document
+export function applyTheme({ theme, highContrast }) {
+  const dark = theme === 'dark' || (theme === 'system' && Boolean(darkQuery && darkQuery.matches))
+  const root = document.documentElement
+  root.classList.toggle('dark', dark)
+  root.classList.toggle('contrast-high', Boolean(highContrast))
+}
+
+// Call listener whenever the system switches between light and dark;
+// returns an unsubscribe function
+export function onSystemThemeChange(listener) {
+  if (!darkQuery) return () => {}
+  // Safari before 14 only has the deprecated addListener
+  if (darkQuery.addEventListener) {
+    darkQuery.addEventListener('change', listener)
+    return () => darkQuery.removeEventListener('change', listener)
+  }
+  darkQuery.addListener(listener)
+  return () => darkQuery.removeListener(listener)
+}
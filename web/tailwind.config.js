@@ -1,9 +1,16 @@
+// Grays, card surfaces and status colors come from CSS variables (see
+// src/index.css), so the dark and high-contrast themes restyle every
+// component without per-class overrides
+const themed = (name) => `rgb(var(--color-${name}) / <alpha-value>)`
+const GRAY_SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900]
+
 /** @type {import('tailwindcss').Config} */
 module.exports = {
   content: [
     "./index.html",
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
+  darkMode: 'class',
   theme: {
     extend: {
       colors: {
@@ -12,6 +19,13 @@ module.exports = {
           500: '#3b82f6',
           600: '#2563eb',
           700: '#1d4ed8'
+        },
+        gray: Object.fromEntries(GRAY_SHADES.map(shade => [shade, themed(`gray-${shade}`)])),
+        surface: themed('surface'),
+        status: {
+          good: themed('status-good'),
+          warning: themed('status-warning'),
+          danger: themed('status-danger')
         }
       }
     },